@@ -0,0 +1,211 @@
+import { Address, User, sequelize } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+/**
+ * Address Controller
+ * The user's address book. Exactly one address is the default once the
+ * user has any; checkout copies the chosen address onto the order.
+ */
+
+const ADDRESS_FIELDS = [
+    'label',
+    'recipient_name',
+    'line1',
+    'line2',
+    'city',
+    'state',
+    'postal_code',
+    'country',
+    'phone',
+];
+
+/**
+ * Lock all of a user's addresses (serialises default changes)
+ * The user row is locked first: with no addresses yet there is no row to
+ * lock, and two first addresses would both become the default.
+ * Lock order: user -> addresses.
+ * @param {number} userId - User ID
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Array<Object>>}
+ */
+const lockAddresses = async (userId, transaction) => {
+    await User.findByPk(userId, {
+        attributes: ['id'],
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+    });
+
+    return await Address.findAll({
+        where: { user_id: userId },
+        order: [['id', 'ASC']],
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+    });
+};
+
+/**
+ * @desc    Get current user's addresses (default first)
+ * @route   GET /api/users/addresses
+ * @access  Private
+ */
+export const getAddresses = async (req, res, next) => {
+    try {
+        const addresses = await Address.findAll({
+            where: { user_id: req.user.id },
+            order: [['is_default', 'DESC'], ['id', 'ASC']],
+        });
+
+        res.status(200).json({
+            success: true,
+            count: addresses.length,
+            data: {
+                addresses,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Add an address (the first one becomes the default)
+ * @route   POST /api/users/addresses
+ * @access  Private
+ */
+export const createAddress = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+
+        const address = await sequelize.transaction(async (transaction) => {
+            const existing = await lockAddresses(userId, transaction);
+            const isDefault = existing.length === 0 || Boolean(req.body.is_default);
+
+            if (isDefault && existing.length > 0) {
+                await Address.update(
+                    { is_default: false },
+                    { where: { user_id: userId }, transaction }
+                );
+            }
+
+            const values = ADDRESS_FIELDS.reduce((fields, field) => {
+                if (req.body[field] !== undefined) fields[field] = req.body[field];
+                return fields;
+            }, {});
+
+            return await Address.create(
+                {
+                    ...values,
+                    user_id: userId,
+                    is_default: isDefault,
+                },
+                { transaction }
+            );
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Address added',
+            data: {
+                address,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update an address or make it the default
+ * @route   PUT /api/users/addresses/:id
+ * @access  Private
+ */
+export const updateAddress = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+
+        const address = await sequelize.transaction(async (transaction) => {
+            const addresses = await lockAddresses(userId, transaction);
+            const target = addresses.find((a) => a.id === parseInt(req.params.id));
+
+            if (!target) {
+                throw new AppError('Address not found', 404);
+            }
+
+            if (req.body.is_default === false && target.is_default) {
+                throw new AppError('Make another address the default instead', 400);
+            }
+
+            ADDRESS_FIELDS.forEach((field) => {
+                if (req.body[field] !== undefined) {
+                    target[field] = req.body[field];
+                }
+            });
+
+            if (req.body.is_default === true && !target.is_default) {
+                await Address.update(
+                    { is_default: false },
+                    { where: { user_id: userId }, transaction }
+                );
+                target.is_default = true;
+            }
+
+            // Orders keep their own copy, so editing never changes past orders
+            await target.save({ transaction });
+
+            return target;
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Address updated',
+            data: {
+                address,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete an address (the oldest remaining one becomes the default)
+ * @route   DELETE /api/users/addresses/:id
+ * @access  Private
+ */
+export const deleteAddress = async (req, res, next) => {
+    try {
+        const userId = req.user.id;
+
+        await sequelize.transaction(async (transaction) => {
+            const addresses = await lockAddresses(userId, transaction);
+            const target = addresses.find((a) => a.id === parseInt(req.params.id));
+
+            if (!target) {
+                throw new AppError('Address not found', 404);
+            }
+
+            await target.destroy({ transaction });
+
+            const successor = addresses.find((a) => a.id !== target.id);
+
+            if (target.is_default && successor) {
+                successor.is_default = true;
+                await successor.save({ transaction });
+            }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Address deleted',
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    getAddresses,
+    createAddress,
+    updateAddress,
+    deleteAddress,
+};
\ No newline at end of file
@@ -0,0 +1,342 @@
+import {
+    Order,
+    OrderItem,
+    Reservation,
+    Drop,
+    DropVariant,
+    sequelize,
+} from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { findCheckoutProblems, startCheckout } from '../utils/checkout.js';
+import { notifyOrderStatus } from '../utils/orders.js';
+import { createPaymentIntent } from '../utils/payments.js';
+import { scheduleReservationExpiry } from '../utils/reservations.js';
+import { DEFAULT_CURRENCY, fromMinorUnits } from '../utils/money.js';
+
+/**
+ * Cart Controller
+ * Groups active reservations across drops and checks them out atomically
+ */
+
+/**
+ * Find the user's open cart
+ * @param {number} userId - User ID
+ * @param {Object} [options] - Query options (transaction, lock)
+ * @returns {Promise<Object|null>}
+ */
+const findCart = async (userId, options = {}) => {
+    return await Order.findOne({
+        where: { user_id: userId, status: 'cart' },
+        order: [['id', 'ASC']],
+        ...options,
+    });
+};
+
+/**
+ * @desc    Get current user's cart
+ * @route   GET /api/cart
+ * @access  Private
+ */
+export const getCart = async (req, res, next) => {
+    try {
+        const cart = await findCart(req.user.id, {
+            include: [
+                {
+                    model: OrderItem,
+                    as: 'items',
+                    include: [
+                        {
+                            model: Reservation,
+                            as: 'reservation',
+                            include: [
+                                {
+                                    model: Drop,
+                                    as: 'drop',
+                                    attributes: ['id', 'name', 'price', 'currency', 'image_url'],
+                                },
+                                {
+                                    model: DropVariant,
+                                    as: 'variant',
+                                    attributes: ['id', 'size', 'colorway', 'sku'],
+                                },
+                            ],
+                        },
+                    ],
+                },
+            ],
+        });
+
+        const items = cart ? cart.items.map((item) => ({
+            id: item.id,
+            reservation_id: item.reservation_id,
+            drop: item.reservation.drop,
+            variant: item.reservation.variant,
+            quantity: item.reservation.quantity,
+            status: item.reservation.status,
+            is_active: item.reservation.isActive(),
+            expires_at: item.reservation.expires_at,
+            remaining_seconds: item.reservation.getRemainingTime(),
+        })) : [];
+
+        // The cart only ever holds one currency (see addCartItem)
+        const currency = items.length > 0 ? items[0].drop.currency : DEFAULT_CURRENCY;
+        // Only what checkout would accept: lapsed holds not yet swept are left out
+        const subtotalMinor = items
+            .filter((item) => item.is_active)
+            .reduce((sum, item) => sum + item.drop.getPriceMinor() * item.quantity, 0);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                cart: {
+                    id: cart ? cart.id : null,
+                    items,
+                    currency,
+                    subtotal_minor: subtotalMinor,
+                    subtotal: fromMinorUnits(subtotalMinor, currency),
+                },
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Add an active reservation to the cart
+ * @route   POST /api/cart/items
+ * @access  Private
+ */
+export const addCartItem = async (req, res, next) => {
+    try {
+        const { reservationId } = req.body;
+        const userId = req.user.id;
+
+        const item = await sequelize.transaction(async (transaction) => {
+            const reservation = await Reservation.findOne({
+                where: { id: reservationId, user_id: userId, status: 'active' },
+                include: [
+                    {
+                        model: Drop,
+                        as: 'drop',
+                        attributes: ['id', 'currency'],
+                    },
+                ],
+                transaction,
+                lock: transaction.LOCK.UPDATE,
+            });
+
+            if (!reservation || reservation.isExpired()) {
+                throw new AppError('Active reservation not found', 404);
+            }
+
+            const existing = await OrderItem.findOne({
+                where: { reservation_id: reservation.id },
+                transaction,
+            });
+
+            if (existing) {
+                throw new AppError('Reservation is already in your cart', 409);
+            }
+
+            const cart = await findCart(userId, { transaction })
+                || await Order.create({ user_id: userId, status: 'cart' }, { transaction });
+
+            // A cart is paid in one currency
+            const other = await OrderItem.findOne({
+                where: { order_id: cart.id },
+                include: [
+                    {
+                        model: Reservation,
+                        as: 'reservation',
+                        attributes: ['id'],
+                        include: [
+                            {
+                                model: Drop,
+                                as: 'drop',
+                                attributes: ['id', 'currency'],
+                            },
+                        ],
+                    },
+                ],
+                transaction,
+            });
+
+            if (other && other.reservation.drop.currency !== reservation.drop.currency) {
+                throw new AppError(
+                    `Your cart is in ${other.reservation.drop.currency}; check it out before adding items in ${reservation.drop.currency}`,
+                    409
+                );
+            }
+
+            return await OrderItem.create(
+                {
+                    order_id: cart.id,
+                    reservation_id: reservation.id,
+                },
+                { transaction }
+            );
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Added to cart',
+            data: {
+                item,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Remove a reservation from the cart (reservation stays active)
+ * @route   DELETE /api/cart/items/:reservationId
+ * @access  Private
+ */
+export const removeCartItem = async (req, res, next) => {
+    try {
+        const { reservationId } = req.params;
+
+        const cart = await findCart(req.user.id);
+
+        const removed = cart && await OrderItem.destroy({
+            where: { order_id: cart.id, reservation_id: reservationId },
+        });
+
+        if (!removed) {
+            throw new AppError('Item not found in cart', 404);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Removed from cart',
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Check out every reservation in the cart atomically (creates one payment intent)
+ * @route   POST /api/cart/checkout
+ * @access  Private
+ */
+export const checkoutCart = async (req, res, next) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const userId = req.user.id;
+
+        const cart = await findCart(userId, {
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+
+        const items = cart
+            ? await OrderItem.findAll({ where: { order_id: cart.id }, transaction })
+            : [];
+
+        if (items.length === 0) {
+            if (!transaction.finished) await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: 'Cart is empty',
+            });
+        }
+
+        // Lock every reservation in ID order (consistent order avoids deadlocks)
+        const reservationIds = items.map((item) => item.reservation_id);
+        const reservations = await Reservation.findAll({
+            where: { id: reservationIds, user_id: userId },
+            include: [
+                {
+                    model: Drop,
+                    as: 'drop',
+                },
+            ],
+            order: [['id', 'ASC']],
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+
+        // All or nothing: any stale reservation fails the whole checkout
+        const problems = findCheckoutProblems(reservationIds, reservations);
+
+        if (problems.length > 0) {
+            if (!transaction.finished) await transaction.rollback();
+            return res.status(409).json({
+                success: false,
+                code: 'CART_CHECKOUT_FAILED',
+                message: problems
+                    .map((p) => `Reservation #${p.reservation_id} is ${p.reason.replace('_', ' ')}`)
+                    .join('; '),
+                data: {
+                    invalid_items: problems,
+                },
+            });
+        }
+
+        const { order, payment, change, breakdown } = await startCheckout({
+            userId,
+            reservations,
+            order: cart,
+            promoCode: req.body.promoCode,
+            addressId: req.body.addressId,
+            region: req.body.region,
+            transaction,
+        });
+
+        await transaction.commit();
+
+        const io = req.app.get('io');
+
+        // Re-arm the timers: the reservations are now held until the payment expires
+        for (const reservation of reservations) {
+            scheduleReservationExpiry(reservation);
+        }
+
+        notifyOrderStatus(io, order, change);
+
+        // Outside the transaction: a slow gateway holds no locks
+        const clientSecret = await createPaymentIntent(io, payment);
+
+        res.status(201).json({
+            success: true,
+            message: 'Payment required to complete checkout',
+            data: {
+                order: {
+                    id: order.id,
+                    status: order.status,
+                    currency: order.currency,
+                    discount_total: order.discount_total,
+                    total: order.total,
+                    shipping_address: order.shipping_address,
+                },
+                breakdown,
+                payment: {
+                    id: payment.id,
+                    status: payment.status,
+                    amount: payment.amount,
+                    currency: payment.currency,
+                    provider: payment.provider,
+                    client_secret: clientSecret,
+                    expires_at: payment.expires_at,
+                },
+            },
+        });
+    } catch (error) {
+        if (!transaction.finished) {
+            await transaction.rollback();
+        }
+        next(error);
+    }
+};
+
+export default {
+    getCart,
+    addCartItem,
+    removeCartItem,
+    checkoutCart,
+};
\ No newline at end of file
@@ -1,4 +1,16 @@
-import { Drop, Purchase, User } from '../models/index.js';
+import { Drop, DropVariant, Purchase, RaffleDraw, Reservation, User, sequelize } from '../models/index.js';
+import { getOrCreateDraw } from '../utils/raffle.js';
+import {
+    EVENT_EPOCH,
+    getDropSequence,
+    getDropEventsSince,
+    subscribeDropEvents,
+    publishCatalogEvent,
+    publishDropEvent,
+    publishStockUpdate,
+} from '../utils/events.js';
+import { formatEventId, parseLastEventId, openEventStream } from '../utils/sse.js';
+import { getPresenceCount } from '../utils/presence.js';
 import { AppError } from '../middleware/errorHandler.js';
 import { Op } from 'sequelize';
 
@@ -32,6 +44,13 @@ export const getAllDrops = async (req, res, next) => {
             offset: parseInt(offset),
             order: [['created_at', 'DESC']],
             include: [
+                {
+                    model: DropVariant,
+                    as: 'variants',
+                    attributes: ['id', 'size', 'colorway', 'sku', 'stock', 'initial_stock'],
+                    separate: true,
+                    order: [['id', 'ASC']],
+                },
                 {
                     model: Purchase,
                     as: 'purchases',
@@ -75,6 +94,13 @@ export const getDropById = async (req, res, next) => {
 
         const drop = await Drop.findByPk(id, {
             include: [
+                {
+                    model: DropVariant,
+                    as: 'variants',
+                    attributes: ['id', 'size', 'colorway', 'sku', 'stock', 'initial_stock'],
+                    separate: true,
+                    order: [['id', 'ASC']],
+                },
                 {
                     model: Purchase,
                     as: 'purchases',
@@ -110,7 +136,7 @@ export const getDropById = async (req, res, next) => {
 /**
  * @desc    Create new drop
  * @route   POST /api/drops
- * @access  Private (Admin only in production)
+ * @access  Private (Admin/Staff)
  */
 export const createDrop = async (req, res, next) => {
     try {
@@ -118,29 +144,82 @@ export const createDrop = async (req, res, next) => {
             name,
             description,
             price,
+            currency,
             stock,
             initial_stock,
+            max_per_user,
+            max_per_reservation,
+            hold_seconds,
+            extension_seconds,
             image_url,
             drop_start_time,
+            mode,
+            entry_start_time,
+            entry_end_time,
+            queue_enabled,
+            queue_batch_size,
+            variants,
         } = req.body;
 
-        const drop = await Drop.create({
-            name,
-            description,
-            price,
-            stock,
-            initial_stock,
-            image_url,
-            drop_start_time,
+        // With variants, drop stock is the sum of variant stock
+        const variantTotal = variants
+            ? variants.reduce((sum, v) => sum + parseInt(v.stock), 0)
+            : null;
+
+        const drop = await sequelize.transaction(async (transaction) => {
+            const drop = await Drop.create(
+                {
+                    name,
+                    description,
+                    price,
+                    currency,
+                    stock: variants ? variantTotal : stock,
+                    initial_stock: variants ? variantTotal : initial_stock,
+                    max_per_user,
+                    max_per_reservation,
+                    hold_seconds,
+                    extension_seconds,
+                    image_url,
+                    drop_start_time,
+                    mode,
+                    entry_start_time,
+                    entry_end_time,
+                    queue_enabled,
+                    queue_batch_size,
+                },
+                { transaction }
+            );
+
+            // Publish the raffle seed commitment up front
+            if (drop.isRaffle()) {
+                await getOrCreateDraw(drop.id, transaction);
+            }
+
+            if (variants) {
+                await DropVariant.bulkCreate(
+                    variants.map((v) => ({
+                        drop_id: drop.id,
+                        size: v.size,
+                        colorway: v.colorway,
+                        sku: v.sku,
+                        stock: v.stock,
+                        initial_stock: v.stock,
+                    })),
+                    { transaction, validate: true }
+                );
+            }
+
+            return drop;
         });
 
-        // Emit socket event for new drop
-        const io = req.app.get('io');
-        if (io) {
-            io.emit('newDrop', {
-                drop,
-            });
-        }
+        await drop.reload({
+            include: [{ model: DropVariant, as: 'variants' }],
+        });
+
+        // Announce the new drop to list pages
+        publishCatalogEvent(req.app.get('io'), 'newDrop', {
+            drop,
+        });
 
         res.status(201).json({
             success: true,
@@ -157,7 +236,7 @@ export const createDrop = async (req, res, next) => {
 /**
  * @desc    Update drop
  * @route   PUT /api/drops/:id
- * @access  Private (Admin only in production)
+ * @access  Private (Admin/Staff)
  */
 export const updateDrop = async (req, res, next) => {
     try {
@@ -170,14 +249,39 @@ export const updateDrop = async (req, res, next) => {
             throw new AppError('Drop not found', 404);
         }
 
+        // Stock of multi-size drops is managed per variant
+        if (updates.stock !== undefined) {
+            const variantCount = await DropVariant.count({ where: { drop_id: id } });
+            if (variantCount > 0) {
+                throw new AppError('Stock for drops with variants is managed per variant', 400);
+            }
+        }
+
+        // Raffle settings are frozen once the draw has run
+        const raffleFields = ['mode', 'entry_start_time', 'entry_end_time'];
+        if (raffleFields.some((field) => updates[field] !== undefined)) {
+            const draw = await RaffleDraw.findOne({ where: { drop_id: id } });
+            if (draw && draw.status === 'drawn') {
+                throw new AppError('Raffle settings cannot change after the draw', 400);
+            }
+        }
+
         // Update allowed fields
         const allowedFields = [
             'name',
             'description',
             'price',
+            'currency',
             'stock',
+            'max_per_user',
+            'max_per_reservation',
+            'hold_seconds',
+            'extension_seconds',
             'image_url',
             'drop_start_time',
+            'queue_enabled',
+            'queue_batch_size',
+            ...raffleFields,
         ];
 
         allowedFields.forEach((field) => {
@@ -188,14 +292,15 @@ export const updateDrop = async (req, res, next) => {
 
         await drop.save();
 
-        // Emit socket event for drop update
-        const io = req.app.get('io');
-        if (io) {
-            io.emit('dropUpdated', {
-                drop,
-            });
+        if (drop.isRaffle()) {
+            await getOrCreateDraw(drop.id);
         }
 
+        // Both list pages and the drop's own page show these fields
+        const io = req.app.get('io');
+        publishCatalogEvent(io, 'dropUpdated', { drop });
+        publishDropEvent(io, drop.id, 'dropUpdated', { drop });
+
         res.status(200).json({
             success: true,
             message: 'Drop updated successfully',
@@ -211,7 +316,7 @@ export const updateDrop = async (req, res, next) => {
 /**
  * @desc    Delete drop
  * @route   DELETE /api/drops/:id
- * @access  Private (Admin only in production)
+ * @access  Private (Admin)
  */
 export const deleteDrop = async (req, res, next) => {
     try {
@@ -227,11 +332,8 @@ export const deleteDrop = async (req, res, next) => {
 
         // Emit socket event for drop deletion
         const io = req.app.get('io');
-        if (io) {
-            io.emit('dropDeleted', {
-                dropId: id,
-            });
-        }
+        publishCatalogEvent(io, 'dropDeleted', { dropId: Number(id) });
+        publishDropEvent(io, id, 'dropDeleted');
 
         res.status(200).json({
             success: true,
@@ -267,10 +369,18 @@ export const getDropStats = async (req, res, next) => {
             total_stock: drop.initial_stock,
             remaining_stock: drop.stock,
             sold: drop.initial_stock - drop.stock,
+            max_per_user: drop.max_per_user,
+            max_per_reservation: drop.max_per_reservation,
+            hold_seconds: drop.getHoldDuration() / 1000,
+            extension_seconds: drop.extension_seconds,
             total_purchases: totalPurchases,
+            variants: await DropVariant.stockByDrop(id),
             stock_percentage: drop.getStockPercentage(),
             is_available: drop.isAvailable(),
             has_started: drop.hasStarted(),
+            mode: drop.mode,
+            queue_enabled: drop.queue_enabled,
+            watching: getPresenceCount(drop.id),
         };
 
         res.status(200).json({
@@ -284,6 +394,240 @@ export const getDropStats = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Stream a drop's events over Server-Sent Events
+ * @route   GET /api/drops/:id/events
+ * @access  Public
+ */
+export const streamDropEvents = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const lastEventId = parseLastEventId(req.get('Last-Event-ID') || req.query.lastEventId);
+
+        // Taken before reading, so the snapshot is at least this fresh
+        const seq = getDropSequence(id);
+
+        const drop = await Drop.findByPk(id);
+
+        if (!drop) {
+            throw new AppError('Drop not found', 404);
+        }
+
+        const variants = await DropVariant.stockByDrop(drop.id);
+
+        const stream = openEventStream(req, res);
+        const forward = ({ seq: eventSeq, event, payload }) => {
+            stream.send(formatEventId(eventSeq), event, payload);
+        };
+
+        // No awaits from here until subscribed, so nothing published in
+        // between is lost or sent twice
+        const missed = lastEventId
+            ? getDropEventsSince(drop.id, lastEventId.seq, lastEventId.epoch)
+            : null;
+
+        if (missed) {
+            missed.forEach(forward);
+        } else {
+            // New client, or one that can't resume: start from a snapshot
+            stream.send(formatEventId(seq), 'stockUpdate', {
+                dropId: drop.id,
+                newStock: drop.stock,
+                variants,
+                seq,
+                epoch: EVENT_EPOCH,
+                resync: lastEventId !== null,
+                timestamp: new Date(),
+            });
+            (getDropEventsSince(drop.id, seq, EVENT_EPOCH) || []).forEach(forward);
+        }
+
+        stream.onClose(subscribeDropEvents(drop.id, forward));
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get variants (sizes) of a drop
+ * @route   GET /api/drops/:id/variants
+ * @access  Public
+ */
+export const getDropVariants = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const drop = await Drop.findByPk(id, { attributes: ['id'] });
+
+        if (!drop) {
+            throw new AppError('Drop not found', 404);
+        }
+
+        const variants = await DropVariant.findAll({
+            where: { drop_id: id },
+            order: [['id', 'ASC']],
+        });
+
+        res.status(200).json({
+            success: true,
+            count: variants.length,
+            data: {
+                variants,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Add a variant (size) to a drop
+ * @route   POST /api/drops/:id/variants
+ * @access  Private (Admin/Staff)
+ */
+export const addDropVariant = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { size, colorway, sku, stock } = req.body;
+
+        const { drop, variant } = await sequelize.transaction(async (transaction) => {
+            const drop = await Drop.findByPk(id, {
+                transaction,
+                lock: transaction.LOCK.UPDATE,
+            });
+
+            if (!drop) {
+                throw new AppError('Drop not found', 404);
+            }
+
+            // Once a drop has sizes every sale needs one, so units held or
+            // for sale at drop level would be stranded
+            const variantCount = await DropVariant.count({
+                where: { drop_id: drop.id },
+                transaction,
+            });
+
+            if (variantCount === 0) {
+                const heldCount = await Reservation.count({
+                    where: { drop_id: drop.id, status: 'active' },
+                    transaction,
+                });
+
+                if (drop.stock > 0 || heldCount > 0) {
+                    throw new AppError(
+                        'This drop is sold without sizes. Set its stock to 0 and wait for active reservations to end before adding sizes',
+                        409
+                    );
+                }
+            }
+
+            const variant = await DropVariant.create(
+                {
+                    drop_id: drop.id,
+                    size,
+                    colorway,
+                    sku,
+                    stock,
+                    initial_stock: stock,
+                },
+                { transaction }
+            );
+
+            drop.initial_stock += variant.initial_stock;
+            drop.stock += variant.stock;
+            await drop.save({ transaction });
+
+            return { drop, variant };
+        });
+
+        await publishStockUpdate(req.app.get('io'), drop);
+
+        res.status(201).json({
+            success: true,
+            message: 'Variant added successfully',
+            data: {
+                variant,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update a variant (size) of a drop
+ * @route   PUT /api/drops/:id/variants/:variantId
+ * @access  Private (Admin/Staff)
+ */
+export const updateDropVariant = async (req, res, next) => {
+    try {
+        const { id, variantId } = req.params;
+        const updates = req.body;
+
+        const { drop, variant } = await sequelize.transaction(async (transaction) => {
+            // Lock order: drop -> variant
+            const drop = await Drop.findByPk(id, {
+                transaction,
+                lock: transaction.LOCK.UPDATE,
+            });
+
+            if (!drop) {
+                throw new AppError('Drop not found', 404);
+            }
+
+            const variant = await DropVariant.findOne({
+                where: { id: variantId, drop_id: id },
+                transaction,
+                lock: transaction.LOCK.UPDATE,
+            });
+
+            if (!variant) {
+                throw new AppError('Variant not found', 404);
+            }
+
+            const nextInitial = updates.initial_stock !== undefined
+                ? parseInt(updates.initial_stock)
+                : variant.initial_stock;
+            const nextStock = updates.stock !== undefined
+                ? parseInt(updates.stock)
+                : variant.stock;
+
+            if (nextStock > nextInitial) {
+                throw new AppError('Variant stock cannot exceed initial stock', 400);
+            }
+
+            // Keep drop totals in sync with variant totals
+            drop.initial_stock += nextInitial - variant.initial_stock;
+            drop.stock += nextStock - variant.stock;
+
+            ['size', 'colorway', 'sku'].forEach((field) => {
+                if (updates[field] !== undefined) {
+                    variant[field] = updates[field];
+                }
+            });
+            variant.initial_stock = nextInitial;
+            variant.stock = nextStock;
+
+            await variant.save({ transaction });
+            await drop.save({ transaction });
+
+            return { drop, variant };
+        });
+
+        await publishStockUpdate(req.app.get('io'), drop);
+
+        res.status(200).json({
+            success: true,
+            message: 'Variant updated successfully',
+            data: {
+                variant,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 export default {
     getAllDrops,
     getDropById,
@@ -291,4 +635,8 @@ export default {
     updateDrop,
     deleteDrop,
     getDropStats,
+    streamDropEvents,
+    getDropVariants,
+    addDropVariant,
+    updateDropVariant,
 };
\ No newline at end of file
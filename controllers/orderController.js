@@ -0,0 +1,221 @@
+import { Op } from 'sequelize';
+import {
+    Order,
+    OrderStatusChange,
+    Purchase,
+    Drop,
+    DropVariant,
+    User,
+    sequelize,
+} from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { transitionOrder, notifyOrderStatus } from '../utils/orders.js';
+
+/**
+ * Order Controller
+ * Order listing and the admin fulfilment lifecycle
+ */
+
+const orderIncludes = [
+    {
+        model: Purchase,
+        as: 'purchases',
+        include: [
+            {
+                model: Drop,
+                as: 'drop',
+                attributes: ['id', 'name', 'image_url'],
+            },
+            {
+                model: DropVariant,
+                as: 'variant',
+                attributes: ['id', 'size', 'colorway', 'sku'],
+            },
+        ],
+    },
+    {
+        model: OrderStatusChange,
+        as: 'statusHistory',
+        attributes: ['id', 'from_status', 'to_status', 'note', 'changed_by', 'created_at'],
+    },
+];
+
+/**
+ * @desc    Get user's orders
+ * @route   GET /api/orders/user
+ * @access  Private
+ */
+export const getUserOrders = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 10 } = req.query;
+        const offset = (page - 1) * limit;
+
+        const { count, rows: orders } = await Order.findAndCountAll({
+            where: {
+                user_id: req.user.id,
+                status: { [Op.ne]: 'cart' },
+            },
+            include: [orderIncludes[0]],
+            distinct: true,
+            order: [['created_at', 'DESC']],
+            limit: parseInt(limit),
+            offset: parseInt(offset),
+        });
+
+        res.status(200).json({
+            success: true,
+            count: orders.length,
+            total: count,
+            page: parseInt(page),
+            totalPages: Math.ceil(count / limit),
+            data: {
+                orders,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get order by ID with status history
+ * @route   GET /api/orders/:id
+ * @access  Private (owner, Admin/Staff)
+ */
+export const getOrderById = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const where = { id, status: { [Op.ne]: 'cart' } };
+
+        // Customers only see their own orders
+        if (!req.user.hasRole('admin', 'staff')) {
+            where.user_id = req.user.id;
+        }
+
+        const order = await Order.findOne({
+            where,
+            include: orderIncludes,
+            order: [[{ model: OrderStatusChange, as: 'statusHistory' }, 'id', 'ASC']],
+        });
+
+        if (!order) {
+            throw new AppError('Order not found', 404);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                order,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get all orders (admin)
+ * @route   GET /api/orders
+ * @access  Private (Admin/Staff)
+ */
+export const getAllOrders = async (req, res, next) => {
+    try {
+        const { page = 1, limit = 20, status } = req.query;
+        const offset = (page - 1) * limit;
+
+        const where = status ? { status } : { status: { [Op.ne]: 'cart' } };
+
+        const { count, rows: orders } = await Order.findAndCountAll({
+            where,
+            include: [
+                {
+                    model: User,
+                    as: 'user',
+                    attributes: ['id', 'username', 'email'],
+                },
+            ],
+            order: [['created_at', 'DESC']],
+            limit: parseInt(limit),
+            offset: parseInt(offset),
+        });
+
+        res.status(200).json({
+            success: true,
+            count: orders.length,
+            total: count,
+            page: parseInt(page),
+            totalPages: Math.ceil(count / limit),
+            data: {
+                orders,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Move an order to its next status
+ * @route   PUT /api/orders/:id/status
+ * @access  Private (Admin/Staff)
+ */
+export const updateOrderStatus = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { status, note, trackingNumber } = req.body;
+
+        // Only refund approval can return the buyer's money
+        if (status === 'refunded') {
+            throw new AppError('Orders are refunded by approving refunds on their purchases', 409);
+        }
+
+        const { order, change, restockedDropIds } = await sequelize.transaction(async (transaction) => {
+            const order = await Order.findByPk(id, {
+                transaction,
+                lock: transaction.LOCK.UPDATE,
+            });
+
+            if (!order || order.status === 'cart') {
+                throw new AppError('Order not found', 404);
+            }
+
+            // Payment settlement owns this step (it creates the purchases)
+            if (order.status === 'awaiting_payment') {
+                throw new AppError('Order is awaiting payment and settles through its payment', 409);
+            }
+
+            return await transitionOrder(order, status, {
+                changedBy: req.user.id,
+                note: note || null,
+                trackingNumber,
+                transaction,
+            });
+        });
+
+        // Emit socket events
+        const io = req.app.get('io');
+        notifyOrderStatus(io, order, change);
+
+        for (const dropId of restockedDropIds) {
+            await publishStockUpdate(io, await Drop.findByPk(dropId), { reason: 'order_cancelled' });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Order moved to '${status}'`,
+            data: {
+                order,
+                change,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    getUserOrders,
+    getOrderById,
+    getAllOrders,
+    updateOrderStatus,
+};
\ No newline at end of file
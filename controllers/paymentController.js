@@ -0,0 +1,100 @@
+import { Payment, Order } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { confirmPayment, handlePaymentWebhook } from '../utils/payments.js';
+
+/**
+ * Payment Controller
+ * Confirms payment intents and receives provider webhooks
+ */
+
+/**
+ * @desc    Get a payment
+ * @route   GET /api/payments/:id
+ * @access  Private
+ */
+export const getPayment = async (req, res, next) => {
+    try {
+        const payment = await Payment.findOne({
+            where: { id: req.params.id, user_id: req.user.id },
+            include: [
+                {
+                    model: Order,
+                    as: 'order',
+                    attributes: ['id', 'status', 'total'],
+                },
+            ],
+        });
+
+        if (!payment) {
+            throw new AppError('Payment not found', 404);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                payment,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Confirm a payment intent; the result arrives via webhook
+ * @route   POST /api/payments/:id/confirm
+ * @access  Private
+ */
+export const confirmPaymentIntent = async (req, res, next) => {
+    try {
+        const payment = await confirmPayment({
+            paymentId: req.params.id,
+            userId: req.user.id,
+            paymentMethod: req.body.paymentMethod,
+        });
+
+        res.status(202).json({
+            success: true,
+            message: 'Payment is processing',
+            data: {
+                payment: {
+                    id: payment.id,
+                    status: payment.status,
+                    expires_at: payment.expires_at,
+                },
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Receive a provider webhook
+ * @route   POST /api/payments/webhooks/:provider
+ * @access  Public (signature verified by the provider)
+ */
+export const receivePaymentWebhook = async (req, res, next) => {
+    try {
+        const payment = await handlePaymentWebhook(req.app.get('io'), req.params.provider, {
+            rawBody: req.rawBody || JSON.stringify(req.body),
+            headers: req.headers,
+        });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                received: true,
+                status: payment ? payment.status : null,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    getPayment,
+    confirmPaymentIntent,
+    receivePaymentWebhook,
+};
\ No newline at end of file
@@ -0,0 +1,113 @@
+import { RegionRule } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+/**
+ * Pricing Controller
+ * Admin management of the tax and shipping rules used at checkout
+ */
+
+/**
+ * @desc    Get all region rules
+ * @route   GET /api/pricing/rules
+ * @access  Private (Admin/Staff)
+ */
+export const getRegionRules = async (req, res, next) => {
+    try {
+        const where = {};
+
+        if (req.query.currency) {
+            where.currency = req.query.currency;
+        }
+
+        const rules = await RegionRule.findAll({
+            where,
+            order: [['currency', 'ASC'], ['region', 'ASC']],
+        });
+
+        res.status(200).json({
+            success: true,
+            count: rules.length,
+            data: {
+                rules,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Create or replace the rule for a region and currency
+ * @route   PUT /api/pricing/rules
+ * @access  Private (Admin)
+ */
+export const upsertRegionRule = async (req, res, next) => {
+    try {
+        const {
+            region,
+            currency,
+            tax_rate_bps,
+            tax_shipping,
+            shipping_flat_minor,
+            shipping_per_item_minor,
+            free_shipping_over_minor,
+        } = req.body;
+
+        const values = {
+            tax_rate_bps: tax_rate_bps || 0,
+            tax_shipping: Boolean(tax_shipping),
+            shipping_flat_minor: shipping_flat_minor || 0,
+            shipping_per_item_minor: shipping_per_item_minor || 0,
+            free_shipping_over_minor: free_shipping_over_minor === undefined ? null : free_shipping_over_minor,
+        };
+
+        const [rule, created] = await RegionRule.findOrCreate({
+            where: { region: region.toUpperCase(), currency },
+            defaults: values,
+        });
+
+        if (!created) {
+            await rule.update(values);
+        }
+
+        res.status(created ? 201 : 200).json({
+            success: true,
+            message: created ? 'Region rule created' : 'Region rule updated',
+            data: {
+                rule,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Delete a region rule
+ * @route   DELETE /api/pricing/rules/:id
+ * @access  Private (Admin)
+ */
+export const deleteRegionRule = async (req, res, next) => {
+    try {
+        const rule = await RegionRule.findByPk(req.params.id);
+
+        if (!rule) {
+            throw new AppError('Region rule not found', 404);
+        }
+
+        await rule.destroy();
+
+        res.status(200).json({
+            success: true,
+            message: 'Region rule deleted',
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    getRegionRules,
+    upsertRegionRule,
+    deleteRegionRule,
+};
\ No newline at end of file
@@ -0,0 +1,136 @@
+import { PromoCode, Drop } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+/**
+ * Promotion Controller
+ * Admin management of promo codes
+ */
+
+/**
+ * @desc    Create a promo code
+ * @route   POST /api/promotions
+ * @access  Private (Admin)
+ */
+export const createPromoCode = async (req, res, next) => {
+    try {
+        const {
+            code,
+            discount_type,
+            discount_value,
+            currency,
+            drop_id,
+            max_redemptions,
+            max_per_user,
+            starts_at,
+            ends_at,
+        } = req.body;
+
+        if (drop_id) {
+            const drop = await Drop.findByPk(drop_id);
+            if (!drop) {
+                throw new AppError('Drop not found', 404);
+            }
+        }
+
+        const promo = await PromoCode.create({
+            code,
+            discount_type,
+            discount_value,
+            currency,
+            drop_id: drop_id || null,
+            max_redemptions: max_redemptions || null,
+            max_per_user: max_per_user === undefined ? 1 : max_per_user,
+            starts_at: starts_at || null,
+            ends_at: ends_at || null,
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Promo code created successfully',
+            data: {
+                promo,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get all promo codes
+ * @route   GET /api/promotions
+ * @access  Private (Admin/Staff)
+ */
+export const getPromoCodes = async (req, res, next) => {
+    try {
+        const promos = await PromoCode.findAll({
+            include: [
+                {
+                    model: Drop,
+                    as: 'drop',
+                    attributes: ['id', 'name'],
+                },
+            ],
+            order: [['created_at', 'DESC']],
+        });
+
+        res.status(200).json({
+            success: true,
+            count: promos.length,
+            data: {
+                promos,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Update a promo code (limits, window, active flag)
+ * @route   PUT /api/promotions/:id
+ * @access  Private (Admin)
+ */
+export const updatePromoCode = async (req, res, next) => {
+    try {
+        const promo = await PromoCode.findByPk(req.params.id);
+
+        if (!promo) {
+            throw new AppError('Promo code not found', 404);
+        }
+
+        // Code, type and scope are fixed once created; redemptions already reference them
+        const allowedFields = [
+            'discount_value',
+            'max_redemptions',
+            'max_per_user',
+            'starts_at',
+            'ends_at',
+            'is_active',
+        ];
+
+        allowedFields.forEach((field) => {
+            if (req.body[field] !== undefined) {
+                promo[field] = req.body[field];
+            }
+        });
+
+        await promo.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Promo code updated successfully',
+            data: {
+                promo,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    createPromoCode,
+    getPromoCodes,
+    updatePromoCode,
+};
\ No newline at end of file
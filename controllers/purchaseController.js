@@ -1,5 +1,18 @@
-import { Purchase, Reservation, Drop, User, sequelize } from '../models/index.js';
+import {
+    Purchase,
+    Reservation,
+    Drop,
+    DropVariant,
+    User,
+    sequelize,
+} from '../models/index.js';
 import { AppError } from '../middleware/errorHandler.js';
+import { startCheckout } from '../utils/checkout.js';
+import { notifyOrderStatus } from '../utils/orders.js';
+import { createPaymentIntent } from '../utils/payments.js';
+import { scheduleReservationExpiry } from '../utils/reservations.js';
+import { issueInvoice, renderReceiptHtml } from '../utils/invoices.js';
+import { fromMinorUnits, toMinorUnits } from '../utils/money.js';
 
 /**
  * Purchase Controller
@@ -7,7 +20,8 @@ import { AppError } from '../middleware/errorHandler.js';
  */
 
 /**
- * @desc    Complete purchase from reservation
+ * @desc    Start checkout for a reservation (creates a payment intent;
+ *          the purchase is created when the payment settles)
  * @route   POST /api/purchases
  * @access  Private
  */
@@ -15,7 +29,12 @@ export const completePurchase = async (req, res, next) => {
     const transaction = await sequelize.transaction();
 
     try {
-        const { reservationId } = req.body;
+        const {
+            reservationId,
+            promoCode,
+            addressId,
+            region,
+        } = req.body;
         const userId = req.user.id;
 
         // Find and lock reservation
@@ -52,45 +71,49 @@ export const completePurchase = async (req, res, next) => {
             });
         }
 
-        // Mark reservation as completed
-        reservation.status = 'completed';
-        await reservation.save({ transaction });
-
-        // Create purchase record
-        const purchase = await Purchase.create(
-            {
-                user_id: userId,
-                drop_id: reservation.drop_id,
-                price: reservation.drop.price,
-                purchased_at: new Date(),
-            },
-            { transaction }
-        );
+        // Hold the reservation in a one-item order behind a payment intent
+        const { order, payment, change, breakdown } = await startCheckout({
+            userId,
+            reservations: [reservation],
+            promoCode,
+            addressId,
+            region,
+            transaction,
+        });
 
         await transaction.commit();
 
-        // Emit socket event
         const io = req.app.get('io');
-        if (io) {
-            io.emit('purchaseCompleted', {
-                dropId: reservation.drop_id,
-                purchaser: {
-                    id: req.user.id,
-                    username: req.user.username,
-                },
-                purchaseId: purchase.id,
-            });
-        }
+
+        // Re-arm the timer: the reservation is now held until the payment expires
+        scheduleReservationExpiry(reservation);
+
+        notifyOrderStatus(io, order, change);
+
+        // Outside the transaction: a slow gateway holds no locks
+        const clientSecret = await createPaymentIntent(io, payment);
 
         res.status(201).json({
             success: true,
-            message: 'Purchase completed successfully',
+            message: 'Payment required to complete purchase',
             data: {
-                purchase: {
-                    id: purchase.id,
-                    drop_id: purchase.drop_id,
-                    price: purchase.price,
-                    purchased_at: purchase.purchased_at,
+                order: {
+                    id: order.id,
+                    status: order.status,
+                    currency: order.currency,
+                    discount_total: order.discount_total,
+                    total: order.total,
+                    shipping_address: order.shipping_address,
+                },
+                breakdown,
+                payment: {
+                    id: payment.id,
+                    status: payment.status,
+                    amount: payment.amount,
+                    currency: payment.currency,
+                    provider: payment.provider,
+                    client_secret: clientSecret,
+                    expires_at: payment.expires_at,
                 },
                 drop: {
                     id: reservation.drop.id,
@@ -125,6 +148,11 @@ export const getUserPurchases = async (req, res, next) => {
                     as: 'drop',
                     attributes: ['id', 'name', 'image_url', 'description'],
                 },
+                {
+                    model: DropVariant,
+                    as: 'variant',
+                    attributes: ['id', 'size', 'colorway', 'sku'],
+                },
             ],
             order: [['purchased_at', 'DESC']],
             limit: parseInt(limit),
@@ -201,6 +229,11 @@ export const getPurchaseById = async (req, res, next) => {
                     model: Drop,
                     as: 'drop',
                 },
+                {
+                    model: DropVariant,
+                    as: 'variant',
+                    attributes: ['id', 'size', 'colorway', 'sku'],
+                },
             ],
         });
 
@@ -219,10 +252,45 @@ export const getPurchaseById = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Download a printable receipt (issues the invoice on first request)
+ * @route   GET /api/purchases/:id/receipt
+ * @access  Private (owner, Admin/Staff)
+ */
+export const getPurchaseReceipt = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const where = { id };
+
+        // Customers only see their own receipts
+        if (!req.user.hasRole('admin', 'staff')) {
+            where.user_id = req.user.id;
+        }
+
+        const purchase = await Purchase.findOne({ where, attributes: ['id'] });
+
+        if (!purchase) {
+            throw new AppError('Purchase not found', 404);
+        }
+
+        const invoice = await sequelize.transaction(async (transaction) => {
+            return await issueInvoice(purchase.id, transaction);
+        });
+
+        const number = invoice.getInvoiceNumber();
+
+        res.set('Content-Type', 'text/html; charset=utf-8');
+        res.set('Content-Disposition', `inline; filename="receipt-${number}.html"`);
+        res.status(200).send(renderReceiptHtml(invoice));
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * @desc    Get all purchases (admin)
  * @route   GET /api/purchases
- * @access  Private (Admin)
+ * @access  Private (Admin/Staff)
  */
 export const getAllPurchases = async (req, res, next) => {
     try {
@@ -262,21 +330,54 @@ export const getAllPurchases = async (req, res, next) => {
     }
 };
 
+/**
+ * Turn summed DECIMAL columns into a per-currency revenue line
+ * Subtraction happens in minor units so nothing drifts by a cent.
+ * @param {Object} sums - { currency, count, revenue, refunded }
+ * @returns {Object}
+ */
+const toRevenueLine = ({ currency, count, revenue, refunded }) => {
+    const revenueMinor = toMinorUnits(revenue, currency);
+    const refundedMinor = toMinorUnits(refunded, currency);
+
+    return {
+        currency,
+        count: Number(count),
+        revenue: fromMinorUnits(revenueMinor, currency),
+        refunded: fromMinorUnits(refundedMinor, currency),
+        net_revenue: fromMinorUnits(revenueMinor - refundedMinor, currency),
+    };
+};
+
 /**
  * @desc    Get purchase statistics
  * @route   GET /api/purchases/stats
- * @access  Private (Admin)
+ * @access  Private (Admin/Staff)
  */
 export const getPurchaseStats = async (req, res, next) => {
     try {
         const totalPurchases = await Purchase.count();
-        const totalRevenue = await Purchase.sum('price');
 
-        const purchasesByDrop = await Purchase.findAll({
+        // Amounts only add up within one currency, so there is no grand total
+        const revenueByCurrency = await Purchase.findAll({
             attributes: [
-                'drop_id',
+                'currency',
                 [sequelize.fn('COUNT', sequelize.col('id')), 'count'],
                 [sequelize.fn('SUM', sequelize.col('price')), 'revenue'],
+                [sequelize.fn('SUM', sequelize.col('refunded_amount')), 'refunded'],
+            ],
+            group: ['currency'],
+            order: [['currency', 'ASC']],
+            raw: true,
+        });
+
+        const purchasesByDrop = await Purchase.findAll({
+            attributes: [
+                'drop_id',
+                'currency',
+                [sequelize.fn('COUNT', sequelize.col('purchases.id')), 'count'],
+                [sequelize.fn('SUM', sequelize.col('purchases.price')), 'revenue'],
+                [sequelize.fn('SUM', sequelize.col('purchases.refunded_amount')), 'refunded'],
             ],
             include: [
                 {
@@ -285,8 +386,8 @@ export const getPurchaseStats = async (req, res, next) => {
                     attributes: ['name'],
                 },
             ],
-            group: ['drop_id'],
-            order: [[sequelize.fn('COUNT', sequelize.col('id')), 'DESC']],
+            group: [sequelize.col('purchases.drop_id'), sequelize.col('purchases.currency')],
+            order: [[sequelize.fn('COUNT', sequelize.col('purchases.id')), 'DESC']],
         });
 
         res.status(200).json({
@@ -294,8 +395,17 @@ export const getPurchaseStats = async (req, res, next) => {
             data: {
                 stats: {
                     total_purchases: totalPurchases,
-                    total_revenue: parseFloat(totalRevenue || 0),
-                    purchases_by_drop: purchasesByDrop,
+                    revenue_by_currency: revenueByCurrency.map(toRevenueLine),
+                    purchases_by_drop: purchasesByDrop.map((row) => ({
+                        drop_id: row.drop_id,
+                        drop: row.drop,
+                        ...toRevenueLine({
+                            currency: row.currency,
+                            count: row.get('count'),
+                            revenue: row.get('revenue'),
+                            refunded: row.get('refunded'),
+                        }),
+                    })),
                 },
             },
         });
@@ -309,6 +419,7 @@ export default {
     getUserPurchases,
     getDropPurchases,
     getPurchaseById,
+    getPurchaseReceipt,
     getAllPurchases,
     getPurchaseStats,
 };
\ No newline at end of file
@@ -0,0 +1,105 @@
+import { Drop, QueueTicket } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import {
+    describeTicket,
+    getBatchInterval,
+    getServingPosition,
+    joinQueue,
+} from '../utils/waitingRoom.js';
+
+/**
+ * Queue Controller
+ * Handles the virtual waiting room in front of hot drops
+ */
+
+/**
+ * @desc    Join a drop's waiting room
+ * @route   POST /api/queue/:dropId/join
+ * @access  Private
+ */
+export const joinDropQueue = async (req, res, next) => {
+    try {
+        const { dropId } = req.params;
+
+        const drop = await Drop.findByPk(dropId);
+
+        if (!drop) {
+            throw new AppError('Drop not found', 404);
+        }
+
+        if (!drop.queue_enabled) {
+            throw new AppError('This drop does not use a waiting room', 400);
+        }
+
+        const { ticket, created, rejoined } = await joinQueue(drop, req.user.id);
+
+        let message = 'Already in waiting room';
+        if (created) message = 'Joined waiting room';
+        if (rejoined) message = 'Rejoined waiting room';
+
+        res.status(created || rejoined ? 201 : 200).json({
+            success: true,
+            message,
+            data: {
+                ticket: {
+                    id: ticket.id,
+                    drop_id: ticket.drop_id,
+                    joined_at: ticket.joined_at,
+                    ...(await describeTicket(ticket, drop)),
+                },
+                drop_start_time: drop.drop_start_time,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get current user's position, ETA and admission token
+ * @route   GET /api/queue/:dropId
+ * @access  Private
+ */
+export const getQueueStatus = async (req, res, next) => {
+    try {
+        const { dropId } = req.params;
+
+        const drop = await Drop.findByPk(dropId);
+
+        if (!drop) {
+            throw new AppError('Drop not found', 404);
+        }
+
+        const ticket = await QueueTicket.findOne({
+            where: { drop_id: dropId, user_id: req.user.id },
+        });
+
+        if (!ticket) {
+            throw new AppError('You are not in the waiting room for this drop', 404);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                ticket: {
+                    id: ticket.id,
+                    drop_id: ticket.drop_id,
+                    joined_at: ticket.joined_at,
+                    ...(await describeTicket(ticket, drop)),
+                },
+                queue: {
+                    serving_position: await getServingPosition(drop.id),
+                    batch_size: drop.queue_batch_size,
+                    batch_interval_seconds: getBatchInterval(),
+                },
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    joinDropQueue,
+    getQueueStatus,
+};
\ No newline at end of file
@@ -0,0 +1,237 @@
+import { Drop, DropVariant, RaffleEntry, RaffleDraw } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import {
+    drawRaffle,
+    getOrCreateDraw,
+    notifyRaffleWinner,
+    verifyDraw,
+} from '../utils/raffle.js';
+import { scheduleReservationExpiry } from '../utils/reservations.js';
+import { publishDropEvent, publishStockUpdate } from '../utils/events.js';
+
+/**
+ * Raffle Controller
+ * Handles raffle entries, draws and public verification
+ */
+
+/**
+ * @desc    Enter a raffle drop
+ * @route   POST /api/raffles/:dropId/entries
+ * @access  Private
+ */
+export const enterRaffle = async (req, res, next) => {
+    try {
+        const { dropId } = req.params;
+        const { variantId } = req.body;
+        const userId = req.user.id;
+
+        const drop = await Drop.findByPk(dropId);
+
+        if (!drop) {
+            throw new AppError('Drop not found', 404);
+        }
+
+        if (!drop.isRaffle()) {
+            throw new AppError('Drop is not a raffle', 400);
+        }
+
+        if (!drop.isEntryOpen()) {
+            throw new AppError('Raffle entry window is closed', 400);
+        }
+
+        const variantCount = await DropVariant.count({ where: { drop_id: dropId } });
+
+        if (variantCount > 0) {
+            if (!variantId) {
+                throw new AppError('Please select a size', 400);
+            }
+
+            const variant = await DropVariant.findOne({
+                where: { id: variantId, drop_id: dropId },
+            });
+
+            if (!variant) {
+                throw new AppError('Variant not found for this drop', 404);
+            }
+        }
+
+        const existingEntry = await RaffleEntry.findOne({
+            where: { drop_id: dropId, user_id: userId },
+        });
+
+        if (existingEntry) {
+            throw new AppError('You have already entered this raffle', 409);
+        }
+
+        // Make sure the seed commitment is published before entries close
+        const draw = await getOrCreateDraw(drop.id);
+
+        const entry = await RaffleEntry.create({
+            drop_id: drop.id,
+            user_id: userId,
+            variant_id: variantCount > 0 ? variantId : null,
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Raffle entry received',
+            data: {
+                entry,
+                seed_hash: draw.seed_hash,
+                entry_end_time: drop.entry_end_time,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get current user's raffle entry
+ * @route   GET /api/raffles/:dropId/entries/me
+ * @access  Private
+ */
+export const getMyRaffleEntry = async (req, res, next) => {
+    try {
+        const { dropId } = req.params;
+
+        const entry = await RaffleEntry.findOne({
+            where: { drop_id: dropId, user_id: req.user.id },
+            include: [
+                {
+                    model: DropVariant,
+                    as: 'variant',
+                    attributes: ['id', 'size', 'colorway', 'sku'],
+                },
+            ],
+        });
+
+        if (!entry) {
+            throw new AppError('Raffle entry not found', 404);
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                entry,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get raffle status and (after the draw) seed and results
+ * @route   GET /api/raffles/:dropId
+ * @access  Public
+ */
+export const getRaffle = async (req, res, next) => {
+    try {
+        const { dropId } = req.params;
+
+        const drop = await Drop.findByPk(dropId);
+
+        if (!drop || !drop.isRaffle()) {
+            throw new AppError('Raffle not found', 404);
+        }
+
+        const [draw, entryCount] = await Promise.all([
+            RaffleDraw.findOne({ where: { drop_id: dropId } }),
+            RaffleEntry.count({ where: { drop_id: dropId } }),
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                raffle: {
+                    drop_id: drop.id,
+                    name: drop.name,
+                    entry_start_time: drop.entry_start_time,
+                    entry_end_time: drop.entry_end_time,
+                    is_entry_open: drop.isEntryOpen(),
+                    entry_count: entryCount,
+                    draw: draw ? draw.toPublicJSON() : null,
+                },
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Run the raffle draw now (entry window must be closed)
+ * @route   POST /api/raffles/:dropId/draw
+ * @access  Private (Admin)
+ */
+export const triggerRaffleDraw = async (req, res, next) => {
+    try {
+        const { dropId } = req.params;
+
+        const { draw, drop, winners } = await drawRaffle(dropId);
+
+        for (const { entry, reservation } of winners) {
+            scheduleReservationExpiry(reservation);
+            await notifyRaffleWinner(entry, reservation, drop);
+        }
+
+        const io = req.app.get('io');
+        publishDropEvent(io, drop.id, 'raffleDrawn', {
+            entryCount: draw.entry_count,
+            winnerCount: draw.winner_count,
+            seedHash: draw.seed_hash,
+        });
+        await publishStockUpdate(io, drop, { reason: 'raffle_drawn' });
+
+        res.status(200).json({
+            success: true,
+            message: 'Raffle drawn successfully',
+            data: {
+                draw: draw.toPublicJSON(),
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Recompute the stored draw from its seed and compare
+ * @route   GET /api/raffles/:dropId/verify
+ * @access  Public
+ */
+export const verifyRaffleDraw = async (req, res, next) => {
+    try {
+        const { dropId } = req.params;
+
+        const draw = await RaffleDraw.findOne({ where: { drop_id: dropId } });
+
+        if (!draw || draw.status !== 'drawn') {
+            throw new AppError('Raffle has not been drawn yet', 404);
+        }
+
+        const verification = verifyDraw(draw);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                algorithm: draw.algorithm,
+                seed: draw.seed,
+                seed_hash: draw.seed_hash,
+                entries_hash: draw.entries_hash,
+                ...verification,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    enterRaffle,
+    getMyRaffleEntry,
+    getRaffle,
+    triggerRaffleDraw,
+    verifyRaffleDraw,
+};
\ No newline at end of file
@@ -0,0 +1,212 @@
+import {
+    Refund,
+    Purchase,
+    Drop,
+    User,
+} from '../models/index.js';
+import { approveRefund, rejectRefund, requestRefund } from '../utils/refunds.js';
+import { notifyOrderStatus } from '../utils/orders.js';
+import { emitRefundUpdated, publishStockUpdate } from '../utils/events.js';
+
+/**
+ * Refund Controller
+ * Refund/return requests and their admin review
+ */
+
+/**
+ * @desc    Request a (partial) refund or return for a purchase
+ * @route   POST /api/refunds
+ * @access  Private
+ */
+export const createRefundRequest = async (req, res, next) => {
+    try {
+        const { purchaseId, amount, reason, isReturn } = req.body;
+
+        const refund = await requestRefund({
+            purchaseId,
+            userId: req.user.id,
+            amount,
+            reason,
+            isReturn,
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Refund requested',
+            data: {
+                refund,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get user's refund requests
+ * @route   GET /api/refunds/user
+ * @access  Private
+ */
+export const getUserRefunds = async (req, res, next) => {
+    try {
+        const refunds = await Refund.findAll({
+            where: { user_id: req.user.id },
+            include: [
+                {
+                    model: Purchase,
+                    as: 'purchase',
+                    attributes: ['id', 'drop_id', 'price', 'refunded_amount'],
+                },
+            ],
+            order: [['created_at', 'DESC']],
+        });
+
+        res.status(200).json({
+            success: true,
+            count: refunds.length,
+            data: {
+                refunds,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get all refund requests (admin)
+ * @route   GET /api/refunds
+ * @access  Private (Admin/Staff)
+ */
+export const getAllRefunds = async (req, res, next) => {
+    try {
+        const { status = 'requested', page = 1, limit = 20 } = req.query;
+        const offset = (page - 1) * limit;
+
+        const { count, rows: refunds } = await Refund.findAndCountAll({
+            where: { status },
+            include: [
+                {
+                    model: User,
+                    as: 'user',
+                    attributes: ['id', 'username', 'email'],
+                },
+                {
+                    model: Purchase,
+                    as: 'purchase',
+                    attributes: ['id', 'drop_id', 'variant_id', 'order_id', 'price', 'refunded_amount'],
+                },
+            ],
+            order: [['created_at', 'ASC']],
+            limit: parseInt(limit),
+            offset: parseInt(offset),
+        });
+
+        res.status(200).json({
+            success: true,
+            count: refunds.length,
+            total: count,
+            page: parseInt(page),
+            totalPages: Math.ceil(count / limit),
+            data: {
+                refunds,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Approve a refund request
+ * @route   PUT /api/refunds/:id/approve
+ * @access  Private (Admin)
+ */
+export const approveRefundRequest = async (req, res, next) => {
+    try {
+        const { amount, restock, note } = req.body;
+
+        const { refund, purchase, order, change, restockedDropIds } = await approveRefund({
+            refundId: req.params.id,
+            reviewer: req.user,
+            amount,
+            restock,
+            note,
+        });
+
+        // Emit socket events
+        const io = req.app.get('io');
+        emitRefundUpdated(io, refund.user_id, {
+            refundId: refund.id,
+            purchaseId: purchase.id,
+            status: refund.status,
+            amount: refund.amount,
+        });
+
+        for (const dropId of restockedDropIds) {
+            await publishStockUpdate(io, await Drop.findByPk(dropId), { reason: 'refund_restock' });
+        }
+
+        if (change) {
+            notifyOrderStatus(io, order, change);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Refund approved',
+            data: {
+                refund,
+                purchase: {
+                    id: purchase.id,
+                    price: purchase.price,
+                    refunded_amount: purchase.refunded_amount,
+                },
+                restocked: refund.restocked,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Reject a refund request
+ * @route   PUT /api/refunds/:id/reject
+ * @access  Private (Admin)
+ */
+export const rejectRefundRequest = async (req, res, next) => {
+    try {
+        const refund = await rejectRefund({
+            refundId: req.params.id,
+            reviewer: req.user,
+            note: req.body.note,
+        });
+
+        const io = req.app.get('io');
+        if (io) {
+            emitRefundUpdated(io, refund.user_id, {
+                refundId: refund.id,
+                purchaseId: refund.purchase_id,
+                status: refund.status,
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Refund rejected',
+            data: {
+                refund,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    createRefundRequest,
+    getUserRefunds,
+    getAllRefunds,
+    approveRefundRequest,
+    rejectRefundRequest,
+};
\ No newline at end of file
@@ -1,5 +1,9 @@
-import { Reservation, Drop, User, sequelize } from '../models/index.js';
+import { Reservation, Drop, DropVariant, Purchase, User, sequelize } from '../models/index.js';
 import { AppError } from '../middleware/errorHandler.js';
+import { notifyRaffleWinner, promoteRaffleAlternate } from '../utils/raffle.js';
+import { verifyAdmissionToken } from '../utils/waitingRoom.js';
+import { clearReservationExpiry, scheduleReservationExpiry } from '../utils/reservations.js';
+import { emitReservationUpdated, publishDropEvent, publishStockUpdate } from '../utils/events.js';
 import { Op, Transaction } from 'sequelize';
 
 /**
@@ -18,7 +22,8 @@ export const reserveItem = async (req, res, next) => {
     });
 
     try {
-        const { dropId } = req.body;
+        const { dropId, variantId } = req.body;
+        const quantity = parseInt(req.body.quantity, 10) || 1;
         const userId = req.user.id;
 
         // Check if user already has an active reservation for this drop
@@ -57,6 +62,16 @@ export const reserveItem = async (req, res, next) => {
             });
         }
 
+        // Raffle drops are sold through the draw, not first-come-first-served
+        if (drop.isRaffle()) {
+            if (!transaction.finished) await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                code: 'RAFFLE_DROP',
+                message: 'This drop is a raffle. Enter the raffle during the entry window.',
+            });
+        }
+
         // Check if drop has started
         if (!drop.hasStarted()) {
             if (!transaction.finished) await transaction.rollback();
@@ -66,51 +81,158 @@ export const reserveItem = async (req, res, next) => {
             });
         }
 
+        if (quantity > drop.max_per_reservation) {
+            if (!transaction.finished) await transaction.rollback();
+            return res.status(400).json({
+                success: false,
+                message: `At most ${drop.max_per_reservation} per reservation for this drop`,
+            });
+        }
+
+        // Waiting room drops require an admission token
+        let queueTicket = null;
+        if (drop.queue_enabled) {
+            queueTicket = await verifyAdmissionToken(
+                req.body.admissionToken || req.headers['x-queue-token'],
+                { dropId, userId, transaction }
+            );
+
+            if (!queueTicket) {
+                if (!transaction.finished) await transaction.rollback();
+                return res.status(403).json({
+                    success: false,
+                    code: 'QUEUE_ADMISSION_REQUIRED',
+                    message: 'Join the waiting room and wait for admission before reserving',
+                });
+            }
+        }
+
+        // Enforce per-user limit while holding the drop lock (RACE SAFE)
+        const [purchasedCount, activeCount] = await Promise.all([
+            // Units that were returned to stock or fully refunded don't count
+            Purchase.sum('quantity', {
+                where: {
+                    user_id: userId,
+                    drop_id: dropId,
+                    restocked_at: null,
+                    [Op.or]: [
+                        { refunded_amount: 0 },
+                        sequelize.where(sequelize.col('refunded_amount'), Op.lt, sequelize.col('price')),
+                    ],
+                },
+                transaction,
+            }),
+            Reservation.sum('quantity', {
+                where: {
+                    user_id: userId,
+                    drop_id: dropId,
+                    status: 'active',
+                    expires_at: {
+                        [Op.gt]: new Date(),
+                    },
+                },
+                transaction,
+            }),
+        ]);
+
+        if (!drop.allowsAnotherFor((purchasedCount || 0) + (activeCount || 0), quantity)) {
+            if (!transaction.finished) await transaction.rollback();
+            return res.status(409).json({
+                success: false,
+                code: 'PURCHASE_LIMIT_REACHED',
+                message: `Limit of ${drop.max_per_user} per customer reached for this drop`,
+                data: {
+                    max_per_user: drop.max_per_user,
+                    purchased: purchasedCount || 0,
+                    reserved: activeCount || 0,
+                    requested: quantity,
+                },
+            });
+        }
+
+        // Lock the selected variant row (lock order: drop -> variant)
+        let variant = null;
+        const variantCount = await DropVariant.count({
+            where: { drop_id: dropId },
+            transaction,
+        });
+
+        if (variantCount > 0) {
+            if (!variantId) {
+                if (!transaction.finished) await transaction.rollback();
+                return res.status(400).json({
+                    success: false,
+                    message: 'Please select a size',
+                });
+            }
+
+            variant = await DropVariant.findOne({
+                where: { id: variantId, drop_id: dropId },
+                lock: transaction.LOCK.UPDATE,
+                transaction,
+            });
+
+            if (!variant) {
+                if (!transaction.finished) await transaction.rollback();
+                return res.status(404).json({
+                    success: false,
+                    message: 'Variant not found for this drop',
+                });
+            }
+        }
+
         // Check if stock is available (ATOMIC CHECK)
-        if (drop.stock <= 0) {
+        const available = variant ? variant.stock : drop.stock;
+        if (available < quantity) {
             if (!transaction.finished) await transaction.rollback();
+            const label = variant ? `Size ${variant.size}` : 'This drop';
             return res.status(400).json({
                 success: false,
-                message: 'Out of stock',
+                message: available <= 0
+                    ? (variant ? `Size ${variant.size} is out of stock` : 'Out of stock')
+                    : `${label} only has ${available} left`,
             });
         }
 
-        // Decrease stock by 1 (ATOMIC OPERATION)
-        drop.stock -= 1;
+        // Decrease stock by the reserved quantity (ATOMIC OPERATION)
+        if (variant) {
+            variant.stock -= quantity;
+            await variant.save({ transaction });
+        }
+        drop.stock -= quantity;
         await drop.save({ transaction });
 
-        // Create reservation
-        const expirationDuration = parseInt(process.env.RESERVATION_DURATION) || 60000;
-        const expiresAt = new Date(Date.now() + expirationDuration);
+        // Create reservation (hold length is per drop)
+        const expiresAt = new Date(Date.now() + drop.getHoldDuration());
 
         const reservation = await Reservation.create(
             {
                 user_id: userId,
                 drop_id: dropId,
+                variant_id: variant ? variant.id : null,
+                quantity,
                 status: 'active',
                 expires_at: expiresAt,
             },
             { transaction }
         );
 
+        // Admission is single-use
+        if (queueTicket) {
+            queueTicket.status = 'used';
+            await queueTicket.save({ transaction });
+        }
+
         // Commit transaction
         await transaction.commit();
 
-        // Emit socket event for stock update
-        const io = req.app.get('io');
-        if (io) {
-            io.emit('stockUpdate', {
-                dropId: drop.id,
-                newStock: drop.stock,
-                reservedBy: req.user.username,
-            });
+        scheduleReservationExpiry(reservation);
 
-            io.emit('reservationCreated', {
-                reservationId: reservation.id,
-                dropId: drop.id,
-                userId: userId,
-            });
-        }
+        // Emit socket event for stock update (anonymous; the holder gets
+        // their countdown privately from the expiry timer)
+        const io = req.app.get('io');
+        await publishStockUpdate(io, drop);
+        publishDropEvent(io, drop.id, 'reservationCreated', { quantity });
 
         res.status(201).json({
             success: true,
@@ -119,15 +241,25 @@ export const reserveItem = async (req, res, next) => {
                 reservation: {
                     id: reservation.id,
                     drop_id: reservation.drop_id,
+                    variant_id: reservation.variant_id,
+                    quantity: reservation.quantity,
                     status: reservation.status,
                     expires_at: reservation.expires_at,
                     remaining_seconds: reservation.getRemainingTime(),
+                    extension_seconds: drop.extension_seconds,
                 },
                 drop: {
                     id: drop.id,
                     name: drop.name,
                     stock: drop.stock,
                 },
+                variant: variant && {
+                    id: variant.id,
+                    size: variant.size,
+                    colorway: variant.colorway,
+                    sku: variant.sku,
+                    stock: variant.stock,
+                },
             },
         });
     } catch (error) {
@@ -163,6 +295,11 @@ export const getUserReservations = async (req, res, next) => {
                     as: 'drop',
                     attributes: ['id', 'name', 'price', 'image_url'],
                 },
+                {
+                    model: DropVariant,
+                    as: 'variant',
+                    attributes: ['id', 'size', 'colorway', 'sku'],
+                },
             ],
             order: [['created_at', 'DESC']],
         });
@@ -201,6 +338,11 @@ export const getReservationById = async (req, res, next) => {
                     model: Drop,
                     as: 'drop',
                 },
+                {
+                    model: DropVariant,
+                    as: 'variant',
+                    attributes: ['id', 'size', 'colorway', 'sku'],
+                },
             ],
         });
 
@@ -259,6 +401,9 @@ export const cancelReservation = async (req, res, next) => {
         reservation.status = 'expired';
         await reservation.save({ transaction });
 
+        // Raffle slots pass to the next alternate instead of returning to stock
+        const promotion = await promoteRaffleAlternate(reservation, transaction);
+
         // Return stock to drop
         const drop = await Drop.findOne({
             where: { id: reservation.drop_id },
@@ -266,27 +411,53 @@ export const cancelReservation = async (req, res, next) => {
             lock: transaction.LOCK.UPDATE,
         });
 
-        if (drop) {
-            drop.stock += 1;
+        if (drop && !promotion) {
+            drop.stock += reservation.quantity;
             await drop.save({ transaction });
         }
 
+        // Return stock to the reserved variant
+        if (reservation.variant_id && !promotion) {
+            const variant = await DropVariant.findOne({
+                where: { id: reservation.variant_id },
+                transaction,
+                lock: transaction.LOCK.UPDATE,
+            });
+
+            if (variant) {
+                variant.stock += reservation.quantity;
+                await variant.save({ transaction });
+            }
+        }
+
         await transaction.commit();
 
+        clearReservationExpiry(reservation.id);
+        if (promotion) {
+            scheduleReservationExpiry(promotion.reservation);
+        }
+
         // Emit socket event
         const io = req.app.get('io');
         if (io && drop) {
-            io.emit('stockUpdate', {
-                dropId: drop.id,
-                newStock: drop.stock,
+            await publishStockUpdate(io, drop);
+            publishDropEvent(io, drop.id, 'reservationCancelled', {
+                quantity: reservation.quantity,
             });
 
-            io.emit('reservationCancelled', {
+            emitReservationUpdated(io, reservation.user_id, {
                 reservationId: reservation.id,
-                dropId: drop.id,
+                dropId: reservation.drop_id,
+                variantId: reservation.variant_id,
+                status: reservation.status,
+                reason: 'reservation_cancelled',
             });
         }
 
+        if (promotion && drop) {
+            await notifyRaffleWinner(promotion.entry, promotion.reservation, drop);
+        }
+
         res.status(200).json({
             success: true,
             message: 'Reservation cancelled successfully',
@@ -299,10 +470,96 @@ export const cancelReservation = async (req, res, next) => {
     }
 };
 
+/**
+ * @desc    Extend an active reservation once by the drop's extension_seconds
+ * @route   POST /api/reservations/:id/extend
+ * @access  Private
+ */
+export const extendReservation = async (req, res, next) => {
+    const transaction = await sequelize.transaction({
+        isolationLevel: Transaction.ISOLATION_LEVELS.READ_COMMITTED,
+    });
+
+    try {
+        const { id } = req.params;
+
+        // Same row lock the expiry timer and cron take, so whichever gets
+        // it first wins: an expired reservation can't be extended and an
+        // extended one is re-checked and left alone by the expiry.
+        const reservation = await Reservation.findOne({
+            where: { id, user_id: req.user.id },
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+
+        if (!reservation) {
+            throw new AppError('Reservation not found', 404);
+        }
+
+        if (!reservation.isActive()) {
+            throw new AppError('Reservation is no longer active', 409);
+        }
+
+        if (reservation.extended_at) {
+            throw new AppError('Reservation has already been extended', 409);
+        }
+
+        const drop = await Drop.findByPk(reservation.drop_id, { transaction });
+
+        if (!drop || !drop.allowsExtension()) {
+            throw new AppError('This drop does not allow reservation extensions', 400);
+        }
+
+        reservation.expires_at = new Date(
+            new Date(reservation.expires_at).getTime() + drop.extension_seconds * 1000
+        );
+        reservation.extended_at = new Date();
+        await reservation.save({ transaction });
+
+        await transaction.commit();
+
+        scheduleReservationExpiry(reservation);
+
+        const io = req.app.get('io');
+        if (io) {
+            emitReservationUpdated(io, reservation.user_id, {
+                reservationId: reservation.id,
+                dropId: reservation.drop_id,
+                variantId: reservation.variant_id,
+                status: reservation.status,
+                reason: 'reservation_extended',
+                expiresAt: reservation.expires_at,
+                remainingSeconds: reservation.getRemainingTime(),
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Reservation extended by ${drop.extension_seconds} seconds`,
+            data: {
+                reservation: {
+                    id: reservation.id,
+                    drop_id: reservation.drop_id,
+                    variant_id: reservation.variant_id,
+                    status: reservation.status,
+                    expires_at: reservation.expires_at,
+                    extended_at: reservation.extended_at,
+                    remaining_seconds: reservation.getRemainingTime(),
+                },
+            },
+        });
+    } catch (error) {
+        if (!transaction.finished) {
+            await transaction.rollback();
+        }
+        next(error);
+    }
+};
+
 /**
  * @desc    Get all active reservations (admin)
  * @route   GET /api/reservations
- * @access  Private (Admin)
+ * @access  Private (Admin/Staff)
  */
 export const getAllReservations = async (req, res, next) => {
     try {
@@ -321,6 +578,11 @@ export const getAllReservations = async (req, res, next) => {
                     as: 'drop',
                     attributes: ['id', 'name', 'price'],
                 },
+                {
+                    model: DropVariant,
+                    as: 'variant',
+                    attributes: ['id', 'size', 'colorway', 'sku'],
+                },
             ],
             order: [['created_at', 'DESC']],
         });
@@ -342,5 +604,6 @@ export default {
     getUserReservations,
     getReservationById,
     cancelReservation,
+    extendReservation,
     getAllReservations,
 };
\ No newline at end of file
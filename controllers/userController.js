@@ -1,6 +1,17 @@
-import { User } from '../models/index.js';
-import { generateToken } from '../middleware/auth.js';
+import { User, RoleChange, sequelize } from '../models/index.js';
 import { AppError } from '../middleware/errorHandler.js';
+import {
+    issueTokens,
+    rotateRefreshToken,
+    revokeFamily,
+    revokeAllForUser,
+} from '../utils/sessions.js';
+import {
+    consumeUserToken,
+    provesCurrentEmail,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+} from '../utils/userTokens.js';
 
 /**
  * User Controller
@@ -40,8 +51,15 @@ export const register = async (req, res, next) => {
             password,
         });
 
-        // Generate token
-        const token = generateToken({ id: user.id, email: user.email });
+        // Send verification email (registration succeeds even if mail fails)
+        try {
+            await sendVerificationEmail(user);
+        } catch (mailError) {
+            console.error('Failed to send verification email:', mailError.message);
+        }
+
+        // Start a session (access + refresh token)
+        const { token, refreshToken } = await issueTokens(user, { req });
 
         res.status(201).json({
             success: true,
@@ -51,9 +69,12 @@ export const register = async (req, res, next) => {
                     id: user.id,
                     username: user.username,
                     email: user.email,
+                    role: user.role,
+                    email_verified: user.isVerified(),
                     created_at: user.created_at,
                 },
                 token,
+                refreshToken,
             },
         });
     } catch (error) {
@@ -86,8 +107,8 @@ export const login = async (req, res, next) => {
             throw new AppError('Invalid email or password', 401);
         }
 
-        // Generate token
-        const token = generateToken({ id: user.id, email: user.email });
+        // Start a session (access + refresh token)
+        const { token, refreshToken } = await issueTokens(user, { req });
 
         res.status(200).json({
             success: true,
@@ -97,8 +118,74 @@ export const login = async (req, res, next) => {
                     id: user.id,
                     username: user.username,
                     email: user.email,
+                    role: user.role,
+                    email_verified: user.isVerified(),
                 },
                 token,
+                refreshToken,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Exchange a refresh token for a new token pair
+ * @route   POST /api/users/refresh
+ * @access  Public
+ */
+export const refresh = async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body;
+
+        const { token, refreshToken: nextRefreshToken } = await rotateRefreshToken(refreshToken, req);
+
+        res.status(200).json({
+            success: true,
+            message: 'Token refreshed successfully',
+            data: {
+                token,
+                refreshToken: nextRefreshToken,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Logout current session
+ * @route   POST /api/users/logout
+ * @access  Private
+ */
+export const logout = async (req, res, next) => {
+    try {
+        await revokeFamily(req.authSession.family_id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out successfully',
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Logout from all devices
+ * @route   POST /api/users/logout-all
+ * @access  Private
+ */
+export const logoutAll = async (req, res, next) => {
+    try {
+        const revoked = await revokeAllForUser(req.user.id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out from all devices',
+            data: {
+                sessions_revoked: revoked,
             },
         });
     } catch (error) {
@@ -148,10 +235,22 @@ export const updateProfile = async (req, res, next) => {
 
         // Update fields if provided
         if (username) user.username = username;
-        if (email) user.email = email;
+        if (email && email !== user.email) {
+            user.email = email;
+            user.email_verified_at = null;
+        }
 
+        const emailChanged = user.changed('email');
         await user.save();
 
+        if (emailChanged) {
+            try {
+                await sendVerificationEmail(user);
+            } catch (mailError) {
+                console.error('Failed to send verification email:', mailError.message);
+            }
+        }
+
         res.status(200).json({
             success: true,
             message: 'Profile updated successfully',
@@ -160,6 +259,110 @@ export const updateProfile = async (req, res, next) => {
                     id: user.id,
                     username: user.username,
                     email: user.email,
+                    email_verified: user.isVerified(),
+                },
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Request a password reset email
+ * @route   POST /api/users/forgot-password
+ * @access  Public
+ */
+export const forgotPassword = async (req, res, next) => {
+    try {
+        const { email } = req.body;
+
+        const user = await User.findOne({
+            where: { email },
+        });
+
+        // Always respond the same way so account existence isn't leaked,
+        // including when the mail can't be sent
+        if (user) {
+            try {
+                await sendPasswordResetEmail(user);
+            } catch (mailError) {
+                console.error('Failed to send password reset email:', mailError.message);
+            }
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'If that email is registered, a reset link has been sent',
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Reset password using a reset token
+ * @route   POST /api/users/reset-password
+ * @access  Public
+ */
+export const resetPassword = async (req, res, next) => {
+    try {
+        const { token, password } = req.body;
+
+        await sequelize.transaction(async (transaction) => {
+            const { user, userToken } = await consumeUserToken(token, 'password_reset', transaction);
+
+            // Password will be hashed by model hook
+            user.password = password;
+
+            // Receiving the reset mail proves ownership of the address it went to
+            if (!user.email_verified_at && provesCurrentEmail(userToken, user)) {
+                user.email_verified_at = new Date();
+            }
+
+            await user.save({ transaction });
+
+            // Sign out every existing session
+            await revokeAllForUser(user.id, transaction);
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Password reset successfully. Please login again.',
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Verify email address using a verification token
+ * @route   POST /api/users/verify-email
+ * @access  Public
+ */
+export const verifyEmail = async (req, res, next) => {
+    try {
+        const { token } = req.body;
+
+        const user = await sequelize.transaction(async (transaction) => {
+            const { user } = await consumeUserToken(token, 'email_verification', transaction);
+
+            if (!user.email_verified_at) {
+                user.email_verified_at = new Date();
+                await user.save({ transaction });
+            }
+
+            return user;
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Email verified successfully',
+            data: {
+                user: {
+                    id: user.id,
+                    email: user.email,
+                    email_verified: true,
                 },
             },
         });
@@ -169,9 +372,31 @@ export const updateProfile = async (req, res, next) => {
 };
 
 /**
- * @desc    Get all users (admin only - for testing)
+ * @desc    Resend email verification link
+ * @route   POST /api/users/resend-verification
+ * @access  Private
+ */
+export const resendVerification = async (req, res, next) => {
+    try {
+        if (req.user.isVerified()) {
+            throw new AppError('Email is already verified', 400);
+        }
+
+        await sendVerificationEmail(req.user);
+
+        res.status(200).json({
+            success: true,
+            message: 'Verification email sent',
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get all users
  * @route   GET /api/users
- * @access  Public (should be admin only in production)
+ * @access  Private (Admin)
  */
 export const getAllUsers = async (req, res, next) => {
     try {
@@ -191,10 +416,170 @@ export const getAllUsers = async (req, res, next) => {
     }
 };
 
+/**
+ * Apply a role change and record it in the audit trail
+ * @param {Object} params - Change parameters
+ * @param {number} params.userId - Target user ID
+ * @param {string} params.role - New role
+ * @param {Object} params.actor - User performing the change
+ * @param {string} [params.reason] - Optional reason
+ * @returns {Promise<{ user: Object, change: Object }>}
+ */
+const changeUserRole = async ({ userId, role, actor, reason }) => {
+    if (Number(userId) === actor.id) {
+        throw new AppError('You cannot change your own role', 400);
+    }
+
+    return await sequelize.transaction(async (transaction) => {
+        const user = await User.findByPk(userId, {
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+
+        if (!user) {
+            throw new AppError('User not found', 404);
+        }
+
+        if (user.role === role) {
+            throw new AppError(`User already has role '${role}'`, 400);
+        }
+
+        const oldRole = user.role;
+        user.role = role;
+        await user.save({ transaction });
+
+        const change = await RoleChange.create(
+            {
+                user_id: user.id,
+                changed_by: actor.id,
+                old_role: oldRole,
+                new_role: role,
+                reason: reason || null,
+            },
+            { transaction }
+        );
+
+        return { user, change };
+    });
+};
+
+/**
+ * @desc    Grant a role to a user
+ * @route   PUT /api/users/:id/role
+ * @access  Private (Admin)
+ */
+export const updateUserRole = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { role, reason } = req.body;
+
+        const { user, change } = await changeUserRole({
+            userId: id,
+            role,
+            actor: req.user,
+            reason,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Role '${role}' granted successfully`,
+            data: {
+                user: {
+                    id: user.id,
+                    username: user.username,
+                    email: user.email,
+                    role: user.role,
+                },
+                change,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Revoke a user's elevated role (back to customer)
+ * @route   DELETE /api/users/:id/role
+ * @access  Private (Admin)
+ */
+export const revokeUserRole = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+        const { reason } = req.body || {};
+
+        const { user, change } = await changeUserRole({
+            userId: id,
+            role: 'customer',
+            actor: req.user,
+            reason,
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Role revoked successfully',
+            data: {
+                user: {
+                    id: user.id,
+                    username: user.username,
+                    email: user.email,
+                    role: user.role,
+                },
+                change,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @desc    Get role change history for a user
+ * @route   GET /api/users/:id/role-changes
+ * @access  Private (Admin)
+ */
+export const getRoleChanges = async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const changes = await RoleChange.findAll({
+            where: { user_id: id },
+            include: [
+                {
+                    model: User,
+                    as: 'changedBy',
+                    attributes: ['id', 'username'],
+                },
+            ],
+            order: [['created_at', 'DESC']],
+        });
+
+        res.status(200).json({
+            success: true,
+            count: changes.length,
+            data: {
+                changes,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 export default {
     register,
     login,
+    refresh,
+    logout,
+    logoutAll,
     getProfile,
     updateProfile,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
     getAllUsers,
+    updateUserRole,
+    revokeUserRole,
+    getRoleChanges,
 };
\ No newline at end of file
@@ -57,6 +57,17 @@ const options = {
                             format: 'email',
                             description: 'Email address',
                         },
+                        role: {
+                            type: 'string',
+                            enum: ['customer', 'staff', 'admin'],
+                            description: 'Access role',
+                        },
+                        email_verified_at: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                            description: 'When the email address was verified',
+                        },
                         created_at: {
                             type: 'string',
                             format: 'date-time',
@@ -82,7 +93,12 @@ const options = {
                         price: {
                             type: 'number',
                             format: 'float',
-                            description: 'Price in USD',
+                            description: 'Price in the drop currency',
+                        },
+                        currency: {
+                            type: 'string',
+                            example: 'USD',
+                            description: 'ISO 4217 currency code',
                         },
                         stock: {
                             type: 'integer',
@@ -92,6 +108,24 @@ const options = {
                             type: 'integer',
                             description: 'Initial stock quantity',
                         },
+                        max_per_user: {
+                            type: 'integer',
+                            nullable: true,
+                            description: 'Max pairs per customer (purchases + active reservations), null for unlimited',
+                        },
+                        max_per_reservation: {
+                            type: 'integer',
+                            description: 'Max pairs a single reservation may hold',
+                        },
+                        hold_seconds: {
+                            type: 'integer',
+                            nullable: true,
+                            description: 'Reservation hold length, null for the RESERVATION_DURATION default',
+                        },
+                        extension_seconds: {
+                            type: 'integer',
+                            description: 'Seconds a reservation may be extended by, once; 0 disables extensions',
+                        },
                         image_url: {
                             type: 'string',
                             format: 'uri',
@@ -102,6 +136,89 @@ const options = {
                             format: 'date-time',
                             description: 'When drop becomes available',
                         },
+                        mode: {
+                            type: 'string',
+                            enum: ['fcfs', 'raffle'],
+                            description: 'Sale mode',
+                        },
+                        entry_start_time: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                            description: 'Raffle entry window opens',
+                        },
+                        entry_end_time: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                            description: 'Raffle entry window closes and the draw runs',
+                        },
+                        queue_enabled: {
+                            type: 'boolean',
+                            description: 'Reservations require a waiting room admission token',
+                        },
+                        queue_batch_size: {
+                            type: 'integer',
+                            description: 'Users admitted per waiting room batch',
+                        },
+                        variants: {
+                            type: 'array',
+                            items: {
+                                $ref: '#/components/schemas/DropVariant',
+                            },
+                            description: 'Sizes/colorways with per-variant stock',
+                        },
+                    },
+                },
+                DropVariant: {
+                    type: 'object',
+                    properties: {
+                        id: {
+                            type: 'integer',
+                            description: 'Variant ID',
+                        },
+                        drop_id: {
+                            type: 'integer',
+                            description: 'Drop ID',
+                        },
+                        size: {
+                            type: 'string',
+                            description: 'Size label (e.g. US 10)',
+                        },
+                        colorway: {
+                            type: 'string',
+                            description: 'Colorway name',
+                        },
+                        sku: {
+                            type: 'string',
+                            description: 'Unique stock keeping unit',
+                        },
+                        stock: {
+                            type: 'integer',
+                            description: 'Current available stock for this variant',
+                        },
+                        initial_stock: {
+                            type: 'integer',
+                            description: 'Initial stock for this variant',
+                        },
+                    },
+                },
+                DropVariantInput: {
+                    type: 'object',
+                    required: ['size', 'sku', 'stock'],
+                    properties: {
+                        size: {
+                            type: 'string',
+                        },
+                        colorway: {
+                            type: 'string',
+                        },
+                        sku: {
+                            type: 'string',
+                        },
+                        stock: {
+                            type: 'integer',
+                        },
                     },
                 },
                 Reservation: {
@@ -119,15 +236,30 @@ const options = {
                             type: 'integer',
                             description: 'Drop ID',
                         },
+                        variant_id: {
+                            type: 'integer',
+                            nullable: true,
+                            description: 'Reserved variant (size)',
+                        },
                         status: {
                             type: 'string',
                             enum: ['active', 'expired', 'completed'],
                             description: 'Reservation status',
                         },
+                        quantity: {
+                            type: 'integer',
+                            description: 'Pairs held',
+                        },
                         expires_at: {
                             type: 'string',
                             format: 'date-time',
-                            description: 'Expiration timestamp (60 seconds from creation)',
+                            description: 'Expiration timestamp (the drop hold length from creation, plus any extension)',
+                        },
+                        extended_at: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                            description: 'When the one-time extension was used',
                         },
                     },
                 },
@@ -146,10 +278,67 @@ const options = {
                             type: 'integer',
                             description: 'Drop ID',
                         },
+                        variant_id: {
+                            type: 'integer',
+                            nullable: true,
+                            description: 'Purchased variant (size)',
+                        },
+                        quantity: {
+                            type: 'integer',
+                            description: 'Pairs bought',
+                        },
+                        order_id: {
+                            type: 'integer',
+                            description: 'Order the purchase belongs to',
+                        },
+                        currency: {
+                            type: 'string',
+                            example: 'USD',
+                            description: 'ISO 4217 currency code',
+                        },
+                        subtotal_minor: {
+                            type: 'integer',
+                            description: 'Price before discounts, in minor units',
+                        },
+                        discount_minor: {
+                            type: 'integer',
+                            description: 'Promo discount, in minor units',
+                        },
+                        tax_minor: {
+                            type: 'integer',
+                            description: 'Tax, in minor units',
+                        },
+                        shipping_minor: {
+                            type: 'integer',
+                            description: 'Shipping, in minor units',
+                        },
+                        total_minor: {
+                            type: 'integer',
+                            description: 'Amount charged (subtotal - discount + tax + shipping), in minor units',
+                        },
+                        original_price: {
+                            type: 'number',
+                            format: 'float',
+                            description: 'Drop price before discounts',
+                        },
+                        discount_amount: {
+                            type: 'number',
+                            format: 'float',
+                            description: 'Promo discount applied',
+                        },
+                        promo_code_id: {
+                            type: 'integer',
+                            nullable: true,
+                        },
+                        refunded_amount: {
+                            type: 'number',
+                            format: 'float',
+                            description: 'Total approved refunds',
+                        },
                         price: {
                             type: 'number',
                             format: 'float',
-                            description: 'Price at time of purchase',
+                            description: 'Final amount paid, tax and shipping included (decimal copy of total_minor)',
                         },
                         purchased_at: {
                             type: 'string',
@@ -158,6 +347,492 @@ const options = {
                         },
                     },
                 },
+                Order: {
+                    type: 'object',
+                    properties: {
+                        id: {
+                            type: 'integer',
+                            description: 'Order ID',
+                        },
+                        user_id: {
+                            type: 'integer',
+                            description: 'Buyer',
+                        },
+                        status: {
+                            type: 'string',
+                            enum: ['cart', 'awaiting_payment', 'placed', 'paid', 'shipped', 'delivered', 'cancelled', 'refunded'],
+                        },
+                        currency: {
+                            type: 'string',
+                            example: 'USD',
+                            description: 'ISO 4217 currency code',
+                        },
+                        region: {
+                            type: 'string',
+                            nullable: true,
+                            example: 'DE',
+                            description: 'Destination country used for tax and shipping',
+                        },
+                        subtotal_minor: {
+                            type: 'integer',
+                            description: 'Price before discounts, in minor units',
+                        },
+                        discount_minor: {
+                            type: 'integer',
+                            description: 'Promo discount, in minor units',
+                        },
+                        tax_minor: {
+                            type: 'integer',
+                            description: 'Tax, in minor units',
+                        },
+                        shipping_minor: {
+                            type: 'integer',
+                            description: 'Shipping, in minor units',
+                        },
+                        total_minor: {
+                            type: 'integer',
+                            description: 'Amount charged (subtotal - discount + tax + shipping), in minor units',
+                        },
+                        discount_total: {
+                            type: 'number',
+                            format: 'float',
+                        },
+                        total: {
+                            type: 'number',
+                            format: 'float',
+                        },
+                        tracking_number: {
+                            type: 'string',
+                            nullable: true,
+                        },
+                        shipping_address: {
+                            type: 'object',
+                            nullable: true,
+                            description: 'Copy of the address chosen at checkout (address_id plus the address fields)',
+                        },
+                        placed_at: {
+                            type: 'string',
+                            format: 'date-time',
+                        },
+                        purchases: {
+                            type: 'array',
+                            items: {
+                                $ref: '#/components/schemas/Purchase',
+                            },
+                        },
+                        statusHistory: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    from_status: {
+                                        type: 'string',
+                                    },
+                                    to_status: {
+                                        type: 'string',
+                                    },
+                                    note: {
+                                        type: 'string',
+                                        nullable: true,
+                                    },
+                                    changed_by: {
+                                        type: 'integer',
+                                        nullable: true,
+                                    },
+                                    created_at: {
+                                        type: 'string',
+                                        format: 'date-time',
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+                Payment: {
+                    type: 'object',
+                    properties: {
+                        id: {
+                            type: 'integer',
+                            description: 'Payment ID',
+                        },
+                        order_id: {
+                            type: 'integer',
+                            description: 'Order being paid',
+                        },
+                        provider: {
+                            type: 'string',
+                            example: 'mock',
+                        },
+                        amount: {
+                            type: 'number',
+                            format: 'float',
+                        },
+                        currency: {
+                            type: 'string',
+                            example: 'USD',
+                        },
+                        status: {
+                            type: 'string',
+                            enum: ['requires_confirmation', 'processing', 'succeeded', 'failed'],
+                        },
+                        failure_reason: {
+                            type: 'string',
+                            nullable: true,
+                            example: 'card_declined',
+                        },
+                        expires_at: {
+                            type: 'string',
+                            format: 'date-time',
+                            description: 'Payment times out after this',
+                        },
+                        settled_at: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                        },
+                        refund_status: {
+                            type: 'string',
+                            enum: ['due', 'processing', 'refunded'],
+                            nullable: true,
+                            description: 'Set when a failed payment was captured anyway and is being refunded',
+                        },
+                    },
+                },
+                Refund: {
+                    type: 'object',
+                    properties: {
+                        id: {
+                            type: 'integer',
+                        },
+                        purchase_id: {
+                            type: 'integer',
+                        },
+                        status: {
+                            type: 'string',
+                            enum: ['requested', 'processing', 'approved', 'rejected'],
+                        },
+                        amount: {
+                            type: 'number',
+                            format: 'float',
+                        },
+                        is_return: {
+                            type: 'boolean',
+                        },
+                        restocked: {
+                            type: 'boolean',
+                            description: 'Unit went back into stock',
+                        },
+                        reason: {
+                            type: 'string',
+                            nullable: true,
+                        },
+                        review_note: {
+                            type: 'string',
+                            nullable: true,
+                        },
+                    },
+                },
+                PromoCode: {
+                    type: 'object',
+                    properties: {
+                        id: {
+                            type: 'integer',
+                        },
+                        code: {
+                            type: 'string',
+                            example: 'SUMMER10',
+                        },
+                        discount_type: {
+                            type: 'string',
+                            enum: ['percentage', 'fixed'],
+                        },
+                        discount_value: {
+                            type: 'number',
+                            format: 'float',
+                        },
+                        currency: {
+                            type: 'string',
+                            description: 'Currency of a fixed discount',
+                        },
+                        drop_id: {
+                            type: 'integer',
+                            nullable: true,
+                            description: 'NULL for a global code',
+                        },
+                        max_redemptions: {
+                            type: 'integer',
+                            nullable: true,
+                        },
+                        max_per_user: {
+                            type: 'integer',
+                            nullable: true,
+                        },
+                        redemption_count: {
+                            type: 'integer',
+                        },
+                        starts_at: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                        },
+                        ends_at: {
+                            type: 'string',
+                            format: 'date-time',
+                            nullable: true,
+                        },
+                        is_active: {
+                            type: 'boolean',
+                        },
+                    },
+                },
+                PromoCodeInput: {
+                    type: 'object',
+                    required: ['code', 'discount_type', 'discount_value'],
+                    properties: {
+                        code: {
+                            type: 'string',
+                            example: 'SUMMER10',
+                        },
+                        discount_type: {
+                            type: 'string',
+                            enum: ['percentage', 'fixed'],
+                        },
+                        discount_value: {
+                            type: 'number',
+                            example: 10,
+                            description: 'Percent (1-100) or fixed amount off the eligible items',
+                        },
+                        currency: {
+                            type: 'string',
+                            default: 'USD',
+                            description: 'Currency of a fixed discount; only orders in it can use the code',
+                        },
+                        drop_id: {
+                            type: 'integer',
+                            description: 'Limit the code to one drop; omit for a global code',
+                        },
+                        max_redemptions: {
+                            type: 'integer',
+                            description: 'Total uses; omit for unlimited',
+                        },
+                        max_per_user: {
+                            type: 'integer',
+                            default: 1,
+                        },
+                        starts_at: {
+                            type: 'string',
+                            format: 'date-time',
+                        },
+                        ends_at: {
+                            type: 'string',
+                            format: 'date-time',
+                        },
+                    },
+                },
+                RegionRule: {
+                    type: 'object',
+                    required: ['region', 'currency'],
+                    properties: {
+                        id: {
+                            type: 'integer',
+                            readOnly: true,
+                        },
+                        region: {
+                            type: 'string',
+                            example: 'DE',
+                            description: 'ISO 3166-1 alpha-2 country code, or * for every other destination',
+                        },
+                        currency: {
+                            type: 'string',
+                            example: 'EUR',
+                        },
+                        tax_rate_bps: {
+                            type: 'integer',
+                            example: 1900,
+                            description: 'Tax rate in basis points (1900 = 19%)',
+                        },
+                        tax_shipping: {
+                            type: 'boolean',
+                            default: false,
+                            description: 'Whether shipping is taxed too',
+                        },
+                        shipping_flat_minor: {
+                            type: 'integer',
+                            example: 499,
+                            description: 'Flat fee per order, in minor units',
+                        },
+                        shipping_per_item_minor: {
+                            type: 'integer',
+                            example: 0,
+                            description: 'Fee per unit (pair), in minor units',
+                        },
+                        free_shipping_over_minor: {
+                            type: 'integer',
+                            nullable: true,
+                            example: 20000,
+                            description: 'Discounted subtotal (minor units) at which shipping is free',
+                        },
+                    },
+                },
+                PriceBreakdown: {
+                    type: 'object',
+                    description: 'Itemised checkout price. Each *_minor field has a decimal twin without the suffix (e.g. total)',
+                    properties: {
+                        currency: {
+                            type: 'string',
+                            example: 'USD',
+                            description: 'ISO 4217 currency code',
+                        },
+                        region: {
+                            type: 'string',
+                            nullable: true,
+                        },
+                        items: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    reservation_id: {
+                                        type: 'integer',
+                                    },
+                                    subtotal_minor: {
+                                        type: 'integer',
+                                    },
+                                    discount_minor: {
+                                        type: 'integer',
+                                    },
+                                    tax_minor: {
+                                        type: 'integer',
+                                    },
+                                    shipping_minor: {
+                                        type: 'integer',
+                                    },
+                                    total_minor: {
+                                        type: 'integer',
+                                    },
+                                },
+                            },
+                        },
+                        subtotal_minor: {
+                            type: 'integer',
+                            description: 'Price before discounts, in minor units',
+                        },
+                        discount_minor: {
+                            type: 'integer',
+                            description: 'Promo discount, in minor units',
+                        },
+                        tax_minor: {
+                            type: 'integer',
+                            description: 'Tax, in minor units',
+                        },
+                        shipping_minor: {
+                            type: 'integer',
+                            description: 'Shipping, in minor units',
+                        },
+                        total_minor: {
+                            type: 'integer',
+                            description: 'Amount charged (subtotal - discount + tax + shipping), in minor units',
+                        },
+                    },
+                },
+                Address: {
+                    type: 'object',
+                    properties: {
+                        id: {
+                            type: 'integer',
+                        },
+                        label: {
+                            type: 'string',
+                            example: 'Home',
+                        },
+                        recipient_name: {
+                            type: 'string',
+                            example: 'Jordan Smith',
+                        },
+                        line1: {
+                            type: 'string',
+                            example: '1 Market St',
+                        },
+                        line2: {
+                            type: 'string',
+                            nullable: true,
+                        },
+                        city: {
+                            type: 'string',
+                            example: 'San Francisco',
+                        },
+                        state: {
+                            type: 'string',
+                            nullable: true,
+                            description: 'State, province or prefecture (required for US, CA, AU, JP)',
+                        },
+                        postal_code: {
+                            type: 'string',
+                            example: '94105',
+                            description: 'Required and format-checked for the countries with rules',
+                        },
+                        country: {
+                            type: 'string',
+                            example: 'US',
+                            description: 'ISO 3166-1 alpha-2',
+                        },
+                        phone: {
+                            type: 'string',
+                            nullable: true,
+                        },
+                        is_default: {
+                            type: 'boolean',
+                        },
+                    },
+                },
+                AddressInput: {
+                    type: 'object',
+                    required: ['recipient_name', 'line1', 'city', 'country'],
+                    properties: {
+                        label: {
+                            type: 'string',
+                            example: 'Home',
+                        },
+                        recipient_name: {
+                            type: 'string',
+                            example: 'Jordan Smith',
+                        },
+                        line1: {
+                            type: 'string',
+                            example: '1 Market St',
+                        },
+                        line2: {
+                            type: 'string',
+                            nullable: true,
+                        },
+                        city: {
+                            type: 'string',
+                            example: 'San Francisco',
+                        },
+                        state: {
+                            type: 'string',
+                            nullable: true,
+                            description: 'State, province or prefecture (required for US, CA, AU, JP)',
+                        },
+                        postal_code: {
+                            type: 'string',
+                            example: '94105',
+                            description: 'Required and format-checked for the countries with rules',
+                        },
+                        country: {
+                            type: 'string',
+                            example: 'US',
+                            description: 'ISO 3166-1 alpha-2',
+                        },
+                        phone: {
+                            type: 'string',
+                            nullable: true,
+                        },
+                        is_default: {
+                            type: 'boolean',
+                        },
+                    },
+                },
                 Error: {
                     type: 'object',
                     properties: {
@@ -218,6 +893,18 @@ const options = {
                     },
                 },
             },
+            parameters: {
+                IdempotencyKey: {
+                    in: 'header',
+                    name: 'Idempotency-Key',
+                    required: false,
+                    schema: {
+                        type: 'string',
+                        maxLength: 255,
+                    },
+                    description: 'Unique key per logical request (e.g. a UUID). Retries with the same key and body replay the first response (Idempotent-Replayed: true); the same key with a different body gets 422.',
+                },
+            },
         },
         tags: [
             {
@@ -236,6 +923,38 @@ const options = {
                 name: 'Purchases',
                 description: 'Purchase management and history',
             },
+            {
+                name: 'Raffles',
+                description: 'Raffle-mode drops with auditable draws',
+            },
+            {
+                name: 'Queue',
+                description: 'Virtual waiting room for hot drops',
+            },
+            {
+                name: 'Cart',
+                description: 'Multi-drop cart checkout',
+            },
+            {
+                name: 'Orders',
+                description: 'Orders and fulfilment status',
+            },
+            {
+                name: 'Payments',
+                description: 'Payment intents and provider webhooks',
+            },
+            {
+                name: 'Refunds',
+                description: 'Refund and return requests',
+            },
+            {
+                name: 'Promotions',
+                description: 'Promo codes applied at checkout',
+            },
+            {
+                name: 'Pricing',
+                description: 'Tax and shipping rules by destination region',
+            },
         ],
     },
     apis: ['./routes/*.js'], // Path to route files with Swagger comments
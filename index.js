@@ -12,13 +12,35 @@ import userRoutes from './routes/userRoutes.js';
 import dropRoutes from './routes/dropRoutes.js';
 import reservationRoutes from './routes/reservationRoutes.js';
 import purchaseRoutes from './routes/purchaseRoutes.js';
+import raffleRoutes from './routes/raffleRoutes.js';
+import queueRoutes from './routes/queueRoutes.js';
+import cartRoutes from './routes/cartRoutes.js';
+import orderRoutes from './routes/orderRoutes.js';
+import paymentRoutes from './routes/paymentRoutes.js';
+import refundRoutes from './routes/refundRoutes.js';
+import promotionRoutes from './routes/promotionRoutes.js';
+import pricingRoutes from './routes/pricingRoutes.js';
 
 // Import middleware
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
 
 // Import utilities
-import { startReservationExpirationJob } from './utils/cronJobs.js';
+import {
+    startReservationExpirationJob,
+    startSessionCleanupJob,
+    startIdempotencyCleanupJob,
+    startRaffleDrawJob,
+    startQueueAdmissionJob,
+    startPaymentTimeoutJob,
+    stopScheduledJobs,
+} from './utils/cronJobs.js';
 import { initializeSocketHandlers } from './utils/socketHandlers.js';
+import { assertPaymentConfig, setWebhookDispatcher } from './utils/paymentProviders.js';
+import { assertMailConfig } from './utils/mailer.js';
+import { backfillEmailVerification } from './utils/userTokens.js';
+import { handlePaymentWebhook } from './utils/payments.js';
+import { startReservationTimers } from './utils/reservations.js';
+import { startLeaderElection, stopLeaderElection } from './utils/leader.js';
 
 // Import Swagger
 import { setupSwagger } from './docs/swagger.js';
@@ -52,12 +74,17 @@ app.use(
         origin: process.env.CLIENT_URL || 'http://localhost:5173',
         credentials: true,
         methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-        allowedHeaders: ['Content-Type', 'Authorization'],
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-Queue-Token', 'Idempotency-Key', 'Last-Event-ID'],
+        exposedHeaders: ['Idempotent-Replayed'],
     })
 );
 
-// Body parser
-app.use(express.json());
+// Body parser (keeps the raw body for payment webhook signatures)
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging (development only)
@@ -90,6 +117,14 @@ app.use('/api/users', userRoutes);
 app.use('/api/drops', dropRoutes);
 app.use('/api/reservations', reservationRoutes);
 app.use('/api/purchases', purchaseRoutes);
+app.use('/api/raffles', raffleRoutes);
+app.use('/api/queue', queueRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/refunds', refundRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/pricing', pricingRoutes);
 
 // Setup Swagger documentation
 setupSwagger(app);
@@ -107,6 +142,9 @@ app.use(errorHandler);
 // Initialize Socket.IO event handlers
 initializeSocketHandlers(io);
 
+// In-process providers (mock) deliver webhooks straight to the settlement path
+setWebhookDispatcher((provider, payload) => handlePaymentWebhook(io, provider, payload));
+
 // ========================================
 // SERVER STARTUP
 // ========================================
@@ -118,6 +156,10 @@ const startServer = async () => {
         console.log('🚀 Starting Sneaker Drop System Backend...');
         console.log('==========================================');
 
+        // Refuse to take orders without a real payment setup, or to log mail
+        assertPaymentConfig();
+        assertMailConfig();
+
         // Test database connection
         const dbConnected = await testConnection();
         if (!dbConnected) {
@@ -137,9 +179,23 @@ const startServer = async () => {
             console.log('   Run: mysql -u smzubayer -p -h 43.154.22.219 -P 3308 tht-after-sales-service < schema.sql');
         }
 
-        // Start cron jobs
+        // Accounts from before email verification count as verified
+        const backfilled = await backfillEmailVerification();
+        if (backfilled > 0) {
+            console.log(`✅ Marked ${backfilled} existing accounts as email-verified`);
+        }
+
+        // Arm a timer per active reservation, then the cron safety net.
+        // Cron jobs start everywhere but only run on the lease holder.
         console.log('🕐 Starting scheduled tasks...');
+        await startReservationTimers(io);
+        await startLeaderElection();
         startReservationExpirationJob(io);
+        startSessionCleanupJob();
+        startIdempotencyCleanupJob();
+        startRaffleDrawJob(io);
+        startQueueAdmissionJob(io);
+        startPaymentTimeoutJob(io);
 
         // Start HTTP server
         httpServer.listen(PORT, () => {
@@ -167,6 +223,10 @@ const startServer = async () => {
 const gracefulShutdown = async () => {
     console.log('\n🛑 Shutting down gracefully...');
 
+    // Stop the scheduled jobs and hand the scheduler lease to another instance
+    stopScheduledJobs();
+    await stopLeaderElection();
+
     // Close Socket.IO connections
     io.close(() => {
         console.log('✅ Socket.IO connections closed');
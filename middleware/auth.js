@@ -1,5 +1,35 @@
 import jwt from 'jsonwebtoken';
-import { User } from '../models/index.js';
+import { User, Session } from '../models/index.js';
+
+/**
+ * Check that the session an access token was issued for is still live
+ * @param {Object} decoded - Decoded JWT payload
+ * @returns {Promise<Object|null>} - Session instance, or null if revoked/unknown
+ */
+const findActiveSession = async (decoded) => {
+    if (!decoded.sid) return null;
+
+    const session = await Session.findByPk(decoded.sid);
+
+    if (!session || session.isRevoked() || session.user_id !== decoded.id) {
+        return null;
+    }
+
+    return session;
+};
+
+/**
+ * Verify an access token outside of HTTP (e.g. sockets)
+ * Throws on malformed/expired tokens like jwt.verify
+ * @param {string} token - Access JWT
+ * @returns {Promise<Object|null>} - Decoded payload, or null if the session is revoked
+ */
+export const verifyAccessToken = async (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const session = await findActiveSession(decoded);
+
+    return session ? decoded : null;
+};
 
 /**
  * JWT Authentication Middleware
@@ -31,6 +61,16 @@ export const authenticate = async (req, res, next) => {
             // Verify token
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+            // Reject tokens whose session has been revoked (logout / reuse)
+            const session = await findActiveSession(decoded);
+
+            if (!session) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Session revoked. Please login again.',
+                });
+            }
+
             // Find user
             const user = await User.findByPk(decoded.id, {
                 attributes: { exclude: ['password'] },
@@ -43,8 +83,9 @@ export const authenticate = async (req, res, next) => {
                 });
             }
 
-            // Attach user to request
+            // Attach user and session to request
             req.user = user;
+            req.authSession = session;
             next();
         } catch (error) {
             if (error.name === 'TokenExpiredError') {
@@ -73,13 +114,52 @@ export const authenticate = async (req, res, next) => {
 };
 
 /**
- * Generate JWT token
- * @param {Object} payload - Data to encode in token
+ * Role-based authorization middleware
+ * Must run after authenticate; blocks users without one of the given roles
+ * @param {...string} roles - Roles allowed to access the route
+ * @returns {Function} - Express middleware
+ */
+export const authorize = (...roles) => (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({
+            success: false,
+            message: 'Access denied. Not authenticated.',
+        });
+    }
+
+    if (!roles.includes(req.user.role)) {
+        return res.status(403).json({
+            success: false,
+            message: 'Access denied. Insufficient permissions.',
+        });
+    }
+
+    next();
+};
+
+/**
+ * Email verification middleware
+ * Must run after authenticate; blocks users who haven't verified their email
+ */
+export const requireVerified = (req, res, next) => {
+    if (!req.user || !req.user.isVerified()) {
+        return res.status(403).json({
+            success: false,
+            message: 'Please verify your email address first.',
+        });
+    }
+
+    next();
+};
+
+/**
+ * Generate short-lived JWT access token
+ * @param {Object} payload - Data to encode in token (id, email, sid)
  * @returns {string} - JWT token
  */
 export const generateToken = (payload) => {
     return jwt.sign(payload, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRE || '7d',
+        expiresIn: process.env.JWT_EXPIRE || '15m',
     });
 };
 
@@ -96,12 +176,14 @@ export const optionalAuth = async (req, res, next) => {
 
             try {
                 const decoded = jwt.verify(token, process.env.JWT_SECRET);
-                const user = await User.findByPk(decoded.id, {
+                const session = await findActiveSession(decoded);
+                const user = session && await User.findByPk(decoded.id, {
                     attributes: { exclude: ['password'] },
                 });
 
                 if (user) {
                     req.user = user;
+                    req.authSession = session;
                 }
             } catch (error) {
                 // Silently fail - user will be undefined
@@ -114,4 +196,4 @@ export const optionalAuth = async (req, res, next) => {
     }
 };
 
-export default { authenticate, generateToken, optionalAuth };
\ No newline at end of file
+export default { authenticate, authorize, requireVerified, generateToken, optionalAuth, verifyAccessToken };
\ No newline at end of file
@@ -0,0 +1,81 @@
+import { AppError } from './errorHandler.js';
+import {
+    claimIdempotencyKey,
+    releaseIdempotencyKey,
+    saveIdempotentResponse,
+} from '../utils/idempotency.js';
+
+/**
+ * Idempotency Middleware
+ * Makes a POST safe to retry when the client sends an Idempotency-Key
+ * header. Requests without the header run as usual. Must come after
+ * authenticate, since keys are scoped to the user.
+ */
+export const idempotent = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+
+    if (!key) return next();
+
+    try {
+        if (key.length > 255) {
+            throw new AppError('Idempotency-Key must be at most 255 characters', 400);
+        }
+
+        const { outcome, record } = await claimIdempotencyKey({
+            userId: req.user.id,
+            key,
+            method: req.method,
+            path: `${req.baseUrl}${req.path}`,
+            body: req.body,
+        });
+
+        if (outcome === 'mismatch') {
+            throw new AppError('Idempotency-Key was already used with a different request', 422);
+        }
+
+        if (outcome === 'in_progress') {
+            throw new AppError('A request with this Idempotency-Key is still being processed', 409);
+        }
+
+        if (outcome === 'replay') {
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(record.response_status).json(record.response_body);
+        }
+
+        // Store the response before it is sent, so a retry that races the
+        // reply still finds it. Server errors give the key back instead.
+        let settled = false;
+        const send = res.json.bind(res);
+
+        res.json = (body) => {
+            settled = true;
+
+            const store = res.statusCode >= 500
+                ? releaseIdempotencyKey(record)
+                : saveIdempotentResponse(record, res.statusCode, body);
+
+            store
+                .catch((error) => {
+                    console.error(`❌ Error storing idempotent response for key ${key}:`, error.message);
+                })
+                .then(() => send(body));
+
+            return res;
+        };
+
+        // The connection went away without a response
+        res.on('close', () => {
+            if (!settled) {
+                releaseIdempotencyKey(record).catch((error) => {
+                    console.error(`❌ Error releasing idempotency key ${key}:`, error.message);
+                });
+            }
+        });
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default { idempotent };
\ No newline at end of file
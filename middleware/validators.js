@@ -1,4 +1,10 @@
 import { body, param, query, validationResult } from 'express-validator';
+import { USER_ROLES } from '../models/User.js';
+import { DROP_MODES } from '../models/Drop.js';
+import { ORDER_STATUSES } from '../models/Order.js';
+import { REFUND_STATUSES } from '../models/Refund.js';
+import { DISCOUNT_TYPES } from '../models/PromoCode.js';
+import { SUPPORTED_CURRENCIES } from '../utils/money.js';
 
 /**
  * Validation Middleware
@@ -65,6 +71,56 @@ export const validateLogin = [
     validate,
 ];
 
+/**
+ * Refresh Token Validation
+ */
+export const validateRefresh = [
+    body('refreshToken')
+        .notEmpty().withMessage('Refresh token is required')
+        .isString().withMessage('Refresh token must be a string'),
+
+    validate,
+];
+
+/**
+ * Forgot Password Validation
+ */
+export const validateForgotPassword = [
+    body('email')
+        .trim()
+        .notEmpty().withMessage('Email is required')
+        .isEmail().withMessage('Must be a valid email address')
+        .normalizeEmail(),
+
+    validate,
+];
+
+/**
+ * Reset Password Validation
+ */
+export const validateResetPassword = [
+    body('token')
+        .trim()
+        .notEmpty().withMessage('Reset token is required'),
+
+    body('password')
+        .notEmpty().withMessage('Password is required')
+        .isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+
+    validate,
+];
+
+/**
+ * Verify Email Validation
+ */
+export const validateVerifyEmail = [
+    body('token')
+        .trim()
+        .notEmpty().withMessage('Verification token is required'),
+
+    validate,
+];
+
 /**
  * Create Drop Validation
  */
@@ -82,14 +138,60 @@ export const validateCreateDrop = [
         .notEmpty().withMessage('Price is required')
         .isFloat({ min: 0 }).withMessage('Price must be a positive number'),
 
+    body('currency')
+        .optional()
+        .isIn(SUPPORTED_CURRENCIES).withMessage(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`),
+
+    // Stock is derived from variants when they are provided
     body('stock')
+        .if(body('variants').not().exists())
         .notEmpty().withMessage('Stock is required')
         .isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
 
     body('initial_stock')
+        .if(body('variants').not().exists())
         .notEmpty().withMessage('Initial stock is required')
         .isInt({ min: 0 }).withMessage('Initial stock must be a non-negative integer'),
 
+    body('variants')
+        .optional()
+        .isArray({ min: 1 }).withMessage('Variants must be a non-empty array'),
+
+    body('variants.*.size')
+        .trim()
+        .notEmpty().withMessage('Variant size is required')
+        .isLength({ max: 20 }).withMessage('Variant size must be at most 20 characters'),
+
+    body('variants.*.colorway')
+        .optional()
+        .trim()
+        .isLength({ max: 100 }).withMessage('Colorway must be at most 100 characters'),
+
+    body('variants.*.sku')
+        .trim()
+        .notEmpty().withMessage('Variant SKU is required')
+        .isLength({ max: 64 }).withMessage('SKU must be at most 64 characters'),
+
+    body('variants.*.stock')
+        .notEmpty().withMessage('Variant stock is required')
+        .isInt({ min: 0 }).withMessage('Variant stock must be a non-negative integer'),
+
+    body('max_per_user')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 }).withMessage('Max per user must be a positive integer'),
+
+    body('max_per_reservation')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Max per reservation must be a positive integer'),
+
+    body('hold_seconds')
+        .optional({ values: 'null' })
+        .isInt({ min: 10, max: 3600 }).withMessage('Hold seconds must be between 10 and 3600'),
+
+    body('extension_seconds')
+        .optional()
+        .isInt({ min: 0, max: 3600 }).withMessage('Extension seconds must be between 0 and 3600'),
+
     body('image_url')
         .optional()
         .trim()
@@ -99,6 +201,26 @@ export const validateCreateDrop = [
         .optional()
         .isISO8601().withMessage('Must be a valid date'),
 
+    body('mode')
+        .optional()
+        .isIn(DROP_MODES).withMessage(`Mode must be one of: ${DROP_MODES.join(', ')}`),
+
+    body('entry_start_time')
+        .optional({ values: 'null' })
+        .isISO8601().withMessage('Must be a valid date'),
+
+    body('entry_end_time')
+        .optional({ values: 'null' })
+        .isISO8601().withMessage('Must be a valid date'),
+
+    body('queue_enabled')
+        .optional()
+        .isBoolean().withMessage('queue_enabled must be a boolean'),
+
+    body('queue_batch_size')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Queue batch size must be a positive integer'),
+
     validate,
 ];
 
@@ -122,10 +244,30 @@ export const validateUpdateDrop = [
         .optional()
         .isFloat({ min: 0 }).withMessage('Price must be a positive number'),
 
+    body('currency')
+        .optional()
+        .isIn(SUPPORTED_CURRENCIES).withMessage(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`),
+
     body('stock')
         .optional()
         .isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
 
+    body('max_per_user')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 }).withMessage('Max per user must be a positive integer'),
+
+    body('max_per_reservation')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Max per reservation must be a positive integer'),
+
+    body('hold_seconds')
+        .optional({ values: 'null' })
+        .isInt({ min: 10, max: 3600 }).withMessage('Hold seconds must be between 10 and 3600'),
+
+    body('extension_seconds')
+        .optional()
+        .isInt({ min: 0, max: 3600 }).withMessage('Extension seconds must be between 0 and 3600'),
+
     body('image_url')
         .optional()
         .trim()
@@ -135,6 +277,93 @@ export const validateUpdateDrop = [
         .optional()
         .isISO8601().withMessage('Must be a valid date'),
 
+    body('mode')
+        .optional()
+        .isIn(DROP_MODES).withMessage(`Mode must be one of: ${DROP_MODES.join(', ')}`),
+
+    body('entry_start_time')
+        .optional({ values: 'null' })
+        .isISO8601().withMessage('Must be a valid date'),
+
+    body('entry_end_time')
+        .optional({ values: 'null' })
+        .isISO8601().withMessage('Must be a valid date'),
+
+    body('queue_enabled')
+        .optional()
+        .isBoolean().withMessage('queue_enabled must be a boolean'),
+
+    body('queue_batch_size')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Queue batch size must be a positive integer'),
+
+    validate,
+];
+
+/**
+ * Create Variant Validation
+ */
+export const validateCreateVariant = [
+    param('id')
+        .isInt({ min: 1 }).withMessage('Invalid drop ID'),
+
+    body('size')
+        .trim()
+        .notEmpty().withMessage('Size is required')
+        .isLength({ max: 20 }).withMessage('Size must be at most 20 characters'),
+
+    body('colorway')
+        .optional()
+        .trim()
+        .isLength({ max: 100 }).withMessage('Colorway must be at most 100 characters'),
+
+    body('sku')
+        .trim()
+        .notEmpty().withMessage('SKU is required')
+        .isLength({ max: 64 }).withMessage('SKU must be at most 64 characters'),
+
+    body('stock')
+        .notEmpty().withMessage('Stock is required')
+        .isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
+
+    validate,
+];
+
+/**
+ * Update Variant Validation
+ */
+export const validateUpdateVariant = [
+    param('id')
+        .isInt({ min: 1 }).withMessage('Invalid drop ID'),
+
+    param('variantId')
+        .isInt({ min: 1 }).withMessage('Invalid variant ID'),
+
+    body('size')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('Size cannot be empty')
+        .isLength({ max: 20 }).withMessage('Size must be at most 20 characters'),
+
+    body('colorway')
+        .optional()
+        .trim()
+        .isLength({ max: 100 }).withMessage('Colorway must be at most 100 characters'),
+
+    body('sku')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('SKU cannot be empty')
+        .isLength({ max: 64 }).withMessage('SKU must be at most 64 characters'),
+
+    body('stock')
+        .optional()
+        .isInt({ min: 0 }).withMessage('Stock must be a non-negative integer'),
+
+    body('initial_stock')
+        .optional()
+        .isInt({ min: 0 }).withMessage('Initial stock must be a non-negative integer'),
+
     validate,
 ];
 
@@ -146,6 +375,18 @@ export const validateReserve = [
         .notEmpty().withMessage('Drop ID is required')
         .isInt({ min: 1 }).withMessage('Invalid drop ID'),
 
+    body('variantId')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Invalid variant ID'),
+
+    body('quantity')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+
+    body('admissionToken')
+        .optional()
+        .isJWT().withMessage('Invalid admission token'),
+
     validate,
 ];
 
@@ -157,6 +398,468 @@ export const validatePurchase = [
         .notEmpty().withMessage('Reservation ID is required')
         .isInt({ min: 1 }).withMessage('Invalid reservation ID'),
 
+    body('promoCode')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isLength({ max: 50 }).withMessage('Promo code must be at most 50 characters'),
+
+    body('addressId')
+        .optional({ values: 'falsy' })
+        .isInt({ min: 1 }).withMessage('Invalid address ID'),
+
+    body('region')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isISO31661Alpha2().withMessage('Region must be an ISO 3166-1 alpha-2 country code'),
+
+    validate,
+];
+
+/**
+ * Cart Checkout Validation
+ */
+export const validateCheckout = [
+    body('promoCode')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isLength({ max: 50 }).withMessage('Promo code must be at most 50 characters'),
+
+    body('addressId')
+        .optional({ values: 'falsy' })
+        .isInt({ min: 1 }).withMessage('Invalid address ID'),
+
+    body('region')
+        .optional({ values: 'falsy' })
+        .trim()
+        .isISO31661Alpha2().withMessage('Region must be an ISO 3166-1 alpha-2 country code'),
+
+    validate,
+];
+
+/**
+ * Promo Code Validation
+ */
+export const validateCreatePromo = [
+    body('code')
+        .trim()
+        .notEmpty().withMessage('Code is required')
+        .isLength({ min: 3, max: 50 }).withMessage('Code must be 3-50 characters')
+        .matches(/^[A-Za-z0-9_-]+$/).withMessage('Code may only contain letters, numbers, - and _'),
+
+    body('discount_type')
+        .notEmpty().withMessage('Discount type is required')
+        .isIn(DISCOUNT_TYPES).withMessage(`Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}`),
+
+    body('discount_value')
+        .notEmpty().withMessage('Discount value is required')
+        .isFloat({ gt: 0 }).withMessage('Discount value must be greater than 0'),
+
+    body('currency')
+        .optional()
+        .isIn(SUPPORTED_CURRENCIES).withMessage(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`),
+
+    body('drop_id')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 }).withMessage('Invalid drop ID'),
+
+    body('max_redemptions')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 }).withMessage('Max redemptions must be at least 1'),
+
+    body('max_per_user')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 }).withMessage('Max per user must be at least 1'),
+
+    body('starts_at')
+        .optional({ values: 'null' })
+        .isISO8601().withMessage('Invalid start time format'),
+
+    body('ends_at')
+        .optional({ values: 'null' })
+        .isISO8601().withMessage('Invalid end time format'),
+
+    validate,
+];
+
+/**
+ * Promo Code Update Validation
+ */
+export const validateUpdatePromo = [
+    param('id')
+        .isInt({ min: 1 }).withMessage('Invalid promo code ID'),
+
+    body('discount_value')
+        .optional()
+        .isFloat({ gt: 0 }).withMessage('Discount value must be greater than 0'),
+
+    body('max_redemptions')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 }).withMessage('Max redemptions must be at least 1'),
+
+    body('max_per_user')
+        .optional({ values: 'null' })
+        .isInt({ min: 1 }).withMessage('Max per user must be at least 1'),
+
+    body('starts_at')
+        .optional({ values: 'null' })
+        .isISO8601().withMessage('Invalid start time format'),
+
+    body('ends_at')
+        .optional({ values: 'null' })
+        .isISO8601().withMessage('Invalid end time format'),
+
+    body('is_active')
+        .optional()
+        .isBoolean().withMessage('is_active must be a boolean'),
+
+    validate,
+];
+
+/**
+ * Region Rule Validation
+ */
+export const validateRegionRule = [
+    body('region')
+        .trim()
+        .notEmpty().withMessage('Region is required')
+        .custom((value) => value === '*' || /^[A-Za-z]{2}$/.test(value))
+        .withMessage('Region must be an ISO 3166-1 alpha-2 country code or *'),
+
+    body('currency')
+        .notEmpty().withMessage('Currency is required')
+        .isIn(SUPPORTED_CURRENCIES).withMessage(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`),
+
+    body('tax_rate_bps')
+        .optional()
+        .isInt({ min: 0, max: 10000 }).withMessage('Tax rate must be 0-10000 basis points'),
+
+    body('tax_shipping')
+        .optional()
+        .isBoolean().withMessage('tax_shipping must be a boolean'),
+
+    body('shipping_flat_minor')
+        .optional()
+        .isInt({ min: 0 }).withMessage('Flat shipping fee must be a non-negative integer (minor units)'),
+
+    body('shipping_per_item_minor')
+        .optional()
+        .isInt({ min: 0 }).withMessage('Per-item shipping fee must be a non-negative integer (minor units)'),
+
+    body('free_shipping_over_minor')
+        .optional({ values: 'null' })
+        .isInt({ min: 0 }).withMessage('Free shipping threshold must be a non-negative integer (minor units)'),
+
+    validate,
+];
+
+/**
+ * Address Validation
+ * Country-specific rules (postal code format, state) are checked by the model.
+ */
+export const validateAddress = [
+    body('label')
+        .optional({ values: 'null' })
+        .trim()
+        .isLength({ max: 50 }).withMessage('Label must be at most 50 characters'),
+
+    body('recipient_name')
+        .trim()
+        .notEmpty().withMessage('Recipient name is required')
+        .isLength({ max: 100 }).withMessage('Recipient name must be at most 100 characters'),
+
+    body('line1')
+        .trim()
+        .notEmpty().withMessage('Address line 1 is required')
+        .isLength({ max: 255 }).withMessage('Address line 1 must be at most 255 characters'),
+
+    body('line2')
+        .optional({ values: 'null' })
+        .trim()
+        .isLength({ max: 255 }).withMessage('Address line 2 must be at most 255 characters'),
+
+    body('city')
+        .trim()
+        .notEmpty().withMessage('City is required')
+        .isLength({ max: 100 }).withMessage('City must be at most 100 characters'),
+
+    body('state')
+        .optional({ values: 'null' })
+        .trim()
+        .isLength({ max: 100 }).withMessage('State must be at most 100 characters'),
+
+    body('postal_code')
+        .optional({ values: 'null' })
+        .trim()
+        .isLength({ max: 20 }).withMessage('Postal code must be at most 20 characters'),
+
+    body('country')
+        .notEmpty().withMessage('Country is required')
+        .isISO31661Alpha2().withMessage('Country must be an ISO 3166-1 alpha-2 code'),
+
+    body('phone')
+        .optional({ values: 'null' })
+        .trim()
+        .isLength({ max: 30 }).withMessage('Phone must be at most 30 characters'),
+
+    body('is_default')
+        .optional()
+        .isBoolean().withMessage('is_default must be a boolean')
+        .toBoolean(),
+
+    validate,
+];
+
+/**
+ * Address Update Validation
+ */
+export const validateUpdateAddress = [
+    param('id')
+        .isInt({ min: 1 }).withMessage('Invalid address ID'),
+
+    body('label')
+        .optional({ values: 'null' })
+        .trim()
+        .isLength({ max: 50 }).withMessage('Label must be at most 50 characters'),
+
+    body('recipient_name')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('Recipient name is required')
+        .isLength({ max: 100 }).withMessage('Recipient name must be at most 100 characters'),
+
+    body('line1')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('Address line 1 is required')
+        .isLength({ max: 255 }).withMessage('Address line 1 must be at most 255 characters'),
+
+    body('line2')
+        .optional({ values: 'null' })
+        .trim()
+        .isLength({ max: 255 }).withMessage('Address line 2 must be at most 255 characters'),
+
+    body('city')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('City is required')
+        .isLength({ max: 100 }).withMessage('City must be at most 100 characters'),
+
+    body('state')
+        .optional({ values: 'null' })
+        .trim()
+        .isLength({ max: 100 }).withMessage('State must be at most 100 characters'),
+
+    body('postal_code')
+        .optional({ values: 'null' })
+        .trim()
+        .isLength({ max: 20 }).withMessage('Postal code must be at most 20 characters'),
+
+    body('country')
+        .optional()
+        .isISO31661Alpha2().withMessage('Country must be an ISO 3166-1 alpha-2 code'),
+
+    body('phone')
+        .optional({ values: 'null' })
+        .trim()
+        .isLength({ max: 30 }).withMessage('Phone must be at most 30 characters'),
+
+    body('is_default')
+        .optional()
+        .isBoolean().withMessage('is_default must be a boolean')
+        .toBoolean(),
+
+    validate,
+];
+
+/**
+ * Role Change Validation
+ */
+export const validateRoleChange = [
+    param('id')
+        .isInt({ min: 1 }).withMessage('Invalid user ID'),
+
+    body('role')
+        .notEmpty().withMessage('Role is required')
+        .isIn(USER_ROLES).withMessage(`Role must be one of: ${USER_ROLES.join(', ')}`),
+
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 255 }).withMessage('Reason must be at most 255 characters'),
+
+    validate,
+];
+
+/**
+ * Raffle Entry Validation
+ */
+export const validateRaffleEntry = [
+    param('dropId')
+        .isInt({ min: 1 }).withMessage('Invalid drop ID'),
+
+    body('variantId')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Invalid variant ID'),
+
+    validate,
+];
+
+/**
+ * Drop ID Parameter Validation
+ */
+export const validateDropIdParam = [
+    param('dropId')
+        .isInt({ min: 1 }).withMessage('Invalid drop ID'),
+
+    validate,
+];
+
+/**
+ * Order Status Transition Validation
+ */
+export const validateOrderStatus = [
+    param('id')
+        .isInt({ min: 1 }).withMessage('Invalid order ID'),
+
+    body('status')
+        .notEmpty().withMessage('Status is required')
+        .isIn(ORDER_STATUSES).withMessage(`Status must be one of: ${ORDER_STATUSES.join(', ')}`),
+
+    body('note')
+        .optional()
+        .trim()
+        .isLength({ max: 255 }).withMessage('Note must be at most 255 characters'),
+
+    body('trackingNumber')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 100 }).withMessage('Tracking number must be 1-100 characters'),
+
+    validate,
+];
+
+/**
+ * Payment Confirmation Validation
+ */
+export const validatePaymentConfirm = [
+    param('id')
+        .isInt({ min: 1 }).withMessage('Invalid payment ID'),
+
+    body('paymentMethod')
+        .optional()
+        .isString().withMessage('Payment method must be a string')
+        .isLength({ min: 1, max: 100 }).withMessage('Payment method must be 1-100 characters'),
+
+    validate,
+];
+
+/**
+ * Refund Request Validation
+ */
+export const validateRefundRequest = [
+    body('purchaseId')
+        .notEmpty().withMessage('Purchase ID is required')
+        .isInt({ min: 1 }).withMessage('Invalid purchase ID'),
+
+    body('amount')
+        .optional({ values: 'null' })
+        .isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+
+    body('reason')
+        .optional()
+        .trim()
+        .isLength({ max: 255 }).withMessage('Reason must be at most 255 characters'),
+
+    body('isReturn')
+        .optional()
+        .isBoolean().withMessage('isReturn must be a boolean'),
+
+    validate,
+];
+
+/**
+ * Refund Approval Validation
+ */
+export const validateRefundApproval = [
+    param('id')
+        .isInt({ min: 1 }).withMessage('Invalid refund ID'),
+
+    body('amount')
+        .optional({ values: 'null' })
+        .isFloat({ gt: 0 }).withMessage('Amount must be greater than 0'),
+
+    body('restock')
+        .optional({ values: 'null' })
+        .isBoolean().withMessage('Restock must be a boolean'),
+
+    body('note')
+        .optional()
+        .trim()
+        .isLength({ max: 255 }).withMessage('Note must be at most 255 characters'),
+
+    validate,
+];
+
+/**
+ * Refund Rejection Validation
+ */
+export const validateRefundRejection = [
+    param('id')
+        .isInt({ min: 1 }).withMessage('Invalid refund ID'),
+
+    body('note')
+        .optional()
+        .trim()
+        .isLength({ max: 255 }).withMessage('Note must be at most 255 characters'),
+
+    validate,
+];
+
+/**
+ * Refund Listing Validation
+ */
+export const validateRefundQuery = [
+    query('status')
+        .optional()
+        .isIn(REFUND_STATUSES).withMessage(`Status must be one of: ${REFUND_STATUSES.join(', ')}`),
+
+    query('page')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+
+    validate,
+];
+
+/**
+ * Order Listing Validation
+ */
+export const validateOrderQuery = [
+    query('status')
+        .optional()
+        .isIn(ORDER_STATUSES).withMessage(`Status must be one of: ${ORDER_STATUSES.join(', ')}`),
+
+    query('page')
+        .optional()
+        .isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+
+    validate,
+];
+
+/**
+ * Reservation ID Parameter Validation
+ */
+export const validateReservationIdParam = [
+    param('reservationId')
+        .isInt({ min: 1 }).withMessage('Invalid reservation ID'),
+
     validate,
 ];
 
@@ -189,10 +892,33 @@ export default {
     validate,
     validateRegister,
     validateLogin,
+    validateRefresh,
+    validateForgotPassword,
+    validateResetPassword,
+    validateVerifyEmail,
     validateCreateDrop,
     validateUpdateDrop,
+    validateCreateVariant,
+    validateUpdateVariant,
     validateReserve,
     validatePurchase,
+    validateCheckout,
+    validateCreatePromo,
+    validateUpdatePromo,
+    validateRegionRule,
+    validateAddress,
+    validateUpdateAddress,
+    validateRoleChange,
+    validateRaffleEntry,
+    validateDropIdParam,
+    validateOrderStatus,
+    validateOrderQuery,
+    validatePaymentConfirm,
+    validateRefundRequest,
+    validateRefundApproval,
+    validateRefundRejection,
+    validateRefundQuery,
+    validateReservationIdParam,
     validateIdParam,
     validatePagination,
 };
\ No newline at end of file
@@ -0,0 +1,163 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+/**
+ * Per-country address rules
+ *   required   - fields that must be filled in besides recipient, line1 and city
+ *   postalCode - pattern the postal code must match
+ * Countries not listed only need the base fields.
+ */
+export const ADDRESS_FORMATS = {
+    US: { required: ['state', 'postal_code'], postalCode: /^\d{5}(-\d{4})?$/ },
+    CA: { required: ['state', 'postal_code'], postalCode: /^[A-Z]\d[A-Z] ?\d[A-Z]\d$/i },
+    AU: { required: ['state', 'postal_code'], postalCode: /^\d{4}$/ },
+    JP: { required: ['state', 'postal_code'], postalCode: /^\d{3}-?\d{4}$/ },
+    GB: { required: ['postal_code'], postalCode: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/i },
+    DE: { required: ['postal_code'], postalCode: /^\d{5}$/ },
+    FR: { required: ['postal_code'], postalCode: /^\d{5}$/ },
+    NL: { required: ['postal_code'], postalCode: /^\d{4} ?[A-Z]{2}$/i },
+};
+
+/**
+ * Fields copied onto an order at checkout
+ */
+export const ADDRESS_SNAPSHOT_FIELDS = [
+    'recipient_name',
+    'line1',
+    'line2',
+    'city',
+    'state',
+    'postal_code',
+    'country',
+    'phone',
+];
+
+/**
+ * Address Model
+ * A shipping address in a user's address book
+ */
+const Address = sequelize.define('addresses', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    label: {
+        type: DataTypes.STRING(50),
+        allowNull: true,
+        comment: 'e.g. Home, Work',
+    },
+    recipient_name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+            notEmpty: {
+                msg: 'Recipient name is required',
+            },
+        },
+    },
+    line1: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+        validate: {
+            notEmpty: {
+                msg: 'Address line 1 is required',
+            },
+        },
+    },
+    line2: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+    },
+    city: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+            notEmpty: {
+                msg: 'City is required',
+            },
+        },
+    },
+    state: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'State, province or prefecture',
+    },
+    postal_code: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+    },
+    country: {
+        type: DataTypes.CHAR(2),
+        allowNull: false,
+        comment: 'ISO 3166-1 alpha-2',
+        set(value) {
+            this.setDataValue('country', typeof value === 'string' ? value.trim().toUpperCase() : value);
+        },
+    },
+    phone: {
+        type: DataTypes.STRING(30),
+        allowNull: true,
+    },
+    is_default: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+    },
+}, {
+    timestamps: true,
+    underscored: true,
+    tableName: 'addresses',
+    freezeTableName: true,
+
+    indexes: [
+        {
+            unique: false,
+            fields: ['user_id', 'is_default'],
+            name: 'idx_address_user_default',
+        },
+    ],
+
+    validate: {
+        /**
+         * Country-specific required fields and postal code format
+         */
+        countryFormat() {
+            const format = ADDRESS_FORMATS[this.country];
+            if (!format) return;
+
+            const missing = format.required.filter((field) => !this[field] || !String(this[field]).trim());
+
+            if (missing.length > 0) {
+                throw new Error(`${missing.join(', ')} required for ${this.country} addresses`);
+            }
+
+            if (this.postal_code && !format.postalCode.test(String(this.postal_code).trim())) {
+                throw new Error(`Invalid postal code for ${this.country}`);
+            }
+        },
+    },
+});
+
+/**
+ * Instance method to copy the address for an order
+ * The copy is frozen with the order so later edits don't rewrite history.
+ * @returns {Object}
+ */
+Address.prototype.toSnapshot = function () {
+    return ADDRESS_SNAPSHOT_FIELDS.reduce((snapshot, field) => {
+        snapshot[field] = this[field] === undefined ? null : this[field];
+        return snapshot;
+    }, { address_id: this.id });
+};
+
+export default Address;
\ No newline at end of file
@@ -1,5 +1,14 @@
 import { DataTypes } from 'sequelize';
 import sequelize from '../config/database.js';
+import { DEFAULT_CURRENCY, SUPPORTED_CURRENCIES, toMinorUnits } from '../utils/money.js';
+import { getDefaultHoldDuration } from './Reservation.js';
+
+/**
+ * Drop sale modes
+ *   fcfs   - first come, first served via POST /api/reservations
+ *   raffle - users enter during an entry window, winners are drawn at close
+ */
+export const DROP_MODES = ['fcfs', 'raffle'];
 
 /**
  * Drop Model
@@ -40,11 +49,23 @@ const Drop = sequelize.define('drops', {
                 msg: 'Price must be greater than or equal to 0',
             },
         },
+        // Display only; money maths uses getPriceMinor()
         get() {
             const value = this.getDataValue('price');
             return value ? parseFloat(value) : 0;
         },
     },
+    currency: {
+        type: DataTypes.CHAR(3),
+        allowNull: false,
+        defaultValue: DEFAULT_CURRENCY,
+        validate: {
+            isIn: {
+                args: [SUPPORTED_CURRENCIES],
+                msg: `Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`,
+            },
+        },
+    },
     stock: {
         type: DataTypes.INTEGER,
         allowNull: false,
@@ -72,6 +93,65 @@ const Drop = sequelize.define('drops', {
             },
         },
     },
+    max_per_user: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        defaultValue: 1,
+        comment: 'Max pairs per user (purchases + active reservations); null = unlimited',
+        validate: {
+            isInt: {
+                msg: 'Max per user must be an integer',
+            },
+            min: {
+                args: [1],
+                msg: 'Max per user must be at least 1',
+            },
+        },
+    },
+    max_per_reservation: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        comment: 'Max pairs a single reservation may hold',
+        validate: {
+            isInt: {
+                msg: 'Max per reservation must be an integer',
+            },
+            min: {
+                args: [1],
+                msg: 'Max per reservation must be at least 1',
+            },
+        },
+    },
+    hold_seconds: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Reservation hold length; null = RESERVATION_DURATION',
+        validate: {
+            isInt: {
+                msg: 'Hold seconds must be an integer',
+            },
+            min: {
+                args: [10],
+                msg: 'Hold seconds must be at least 10',
+            },
+        },
+    },
+    extension_seconds: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'One-time reservation extension; 0 = not allowed',
+        validate: {
+            isInt: {
+                msg: 'Extension seconds must be an integer',
+            },
+            min: {
+                args: [0],
+                msg: 'Extension seconds cannot be negative',
+            },
+        },
+    },
     image_url: {
         type: DataTypes.STRING(500),
         allowNull: true,
@@ -90,6 +170,47 @@ const Drop = sequelize.define('drops', {
             },
         },
     },
+    mode: {
+        type: DataTypes.ENUM(...DROP_MODES),
+        allowNull: false,
+        defaultValue: 'fcfs',
+        validate: {
+            isIn: {
+                args: [DROP_MODES],
+                msg: 'Mode must be fcfs or raffle',
+            },
+        },
+    },
+    entry_start_time: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Raffle entry window opens (null = immediately)',
+    },
+    entry_end_time: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Raffle entry window closes and the draw runs',
+    },
+    queue_enabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Require a waiting room admission token to reserve',
+    },
+    queue_batch_size: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 50,
+        validate: {
+            isInt: {
+                msg: 'Queue batch size must be an integer',
+            },
+            min: {
+                args: [1],
+                msg: 'Queue batch size must be at least 1',
+            },
+        },
+    },
 }, {
     timestamps: true,
     underscored: true,
@@ -105,6 +226,24 @@ const Drop = sequelize.define('drops', {
             }
         },
     },
+
+    validate: {
+        /**
+         * Raffles need a closing time for the draw
+         */
+        raffleWindow() {
+            if (this.mode !== 'raffle') return;
+            if (this.queue_enabled) {
+                throw new Error('Raffle drops cannot use the waiting room');
+            }
+            if (!this.entry_end_time) {
+                throw new Error('Raffle drops require entry_end_time');
+            }
+            if (this.entry_start_time && new Date(this.entry_start_time) >= new Date(this.entry_end_time)) {
+                throw new Error('entry_start_time must be before entry_end_time');
+            }
+        },
+    },
 });
 
 /**
@@ -124,6 +263,55 @@ Drop.prototype.hasStarted = function () {
     return new Date() >= new Date(this.drop_start_time);
 };
 
+/**
+ * Instance method to check if a user may take more units
+ * @param {number} heldCount - Units the user already holds (purchased + actively reserved)
+ * @param {number} [quantity=1] - Units requested
+ * @returns {boolean} - True if the total stays within the per-user limit
+ */
+Drop.prototype.allowsAnotherFor = function (heldCount, quantity = 1) {
+    if (this.max_per_user === null || this.max_per_user === undefined) return true;
+    return heldCount + quantity <= this.max_per_user;
+};
+
+/**
+ * Instance method to get how long a reservation on this drop is held
+ * @returns {number} - Hold length in ms
+ */
+Drop.prototype.getHoldDuration = function () {
+    if (this.hold_seconds === null || this.hold_seconds === undefined) {
+        return getDefaultHoldDuration();
+    }
+    return this.hold_seconds * 1000;
+};
+
+/**
+ * Instance method to check if reservations may be extended once
+ * @returns {boolean}
+ */
+Drop.prototype.allowsExtension = function () {
+    return this.extension_seconds > 0;
+};
+
+/**
+ * Instance method to check if this is a raffle drop
+ * @returns {boolean}
+ */
+Drop.prototype.isRaffle = function () {
+    return this.mode === 'raffle';
+};
+
+/**
+ * Instance method to check if the raffle entry window is open
+ * @returns {boolean} - True if entries are accepted now
+ */
+Drop.prototype.isEntryOpen = function () {
+    if (!this.isRaffle()) return false;
+    const now = new Date();
+    if (this.entry_start_time && now < new Date(this.entry_start_time)) return false;
+    return now < new Date(this.entry_end_time);
+};
+
 /**
  * Instance method to get stock percentage
  * @returns {number} - Percentage of stock remaining
@@ -133,4 +321,13 @@ Drop.prototype.getStockPercentage = function () {
     return Math.round((this.stock / this.initial_stock) * 100);
 };
 
+/**
+ * Instance method to get the price in integer minor units
+ * Parses the raw DECIMAL value, never a float.
+ * @returns {number}
+ */
+Drop.prototype.getPriceMinor = function () {
+    return toMinorUnits(this.getDataValue('price'), this.currency);
+};
+
 export default Drop;
\ No newline at end of file
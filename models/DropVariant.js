@@ -0,0 +1,127 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+/**
+ * DropVariant Model
+ * A size/colorway of a drop with its own inventory.
+ * The parent drop's stock/initial_stock are kept as the sum of its variants.
+ */
+const DropVariant = sequelize.define('drop_variants', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    drop_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'drops',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    size: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        validate: {
+            notEmpty: {
+                msg: 'Size cannot be empty',
+            },
+        },
+    },
+    colorway: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+    },
+    sku: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: {
+            name: 'unique_sku',
+            msg: 'SKU already exists',
+        },
+        validate: {
+            notEmpty: {
+                msg: 'SKU cannot be empty',
+            },
+        },
+    },
+    stock: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        validate: {
+            isInt: {
+                msg: 'Stock must be an integer',
+            },
+            min: {
+                args: [0],
+                msg: 'Stock cannot be negative',
+            },
+        },
+    },
+    initial_stock: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        validate: {
+            isInt: {
+                msg: 'Initial stock must be an integer',
+            },
+            min: {
+                args: [0],
+                msg: 'Initial stock cannot be negative',
+            },
+        },
+    },
+}, {
+    timestamps: true,
+    underscored: true,
+    tableName: 'drop_variants',
+    freezeTableName: true,
+
+    indexes: [
+        {
+            unique: false,
+            fields: ['drop_id'],
+            name: 'idx_variant_drop',
+        },
+    ],
+
+    hooks: {
+        /**
+         * Validate stock doesn't exceed initial stock before update
+         */
+        beforeUpdate: (variant) => {
+            if (variant.stock > variant.initial_stock) {
+                throw new Error('Variant stock cannot exceed initial stock');
+            }
+        },
+    },
+});
+
+/**
+ * Get per-variant stock counts for a drop (for socket payloads)
+ * @param {number} dropId - Drop ID
+ * @param {Object} [options] - Query options (e.g. transaction)
+ * @returns {Promise<Array>} - [{ id, size, colorway, sku, stock }]
+ */
+DropVariant.stockByDrop = async function (dropId, options = {}) {
+    const variants = await this.findAll({
+        where: { drop_id: dropId },
+        attributes: ['id', 'size', 'colorway', 'sku', 'stock'],
+        order: [['id', 'ASC']],
+        ...options,
+    });
+    return variants.map((v) => v.toJSON());
+};
+
+/**
+ * Instance method to check if variant is available
+ * @returns {boolean} - True if stock is available
+ */
+DropVariant.prototype.isAvailable = function () {
+    return this.stock > 0;
+};
+
+export default DropVariant;
\ No newline at end of file
@@ -0,0 +1,93 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+/**
+ * Idempotency key states
+ *   processing - the first request with this key is still running
+ *   completed  - its response is stored and replayed to retries
+ */
+export const IDEMPOTENCY_STATUSES = ['processing', 'completed'];
+
+/**
+ * IdempotencyKey Model
+ * The stored outcome of a POST sent with an Idempotency-Key header, scoped
+ * to the user, so retries replay it instead of running the request again
+ */
+const IdempotencyKey = sequelize.define('idempotency_keys', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    key: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+    },
+    method: {
+        type: DataTypes.STRING(10),
+        allowNull: false,
+    },
+    path: {
+        type: DataTypes.STRING(255),
+        allowNull: false,
+    },
+    request_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        comment: 'SHA-256 of method, path and body; a reused key must match',
+    },
+    status: {
+        type: DataTypes.ENUM(...IDEMPOTENCY_STATUSES),
+        allowNull: false,
+        defaultValue: 'processing',
+    },
+    response_status: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+    response_body: {
+        type: DataTypes.JSON,
+        allowNull: true,
+    },
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+    },
+}, {
+    timestamps: true,
+    underscored: true,
+    tableName: 'idempotency_keys',
+    freezeTableName: true,
+
+    indexes: [
+        {
+            unique: true,
+            fields: ['user_id', 'key'],
+            name: 'unique_user_idempotency_key',
+        },
+        {
+            unique: false,
+            fields: ['expires_at'],
+            name: 'idx_idempotency_expires',
+        },
+    ],
+});
+
+/**
+ * Instance method to check if the stored response has outlived its TTL
+ * @returns {boolean}
+ */
+IdempotencyKey.prototype.isExpired = function () {
+    return new Date() > new Date(this.expires_at);
+};
+
+export default IdempotencyKey;
\ No newline at end of file
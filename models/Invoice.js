@@ -0,0 +1,85 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+/**
+ * Prefix of formatted invoice numbers (INV-000042)
+ */
+export const INVOICE_PREFIX = 'INV-';
+
+/**
+ * Invoice Model
+ * Issued once per purchase. The receipt is rendered from `snapshot`, which
+ * is written at issue time, so it reads the same on every download.
+ */
+const Invoice = sequelize.define('invoices', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    number: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        unique: {
+            name: 'unique_invoice_number',
+            msg: 'Invoice number already issued',
+        },
+        comment: 'Gap-free, from the invoice sequence',
+    },
+    // Invoices outlive their purchase and buyer; the snapshot has everything
+    purchase_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        unique: {
+            name: 'unique_invoice_purchase',
+            msg: 'Purchase already has an invoice',
+        },
+        references: {
+            model: 'purchases',
+            key: 'id',
+        },
+        onDelete: 'SET NULL',
+    },
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id',
+        },
+        onDelete: 'SET NULL',
+    },
+    issued_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+    },
+    snapshot: {
+        type: DataTypes.JSON,
+        allowNull: false,
+        comment: 'Buyer, item, price breakdown and address as of issue',
+    },
+}, {
+    timestamps: true,
+    underscored: true,
+    tableName: 'invoices',
+    freezeTableName: true,
+
+    indexes: [
+        {
+            unique: false,
+            fields: ['user_id'],
+            name: 'idx_invoice_user',
+        },
+    ],
+});
+
+/**
+ * Instance method to get the printable invoice number
+ * @returns {string} - e.g. INV-000042
+ */
+Invoice.prototype.getInvoiceNumber = function () {
+    return `${INVOICE_PREFIX}${String(this.number).padStart(6, '0')}`;
+};
+
+export default Invoice;
\ No newline at end of file
@@ -0,0 +1,32 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+/**
+ * Lease Model
+ * Named, time-limited ownership shared by every server instance (e.g. the
+ * right to run scheduled jobs). The holder keeps renewing it; once it lapses
+ * any instance may take it over.
+ */
+const Lease = sequelize.define('leases', {
+    name: {
+        type: DataTypes.STRING(50),
+        primaryKey: true,
+    },
+    holder: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Instance that currently owns the lease',
+    },
+    expires_at: {
+        type: DataTypes.DATE(3),
+        allowNull: false,
+        comment: 'Ownership lapses at this database time unless renewed',
+    },
+}, {
+    timestamps: true,
+    underscored: true,
+    tableName: 'leases',
+    freezeTableName: true,
+});
+
+export default Lease;
\ No newline at end of file
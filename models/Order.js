@@ -0,0 +1,165 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+import { DEFAULT_CURRENCY } from '../utils/money.js';
+
+/**
+ * Order statuses
+ *   cart             - open cart collecting active reservations
+ *   awaiting_payment - checked out; reservations held until the payment settles
+ *   placed           - every item has a purchase
+ *   paid             - payment captured
+ *   shipped          - handed to the carrier
+ *   delivered        - received by the buyer
+ *   cancelled        - cancelled before shipping; stock returned
+ *   refunded         - money returned to the buyer
+ */
+export const ORDER_STATUSES = [
+    'cart',
+    'awaiting_payment',
+    'placed',
+    'paid',
+    'shipped',
+    'delivered',
+    'cancelled',
+    'refunded',
+];
+
+/**
+ * Allowed status transitions (from -> to)
+ * Once paid, an order can only be unwound through refunds, which return the
+ * money; `refunded` is reached by approving them (utils/refunds.js).
+ */
+export const ORDER_TRANSITIONS = {
+    cart: ['awaiting_payment'],
+    awaiting_payment: ['placed', 'cancelled'],
+    placed: ['paid', 'cancelled'],
+    paid: ['shipped', 'refunded'],
+    shipped: ['delivered', 'refunded'],
+    delivered: ['refunded'],
+    cancelled: [],
+    refunded: [],
+};
+
+/**
+ * Order Model
+ * Groups reservations into a cart and, after checkout, their purchases
+ */
+const Order = sequelize.define('orders', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    status: {
+        type: DataTypes.ENUM(...ORDER_STATUSES),
+        allowNull: false,
+        defaultValue: 'cart',
+        validate: {
+            isIn: {
+                args: [ORDER_STATUSES],
+                msg: 'Invalid order status',
+            },
+        },
+    },
+    currency: {
+        type: DataTypes.CHAR(3),
+        allowNull: false,
+        defaultValue: DEFAULT_CURRENCY,
+    },
+    region: {
+        type: DataTypes.STRING(2),
+        allowNull: true,
+        comment: 'Destination country the tax and shipping rule was picked for',
+    },
+    subtotal_minor: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+    discount_minor: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+    tax_minor: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+    shipping_minor: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+    total_minor: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+    total: {
+        type: DataTypes.DECIMAL(10, 2),
+        comment: 'Decimal copy of total_minor',
+        allowNull: false,
+        defaultValue: 0,
+        get() {
+            const value = this.getDataValue('total');
+            return value ? parseFloat(value) : 0;
+        },
+    },
+    discount_total: {
+        type: DataTypes.DECIMAL(10, 2),
+        comment: 'Decimal copy of discount_minor',
+        allowNull: false,
+        defaultValue: 0,
+        get() {
+            const value = this.getDataValue('discount_total');
+            return value ? parseFloat(value) : 0;
+        },
+    },
+    shipping_address: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Copy of the address chosen at checkout',
+    },
+    placed_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    tracking_number: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+    },
+}, {
+    timestamps: true,
+    underscored: true,
+    tableName: 'orders',
+    freezeTableName: true,
+
+    indexes: [
+        {
+            unique: false,
+            fields: ['user_id', 'status'],
+            name: 'idx_order_user_status',
+        },
+    ],
+});
+
+/**
+ * Instance method to check whether the order may move to a status
+ * @param {string} status - Target status
+ * @returns {boolean}
+ */
+Order.prototype.canTransitionTo = function (status) {
+    return (ORDER_TRANSITIONS[this.status] || []).includes(status);
+};
+
+export default Order;
\ No newline at end of file
@@ -0,0 +1,84 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+/**
+ * OrderItem Model
+ * One reservation in an order; priced at checkout and linked to its
+ * purchase once the payment settles
+ */
+const OrderItem = sequelize.define('order_items', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    order_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'orders',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    reservation_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        unique: {
+            name: 'unique_order_item_reservation',
+            msg: 'Reservation is already in an order',
+        },
+        references: {
+            model: 'reservations',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    purchase_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'purchases',
+            key: 'id',
+        },
+        onDelete: 'SET NULL',
+    },
+    // Priced at checkout, in minor units of the order currency
+    subtotal_minor: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+    discount_minor: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Promo discount allocated to this item',
+    },
+    tax_minor: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+    shipping_minor: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Share of the order shipping fee',
+    },
+    total_minor: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+}, {
+    timestamps: true,
+    underscored: true,
+    tableName: 'order_items',
+    freezeTableName: true,
+
+    indexes: [
+        {
+            unique: false,
+            fields: ['order_id'],
+            name: 'idx_order_item_order',
+        },
+    ],
+});
+
+export default OrderItem;
\ No newline at end of file
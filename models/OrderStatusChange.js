@@ -0,0 +1,61 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+import { ORDER_STATUSES } from './Order.js';
+
+/**
+ * OrderStatusChange Model
+ * History of every order status transition
+ */
+const OrderStatusChange = sequelize.define('order_status_history', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    order_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'orders',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    changed_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id',
+        },
+        onDelete: 'SET NULL',
+    },
+    from_status: {
+        type: DataTypes.ENUM(...ORDER_STATUSES),
+        allowNull: false,
+    },
+    to_status: {
+        type: DataTypes.ENUM(...ORDER_STATUSES),
+        allowNull: false,
+    },
+    note: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+    },
+}, {
+    timestamps: true,
+    updatedAt: false,
+    underscored: true,
+    tableName: 'order_status_history',
+    freezeTableName: true,
+
+    indexes: [
+        {
+            unique: false,
+            fields: ['order_id'],
+            name: 'idx_order_status_history_order',
+        },
+    ],
+});
+
+export default OrderStatusChange;
\ No newline at end of file
@@ -0,0 +1,131 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+import { DEFAULT_CURRENCY } from '../utils/money.js';
+
+/**
+ * Payment statuses
+ *   requires_confirmation - intent created at checkout, waiting for the buyer
+ *   processing            - confirmed with the provider, waiting for its webhook
+ *   succeeded             - settled; the order's purchases exist
+ *   failed                - declined, timed out or too late; reservations released
+ */
+export const PAYMENT_STATUSES = ['requires_confirmation', 'processing', 'succeeded', 'failed'];
+
+/**
+ * Refund states of a failed payment whose money was captured anyway
+ *   due        - recorded with the failure, waiting for the provider refund
+ *   processing - claimed; the provider is being called
+ *   refunded   - the provider accepted the refund
+ */
+export const PAYMENT_REFUND_STATUSES = ['due', 'processing', 'refunded'];
+
+/**
+ * Payment Model
+ * A provider payment intent for one order
+ */
+const Payment = sequelize.define('payments', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    order_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'orders',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    provider: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+    },
+    // Null until the intent exists; it's created after the checkout commits
+    provider_ref: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        unique: true,
+    },
+    amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        get() {
+            const value = this.getDataValue('amount');
+            return value ? parseFloat(value) : 0;
+        },
+    },
+    currency: {
+        type: DataTypes.CHAR(3),
+        allowNull: false,
+        defaultValue: DEFAULT_CURRENCY,
+    },
+    status: {
+        type: DataTypes.ENUM(...PAYMENT_STATUSES),
+        allowNull: false,
+        defaultValue: 'requires_confirmation',
+    },
+    failure_reason: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+    },
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+    },
+    settled_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    refund_status: {
+        type: DataTypes.ENUM(...PAYMENT_REFUND_STATUSES),
+        allowNull: true,
+    },
+    refund_ref: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+    },
+}, {
+    timestamps: true,
+    underscored: true,
+    tableName: 'payments',
+    freezeTableName: true,
+
+    indexes: [
+        {
+            unique: false,
+            fields: ['order_id'],
+            name: 'idx_payment_order',
+        },
+        {
+            unique: false,
+            fields: ['status', 'expires_at'],
+            name: 'idx_payment_status_expires',
+        },
+        {
+            unique: false,
+            fields: ['refund_status'],
+            name: 'idx_payment_refund_status',
+        },
+    ],
+});
+
+/**
+ * Instance method to check if the payment reached a final state
+ * @returns {boolean}
+ */
+Payment.prototype.isSettled = function () {
+    return this.status === 'succeeded' || this.status === 'failed';
+};
+
+export default Payment;
\ No newline at end of file
@@ -0,0 +1,152 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+import { DEFAULT_CURRENCY, SUPPORTED_CURRENCIES } from '../utils/money.js';
+
+/**
+ * Discount types
+ *   percentage - discount_value percent off each eligible item
+ *   fixed      - discount_value (in the code's currency) off the order's eligible items
+ */
+export const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+/**
+ * PromoCode Model
+ * A discount code, global or scoped to one drop
+ */
+const PromoCode = sequelize.define('promo_codes', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    code: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: {
+            name: 'unique_promo_code',
+            msg: 'Promo code already exists',
+        },
+        set(value) {
+            this.setDataValue('code', typeof value === 'string' ? value.trim().toUpperCase() : value);
+        },
+    },
+    discount_type: {
+        type: DataTypes.ENUM(...DISCOUNT_TYPES),
+        allowNull: false,
+    },
+    discount_value: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+            min: {
+                args: [0.01],
+                msg: 'Discount value must be greater than 0',
+            },
+        },
+        get() {
+            const value = this.getDataValue('discount_value');
+            return value ? parseFloat(value) : 0;
+        },
+    },
+    currency: {
+        type: DataTypes.CHAR(3),
+        allowNull: false,
+        defaultValue: DEFAULT_CURRENCY,
+        comment: 'Currency of a fixed discount_value; only matching orders can use it',
+        validate: {
+            isIn: {
+                args: [SUPPORTED_CURRENCIES],
+                msg: `Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`,
+            },
+        },
+    },
+    drop_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'drops',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+        comment: 'NULL means the code applies to every drop',
+    },
+    max_redemptions: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Total redemptions allowed; NULL means unlimited',
+    },
+    max_per_user: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        defaultValue: 1,
+        comment: 'Redemptions allowed per user; NULL means unlimited',
+    },
+    redemption_count: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+    },
+    starts_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    ends_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    is_active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true,
+    },
+}, {
+    timestamps: true,
+    underscored: true,
+    tableName: 'promo_codes',
+    freezeTableName: true,
+
+    validate: {
+        /**
+         * Percentages can't exceed 100
+         */
+        percentageRange() {
+            if (this.discount_type === 'percentage' && this.discount_value > 100) {
+                throw new Error('Percentage discount cannot exceed 100');
+            }
+        },
+
+        /**
+         * Validity window must be ordered
+         */
+        validWindow() {
+            if (this.starts_at && this.ends_at && new Date(this.ends_at) <= new Date(this.starts_at)) {
+                throw new Error('Promo end time must be after start time');
+            }
+        },
+    },
+});
+
+/**
+ * Instance method to check if the code can be used right now
+ * @returns {boolean}
+ */
+PromoCode.prototype.isRedeemable = function () {
+    const now = new Date();
+
+    if (!this.is_active) return false;
+    if (this.starts_at && now < new Date(this.starts_at)) return false;
+    if (this.ends_at && now > new Date(this.ends_at)) return false;
+
+    return this.max_redemptions === null || this.redemption_count < this.max_redemptions;
+};
+
+/**
+ * Instance method to check if the code covers a drop
+ * @param {number} dropId - Drop ID
+ * @returns {boolean}
+ */
+PromoCode.prototype.appliesToDrop = function (dropId) {
+    return this.drop_id === null || this.drop_id === dropId;
+};
+
+export default PromoCode;
\ No newline at end of file
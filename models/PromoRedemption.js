@@ -0,0 +1,81 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+/**
+ * Redemption statuses
+ *   reserved - counted against the caps while the order awaits payment
+ *   redeemed - payment succeeded
+ *   released - payment failed; no longer counted
+ */
+export const REDEMPTION_STATUSES = ['reserved', 'redeemed', 'released'];
+
+/**
+ * PromoRedemption Model
+ * One use of a promo code by one order
+ */
+const PromoRedemption = sequelize.define('promo_redemptions', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    promo_code_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'promo_codes',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    order_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        unique: {
+            name: 'unique_redemption_order',
+            msg: 'Order already has a promo code',
+        },
+        references: {
+            model: 'orders',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    discount_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        get() {
+            const value = this.getDataValue('discount_amount');
+            return value ? parseFloat(value) : 0;
+        },
+    },
+    status: {
+        type: DataTypes.ENUM(...REDEMPTION_STATUSES),
+        allowNull: false,
+        defaultValue: 'reserved',
+    },
+}, {
+    timestamps: true,
+    underscored: true,
+    tableName: 'promo_redemptions',
+    freezeTableName: true,
+
+    indexes: [
+        {
+            unique: false,
+            fields: ['promo_code_id', 'user_id', 'status'],
+            name: 'idx_redemption_code_user',
+        },
+    ],
+});
+
+export default PromoRedemption;
\ No newline at end of file
@@ -1,5 +1,6 @@
 import { DataTypes } from 'sequelize';
 import sequelize from '../config/database.js';
+import { DEFAULT_CURRENCY, toMinorUnits } from '../utils/money.js';
 
 /**
  * Purchase Model
@@ -29,9 +30,95 @@ const Purchase = sequelize.define('purchases', {
         },
         onDelete: 'CASCADE',
     },
+    variant_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'drop_variants',
+            key: 'id',
+        },
+        onDelete: 'SET NULL',
+    },
+    order_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'orders',
+            key: 'id',
+        },
+        onDelete: 'SET NULL',
+    },
+    quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        validate: {
+            isInt: {
+                msg: 'Purchase quantity must be an integer',
+            },
+            min: {
+                args: [1],
+                msg: 'Purchase quantity must be at least 1',
+            },
+        },
+    },
+    currency: {
+        type: DataTypes.CHAR(3),
+        allowNull: false,
+        defaultValue: DEFAULT_CURRENCY,
+    },
+    // Line breakdown in minor units; NULL on purchases made before breakdowns
+    subtotal_minor: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+    discount_minor: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+    tax_minor: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+    shipping_minor: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+    total_minor: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+    original_price: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true,
+        comment: 'Unit price x quantity, before discounts',
+        get() {
+            const value = this.getDataValue('original_price');
+            return value ? parseFloat(value) : 0;
+        },
+    },
+    discount_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        get() {
+            const value = this.getDataValue('discount_amount');
+            return value ? parseFloat(value) : 0;
+        },
+    },
+    promo_code_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'promo_codes',
+            key: 'id',
+        },
+        onDelete: 'SET NULL',
+    },
     price: {
         type: DataTypes.DECIMAL(10, 2),
         allowNull: false,
+        comment: 'Final amount paid, tax and shipping included (decimal copy of total_minor)',
         validate: {
             isDecimal: {
                 msg: 'Price must be a valid decimal number',
@@ -51,6 +138,20 @@ const Purchase = sequelize.define('purchases', {
         allowNull: false,
         defaultValue: DataTypes.NOW,
     },
+    refunded_amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0,
+        get() {
+            const value = this.getDataValue('refunded_amount');
+            return value ? parseFloat(value) : 0;
+        },
+    },
+    restocked_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Set once the units went back into stock',
+    },
 }, {
     timestamps: true,
     underscored: true,
@@ -105,4 +206,24 @@ Purchase.prototype.getTimeSincePurchase = function () {
     return 'Just now';
 };
 
+/**
+ * Instance method to get the amount paid in minor units
+ * @returns {number}
+ */
+Purchase.prototype.getTotalMinor = function () {
+    if (this.total_minor !== null && this.total_minor !== undefined) {
+        return this.total_minor;
+    }
+
+    return toMinorUnits(this.getDataValue('price'), this.currency);
+};
+
+/**
+ * Instance method to get the amount that can still be refunded (minor units)
+ * @returns {number}
+ */
+Purchase.prototype.getRefundableMinor = function () {
+    return this.getTotalMinor() - toMinorUnits(this.getDataValue('refunded_amount'), this.currency);
+};
+
 export default Purchase;
\ No newline at end of file
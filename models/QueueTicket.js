@@ -0,0 +1,110 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+/**
+ * Queue ticket statuses
+ *   waiting  - in line (position may still be unassigned before drop start)
+ *   admitted - holds a valid admission token until admission_expires_at
+ *   used     - admission redeemed by a reservation
+ *   expired  - admission window lapsed without a reservation
+ */
+export const QUEUE_TICKET_STATUSES = ['waiting', 'admitted', 'used', 'expired'];
+
+/**
+ * QueueTicket Model
+ * A user's place in a drop's virtual waiting room
+ */
+const QueueTicket = sequelize.define('queue_tickets', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    drop_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'drops',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    position: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Null until assigned; pre-start joiners are shuffled at drop start',
+    },
+    status: {
+        type: DataTypes.ENUM(...QUEUE_TICKET_STATUSES),
+        allowNull: false,
+        defaultValue: 'waiting',
+        validate: {
+            isIn: {
+                args: [QUEUE_TICKET_STATUSES],
+                msg: 'Invalid queue ticket status',
+            },
+        },
+    },
+    joined_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW,
+    },
+    admitted_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    admission_expires_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+}, {
+    timestamps: true,
+    underscored: true,
+    tableName: 'queue_tickets',
+    freezeTableName: true,
+
+    indexes: [
+        {
+            unique: true,
+            fields: ['drop_id', 'user_id'],
+            name: 'unique_queue_ticket',
+        },
+        {
+            unique: false,
+            fields: ['drop_id', 'status', 'position'],
+            name: 'idx_queue_status_position',
+        },
+    ],
+});
+
+/**
+ * Instance method to check if admission is currently valid
+ * @returns {boolean}
+ */
+QueueTicket.prototype.isAdmitted = function () {
+    return this.status === 'admitted'
+        && this.admission_expires_at
+        && new Date() < new Date(this.admission_expires_at);
+};
+
+/**
+ * Instance method to check if the ticket's turn is over
+ * Used or expired, or admitted with the window lapsed before a tick noticed.
+ * @returns {boolean}
+ */
+QueueTicket.prototype.isSpent = function () {
+    if (this.status === 'used' || this.status === 'expired') return true;
+    return this.status === 'admitted' && !this.isAdmitted();
+};
+
+export default QueueTicket;
\ No newline at end of file
@@ -0,0 +1,87 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+/**
+ * RaffleDraw Model
+ * Commit-reveal record of a raffle draw.
+ * seed_hash is published before the draw; seed and results are revealed
+ * afterwards so anyone can recompute the ranking.
+ */
+const RaffleDraw = sequelize.define('raffle_draws', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    drop_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        unique: {
+            name: 'unique_raffle_draw_drop',
+            msg: 'Drop already has a raffle draw',
+        },
+        references: {
+            model: 'drops',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    status: {
+        type: DataTypes.ENUM('pending', 'drawn'),
+        allowNull: false,
+        defaultValue: 'pending',
+    },
+    algorithm: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+    },
+    seed: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+    },
+    seed_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+    },
+    entries_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        comment: 'SHA-256 of the canonical (sorted) entry ID list',
+    },
+    entry_count: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+    winner_count: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+    },
+    results: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        comment: 'Ranked [{ entry_id, position, variant_id, outcome }]',
+    },
+    drawn_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+}, {
+    timestamps: true,
+    underscored: true,
+    tableName: 'raffle_draws',
+    freezeTableName: true,
+});
+
+/**
+ * Public view of the draw (seed hidden until drawn)
+ * @returns {Object}
+ */
+RaffleDraw.prototype.toPublicJSON = function () {
+    const values = this.toJSON();
+    if (this.status !== 'drawn') {
+        delete values.seed;
+    }
+    return values;
+};
+
+export default RaffleDraw;
\ No newline at end of file
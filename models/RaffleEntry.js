@@ -0,0 +1,101 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+/**
+ * Raffle entry statuses
+ *   entered   - waiting for the draw
+ *   won       - drawn as winner, holds a purchase reservation
+ *   alternate - drawn after the winners, waits for an unclaimed slot
+ *   claimed   - winner completed the purchase
+ *   forfeited - winner let the reservation lapse or cancelled it
+ */
+export const RAFFLE_ENTRY_STATUSES = ['entered', 'won', 'alternate', 'claimed', 'forfeited'];
+
+/**
+ * RaffleEntry Model
+ * One user's entry into a raffle drop
+ */
+const RaffleEntry = sequelize.define('raffle_entries', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    drop_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'drops',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    variant_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'drop_variants',
+            key: 'id',
+        },
+        onDelete: 'SET NULL',
+    },
+    status: {
+        type: DataTypes.ENUM(...RAFFLE_ENTRY_STATUSES),
+        allowNull: false,
+        defaultValue: 'entered',
+        validate: {
+            isIn: {
+                args: [RAFFLE_ENTRY_STATUSES],
+                msg: 'Invalid raffle entry status',
+            },
+        },
+    },
+    draw_position: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: '1-based rank in the draw',
+    },
+    reservation_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'reservations',
+            key: 'id',
+        },
+        onDelete: 'SET NULL',
+    },
+}, {
+    timestamps: true,
+    underscored: true,
+    tableName: 'raffle_entries',
+    freezeTableName: true,
+
+    indexes: [
+        {
+            unique: true,
+            fields: ['drop_id', 'user_id'],
+            name: 'unique_raffle_entry',
+        },
+        {
+            unique: false,
+            fields: ['drop_id', 'status', 'draw_position'],
+            name: 'idx_raffle_status_position',
+        },
+        {
+            unique: false,
+            fields: ['reservation_id'],
+            name: 'idx_raffle_reservation',
+        },
+    ],
+});
+
+export default RaffleEntry;
\ No newline at end of file
@@ -0,0 +1,116 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+/**
+ * Refund statuses
+ *   requested  - waiting for an admin
+ *   processing - approved, money being returned by the payment provider
+ *   approved   - money returned (and optionally restocked)
+ *   rejected   - declined by an admin
+ */
+export const REFUND_STATUSES = ['requested', 'processing', 'approved', 'rejected'];
+
+/**
+ * Refund Model
+ * A refund or return request against one purchase; may be partial
+ */
+const Refund = sequelize.define('refunds', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    purchase_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'purchases',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    status: {
+        type: DataTypes.ENUM(...REFUND_STATUSES),
+        allowNull: false,
+        defaultValue: 'requested',
+    },
+    amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        validate: {
+            min: {
+                args: [0.01],
+                msg: 'Refund amount must be greater than 0',
+            },
+        },
+        get() {
+            const value = this.getDataValue('amount');
+            return value ? parseFloat(value) : 0;
+        },
+    },
+    is_return: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Customer is sending the item back',
+    },
+    reason: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+    },
+    restocked: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+    },
+    provider_ref: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+    },
+    reviewed_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id',
+        },
+        onDelete: 'SET NULL',
+    },
+    review_note: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+    },
+    reviewed_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+}, {
+    timestamps: true,
+    underscored: true,
+    tableName: 'refunds',
+    freezeTableName: true,
+
+    indexes: [
+        {
+            unique: false,
+            fields: ['purchase_id'],
+            name: 'idx_refund_purchase',
+        },
+        {
+            unique: false,
+            fields: ['status'],
+            name: 'idx_refund_status',
+        },
+    ],
+});
+
+export default Refund;
\ No newline at end of file
@@ -0,0 +1,107 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+import { DEFAULT_CURRENCY, SUPPORTED_CURRENCIES } from '../utils/money.js';
+
+/**
+ * Region wildcard; the fallback rule for a currency
+ */
+export const ANY_REGION = '*';
+
+/**
+ * RegionRule Model
+ * Tax and shipping for orders in one currency shipped to one destination
+ * region (ISO 3166-1 alpha-2 country code, or '*' for everywhere else).
+ * Amounts are integer minor units of the rule's currency.
+ */
+const RegionRule = sequelize.define('region_rules', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    region: {
+        type: DataTypes.STRING(2),
+        allowNull: false,
+        defaultValue: ANY_REGION,
+        set(value) {
+            this.setDataValue('region', typeof value === 'string' ? value.trim().toUpperCase() : value);
+        },
+    },
+    currency: {
+        type: DataTypes.CHAR(3),
+        allowNull: false,
+        defaultValue: DEFAULT_CURRENCY,
+        validate: {
+            isIn: {
+                args: [SUPPORTED_CURRENCIES],
+                msg: `Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`,
+            },
+        },
+    },
+    tax_rate_bps: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Tax rate in basis points (2000 = 20%)',
+        validate: {
+            min: {
+                args: [0],
+                msg: 'Tax rate cannot be negative',
+            },
+            max: {
+                args: [10000],
+                msg: 'Tax rate cannot exceed 100%',
+            },
+        },
+    },
+    tax_shipping: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Whether shipping is taxed as well as goods',
+    },
+    shipping_flat_minor: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Flat shipping fee per order',
+        validate: {
+            min: {
+                args: [0],
+                msg: 'Shipping fee cannot be negative',
+            },
+        },
+    },
+    shipping_per_item_minor: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Shipping fee added for each unit (pair)',
+        validate: {
+            min: {
+                args: [0],
+                msg: 'Shipping fee cannot be negative',
+            },
+        },
+    },
+    free_shipping_over_minor: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        comment: 'Discounted subtotal at which shipping is free; NULL means never',
+    },
+}, {
+    timestamps: true,
+    underscored: true,
+    tableName: 'region_rules',
+    freezeTableName: true,
+
+    indexes: [
+        {
+            unique: true,
+            fields: ['region', 'currency'],
+            name: 'unique_region_currency',
+        },
+    ],
+});
+
+export default RegionRule;
\ No newline at end of file
@@ -1,9 +1,15 @@
 import { DataTypes } from 'sequelize';
 import sequelize from '../config/database.js';
 
+/**
+ * Default hold length in ms, used when a drop doesn't set its own
+ * @returns {number}
+ */
+export const getDefaultHoldDuration = () => parseInt(process.env.RESERVATION_DURATION) || 60000;
+
 /**
  * Reservation Model
- * Handles 60-second temporary item reservations
+ * Handles temporary item reservations (60 seconds unless the drop says otherwise)
  */
 const Reservation = sequelize.define('reservations', {
     id: {
@@ -29,6 +35,29 @@ const Reservation = sequelize.define('reservations', {
         },
         onDelete: 'CASCADE',
     },
+    variant_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'drop_variants',
+            key: 'id',
+        },
+        onDelete: 'SET NULL',
+    },
+    quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        validate: {
+            isInt: {
+                msg: 'Reservation quantity must be an integer',
+            },
+            min: {
+                args: [1],
+                msg: 'Reservation quantity must be at least 1',
+            },
+        },
+    },
     status: {
         type: DataTypes.ENUM('active', 'expired', 'completed'),
         allowNull: false,
@@ -54,6 +83,11 @@ const Reservation = sequelize.define('reservations', {
             },
         },
     },
+    extended_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Set when the one-time extension was used',
+    },
 }, {
     timestamps: true,
     underscored: true,
@@ -84,8 +118,7 @@ const Reservation = sequelize.define('reservations', {
          */
         beforeCreate: (reservation) => {
             if (!reservation.expires_at) {
-                const expirationDuration = parseInt(process.env.RESERVATION_DURATION) || 60000;
-                reservation.expires_at = new Date(Date.now() + expirationDuration);
+                reservation.expires_at = new Date(Date.now() + getDefaultHoldDuration());
             }
         },
     },
@@ -118,6 +151,14 @@ Reservation.prototype.getRemainingTime = function () {
     return Math.max(0, Math.floor(diff / 1000));
 };
 
+/**
+ * Instance method to check if the one-time extension is still available
+ * @returns {boolean} - True if active, not yet expired and never extended
+ */
+Reservation.prototype.canExtend = function () {
+    return this.isActive() && !this.extended_at;
+};
+
 /**
  * Instance method to mark as expired
  * @returns {Promise<Reservation>} - Updated reservation
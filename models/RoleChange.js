@@ -0,0 +1,60 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+import { USER_ROLES } from './User.js';
+
+/**
+ * RoleChange Model
+ * Audit trail of role grants and revocations
+ */
+const RoleChange = sequelize.define('role_changes', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    changed_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id',
+        },
+        onDelete: 'SET NULL',
+    },
+    old_role: {
+        type: DataTypes.ENUM(...USER_ROLES),
+        allowNull: false,
+    },
+    new_role: {
+        type: DataTypes.ENUM(...USER_ROLES),
+        allowNull: false,
+    },
+    reason: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+    },
+}, {
+    timestamps: true,
+    underscored: true,
+    tableName: 'role_changes',
+    freezeTableName: true,
+
+    indexes: [
+        {
+            unique: false,
+            fields: ['user_id'],
+            name: 'idx_role_change_user',
+        },
+    ],
+});
+
+export default RoleChange;
\ No newline at end of file
@@ -0,0 +1,28 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+/**
+ * Sequence Model
+ * Named counters for gap-free numbering (e.g. invoices). The row is locked
+ * while a number is taken, so the number is only used if the transaction
+ * that took it commits.
+ */
+const Sequence = sequelize.define('sequences', {
+    name: {
+        type: DataTypes.STRING(50),
+        primaryKey: true,
+    },
+    value: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Last number issued',
+    },
+}, {
+    timestamps: true,
+    underscored: true,
+    tableName: 'sequences',
+    freezeTableName: true,
+});
+
+export default Sequence;
\ No newline at end of file
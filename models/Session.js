@@ -0,0 +1,91 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+/**
+ * Session Model
+ * Server-side refresh token sessions (one row per issued refresh token)
+ */
+const Session = sequelize.define('sessions', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    family_id: {
+        type: DataTypes.STRING(36),
+        allowNull: false,
+    },
+    token_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: {
+            name: 'unique_token_hash',
+            msg: 'Refresh token already exists',
+        },
+    },
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+    },
+    rotated_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    revoked_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+    user_agent: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+    },
+    ip_address: {
+        type: DataTypes.STRING(45),
+        allowNull: true,
+    },
+}, {
+    timestamps: true,
+    underscored: true,
+    tableName: 'sessions',
+    freezeTableName: true,
+
+    indexes: [
+        {
+            unique: false,
+            fields: ['family_id'],
+            name: 'idx_family',
+        },
+        {
+            unique: false,
+            fields: ['user_id', 'revoked_at'],
+            name: 'idx_user_revoked',
+        },
+    ],
+});
+
+/**
+ * Instance method to check if session is revoked
+ * @returns {boolean} - True if session was revoked
+ */
+Session.prototype.isRevoked = function () {
+    return this.revoked_at !== null && this.revoked_at !== undefined;
+};
+
+/**
+ * Instance method to check if refresh token has expired
+ * @returns {boolean} - True if session has expired
+ */
+Session.prototype.isExpired = function () {
+    return new Date() > new Date(this.expires_at);
+};
+
+export default Session;
\ No newline at end of file
@@ -2,6 +2,11 @@ import { DataTypes } from 'sequelize';
 import sequelize from '../config/database.js';
 import bcrypt from 'bcryptjs';
 
+/**
+ * Available user roles (least to most privileged)
+ */
+export const USER_ROLES = ['customer', 'staff', 'admin'];
+
 /**
  * User Model
  * Handles user authentication and profile data
@@ -61,6 +66,21 @@ const User = sequelize.define('users', {
             },
         },
     },
+    role: {
+        type: DataTypes.ENUM(...USER_ROLES),
+        allowNull: false,
+        defaultValue: 'customer',
+        validate: {
+            isIn: {
+                args: [USER_ROLES],
+                msg: 'Role must be customer, staff, or admin',
+            },
+        },
+    },
+    email_verified_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
 }, {
     timestamps: true,
     underscored: true,
@@ -98,6 +118,23 @@ User.prototype.comparePassword = async function (candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
+/**
+ * Instance method to check role membership
+ * @param {...string} roles - Roles to check against
+ * @returns {boolean} - True if user has one of the roles
+ */
+User.prototype.hasRole = function (...roles) {
+    return roles.includes(this.role);
+};
+
+/**
+ * Instance method to check if email has been verified
+ * @returns {boolean} - True if email is verified
+ */
+User.prototype.isVerified = function () {
+    return Boolean(this.email_verified_at);
+};
+
 /**
  * Remove password from JSON response
  */
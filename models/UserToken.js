@@ -0,0 +1,82 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/database.js';
+
+/**
+ * Token types issued to users for account flows
+ */
+export const USER_TOKEN_TYPES = ['password_reset', 'email_verification'];
+
+/**
+ * UserToken Model
+ * Single-use, expiring tokens for password reset and email verification
+ */
+const UserToken = sequelize.define('user_tokens', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true,
+    },
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'users',
+            key: 'id',
+        },
+        onDelete: 'CASCADE',
+    },
+    type: {
+        type: DataTypes.ENUM(...USER_TOKEN_TYPES),
+        allowNull: false,
+        validate: {
+            isIn: {
+                args: [USER_TOKEN_TYPES],
+                msg: 'Token type must be password_reset or email_verification',
+            },
+        },
+    },
+    token_hash: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        unique: {
+            name: 'unique_user_token_hash',
+            msg: 'Token already exists',
+        },
+    },
+    email: {
+        type: DataTypes.STRING(100),
+        allowNull: true,
+        comment: 'Address the token was mailed to; it only works while the user still has it',
+    },
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+    },
+    used_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+    },
+}, {
+    timestamps: true,
+    underscored: true,
+    tableName: 'user_tokens',
+    freezeTableName: true,
+
+    indexes: [
+        {
+            unique: false,
+            fields: ['user_id', 'type'],
+            name: 'idx_user_type',
+        },
+    ],
+});
+
+/**
+ * Instance method to check if token can still be used
+ * @returns {boolean} - True if token is unused and not expired
+ */
+UserToken.prototype.isUsable = function () {
+    return !this.used_at && new Date() <= new Date(this.expires_at);
+};
+
+export default UserToken;
\ No newline at end of file
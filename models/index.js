@@ -1,8 +1,28 @@
 import sequelize from '../config/database.js';
 import User from './User.js';
 import Drop from './Drop.js';
+import DropVariant from './DropVariant.js';
 import Reservation from './Reservation.js';
 import Purchase from './Purchase.js';
+import RoleChange from './RoleChange.js';
+import Session from './Session.js';
+import UserToken from './UserToken.js';
+import RaffleEntry from './RaffleEntry.js';
+import RaffleDraw from './RaffleDraw.js';
+import QueueTicket from './QueueTicket.js';
+import Order from './Order.js';
+import OrderItem from './OrderItem.js';
+import OrderStatusChange from './OrderStatusChange.js';
+import Payment from './Payment.js';
+import Refund from './Refund.js';
+import PromoCode from './PromoCode.js';
+import PromoRedemption from './PromoRedemption.js';
+import RegionRule from './RegionRule.js';
+import Address from './Address.js';
+import Sequence from './Sequence.js';
+import Invoice from './Invoice.js';
+import Lease from './Lease.js';
+import IdempotencyKey from './IdempotencyKey.js';
 
 /**
  * Model Associations
@@ -53,6 +73,284 @@ Purchase.belongsTo(Drop, {
     as: 'drop',
 });
 
+// Drop -> Variants (One to Many)
+Drop.hasMany(DropVariant, {
+    foreignKey: 'drop_id',
+    as: 'variants',
+    onDelete: 'CASCADE',
+});
+DropVariant.belongsTo(Drop, {
+    foreignKey: 'drop_id',
+    as: 'drop',
+});
+
+// Variant -> Reservations (One to Many)
+DropVariant.hasMany(Reservation, {
+    foreignKey: 'variant_id',
+    as: 'reservations',
+});
+Reservation.belongsTo(DropVariant, {
+    foreignKey: 'variant_id',
+    as: 'variant',
+});
+
+// Variant -> Purchases (One to Many)
+DropVariant.hasMany(Purchase, {
+    foreignKey: 'variant_id',
+    as: 'purchases',
+});
+Purchase.belongsTo(DropVariant, {
+    foreignKey: 'variant_id',
+    as: 'variant',
+});
+
+// User -> RoleChanges (One to Many)
+User.hasMany(RoleChange, {
+    foreignKey: 'user_id',
+    as: 'roleChanges',
+    onDelete: 'CASCADE',
+});
+RoleChange.belongsTo(User, {
+    foreignKey: 'user_id',
+    as: 'user',
+});
+RoleChange.belongsTo(User, {
+    foreignKey: 'changed_by',
+    as: 'changedBy',
+});
+
+// User -> Sessions (One to Many)
+User.hasMany(Session, {
+    foreignKey: 'user_id',
+    as: 'sessions',
+    onDelete: 'CASCADE',
+});
+Session.belongsTo(User, {
+    foreignKey: 'user_id',
+    as: 'user',
+});
+
+// User -> IdempotencyKeys (One to Many)
+User.hasMany(IdempotencyKey, {
+    foreignKey: 'user_id',
+    as: 'idempotencyKeys',
+    onDelete: 'CASCADE',
+});
+IdempotencyKey.belongsTo(User, {
+    foreignKey: 'user_id',
+    as: 'user',
+});
+
+// User -> Addresses (One to Many)
+User.hasMany(Address, {
+    foreignKey: 'user_id',
+    as: 'addresses',
+    onDelete: 'CASCADE',
+});
+Address.belongsTo(User, {
+    foreignKey: 'user_id',
+    as: 'user',
+});
+
+// User -> UserTokens (One to Many)
+User.hasMany(UserToken, {
+    foreignKey: 'user_id',
+    as: 'tokens',
+    onDelete: 'CASCADE',
+});
+UserToken.belongsTo(User, {
+    foreignKey: 'user_id',
+    as: 'user',
+});
+
+// Drop -> RaffleEntries (One to Many)
+Drop.hasMany(RaffleEntry, {
+    foreignKey: 'drop_id',
+    as: 'raffleEntries',
+    onDelete: 'CASCADE',
+});
+RaffleEntry.belongsTo(Drop, {
+    foreignKey: 'drop_id',
+    as: 'drop',
+});
+RaffleEntry.belongsTo(User, {
+    foreignKey: 'user_id',
+    as: 'user',
+});
+RaffleEntry.belongsTo(DropVariant, {
+    foreignKey: 'variant_id',
+    as: 'variant',
+});
+RaffleEntry.belongsTo(Reservation, {
+    foreignKey: 'reservation_id',
+    as: 'reservation',
+});
+
+// Drop -> RaffleDraw (One to One)
+Drop.hasOne(RaffleDraw, {
+    foreignKey: 'drop_id',
+    as: 'raffleDraw',
+    onDelete: 'CASCADE',
+});
+RaffleDraw.belongsTo(Drop, {
+    foreignKey: 'drop_id',
+    as: 'drop',
+});
+
+// Drop -> QueueTickets (One to Many)
+Drop.hasMany(QueueTicket, {
+    foreignKey: 'drop_id',
+    as: 'queueTickets',
+    onDelete: 'CASCADE',
+});
+QueueTicket.belongsTo(Drop, {
+    foreignKey: 'drop_id',
+    as: 'drop',
+});
+QueueTicket.belongsTo(User, {
+    foreignKey: 'user_id',
+    as: 'user',
+});
+
+// User -> Orders (One to Many)
+User.hasMany(Order, {
+    foreignKey: 'user_id',
+    as: 'orders',
+    onDelete: 'CASCADE',
+});
+Order.belongsTo(User, {
+    foreignKey: 'user_id',
+    as: 'user',
+});
+
+// Order -> Items (One to Many)
+Order.hasMany(OrderItem, {
+    foreignKey: 'order_id',
+    as: 'items',
+    onDelete: 'CASCADE',
+});
+OrderItem.belongsTo(Order, {
+    foreignKey: 'order_id',
+    as: 'order',
+});
+OrderItem.belongsTo(Reservation, {
+    foreignKey: 'reservation_id',
+    as: 'reservation',
+});
+OrderItem.belongsTo(Purchase, {
+    foreignKey: 'purchase_id',
+    as: 'purchase',
+});
+
+// Order -> Purchases (One to Many)
+Order.hasMany(Purchase, {
+    foreignKey: 'order_id',
+    as: 'purchases',
+});
+Purchase.belongsTo(Order, {
+    foreignKey: 'order_id',
+    as: 'order',
+});
+
+// Order -> Status history (One to Many)
+Order.hasMany(OrderStatusChange, {
+    foreignKey: 'order_id',
+    as: 'statusHistory',
+    onDelete: 'CASCADE',
+});
+OrderStatusChange.belongsTo(Order, {
+    foreignKey: 'order_id',
+    as: 'order',
+});
+OrderStatusChange.belongsTo(User, {
+    foreignKey: 'changed_by',
+    as: 'changedBy',
+});
+
+// Order -> Payments (One to Many)
+Order.hasMany(Payment, {
+    foreignKey: 'order_id',
+    as: 'payments',
+    onDelete: 'CASCADE',
+});
+Payment.belongsTo(Order, {
+    foreignKey: 'order_id',
+    as: 'order',
+});
+Payment.belongsTo(User, {
+    foreignKey: 'user_id',
+    as: 'user',
+});
+
+// Purchase -> Refunds (One to Many)
+Purchase.hasMany(Refund, {
+    foreignKey: 'purchase_id',
+    as: 'refunds',
+    onDelete: 'CASCADE',
+});
+Refund.belongsTo(Purchase, {
+    foreignKey: 'purchase_id',
+    as: 'purchase',
+});
+Refund.belongsTo(User, {
+    foreignKey: 'user_id',
+    as: 'user',
+});
+Refund.belongsTo(User, {
+    foreignKey: 'reviewed_by',
+    as: 'reviewer',
+});
+
+// Drop -> PromoCodes (One to Many; NULL drop_id = global code)
+Drop.hasMany(PromoCode, {
+    foreignKey: 'drop_id',
+    as: 'promoCodes',
+    onDelete: 'CASCADE',
+});
+PromoCode.belongsTo(Drop, {
+    foreignKey: 'drop_id',
+    as: 'drop',
+});
+
+// PromoCode -> Redemptions (One to Many)
+PromoCode.hasMany(PromoRedemption, {
+    foreignKey: 'promo_code_id',
+    as: 'redemptions',
+    onDelete: 'CASCADE',
+});
+PromoRedemption.belongsTo(PromoCode, {
+    foreignKey: 'promo_code_id',
+    as: 'promoCode',
+});
+PromoRedemption.belongsTo(Order, {
+    foreignKey: 'order_id',
+    as: 'order',
+});
+Order.hasOne(PromoRedemption, {
+    foreignKey: 'order_id',
+    as: 'promoRedemption',
+});
+
+// PromoCode -> Purchases (One to Many)
+PromoCode.hasMany(Purchase, {
+    foreignKey: 'promo_code_id',
+    as: 'purchases',
+});
+Purchase.belongsTo(PromoCode, {
+    foreignKey: 'promo_code_id',
+    as: 'promoCode',
+});
+
+// Purchase -> Invoice (One to One)
+Purchase.hasOne(Invoice, {
+    foreignKey: 'purchase_id',
+    as: 'invoice',
+});
+Invoice.belongsTo(Purchase, {
+    foreignKey: 'purchase_id',
+    as: 'purchase',
+});
+
 /**
  * Export all models and sequelize instance
  */
@@ -60,14 +358,54 @@ export {
     sequelize,
     User,
     Drop,
+    DropVariant,
     Reservation,
     Purchase,
+    RoleChange,
+    Session,
+    UserToken,
+    RaffleEntry,
+    RaffleDraw,
+    QueueTicket,
+    Order,
+    OrderItem,
+    OrderStatusChange,
+    Payment,
+    Refund,
+    PromoCode,
+    PromoRedemption,
+    RegionRule,
+    Address,
+    Sequence,
+    Invoice,
+    Lease,
+    IdempotencyKey,
 };
 
 export default {
     sequelize,
     User,
     Drop,
+    DropVariant,
     Reservation,
     Purchase,
+    RoleChange,
+    Session,
+    UserToken,
+    RaffleEntry,
+    RaffleDraw,
+    QueueTicket,
+    Order,
+    OrderItem,
+    OrderStatusChange,
+    Payment,
+    Refund,
+    PromoCode,
+    PromoRedemption,
+    RegionRule,
+    Address,
+    Sequence,
+    Invoice,
+    Lease,
+    IdempotencyKey,
 };
\ No newline at end of file
@@ -0,0 +1,127 @@
+import express from 'express';
+import {
+    getCart,
+    addCartItem,
+    removeCartItem,
+    checkoutCart,
+} from '../controllers/cartController.js';
+import { authenticate } from '../middleware/auth.js';
+import {
+    validatePurchase,
+    validateCheckout,
+    validateReservationIdParam,
+} from '../middleware/validators.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Cart
+ *   description: Multi-drop cart checkout
+ */
+
+/**
+ * @swagger
+ * /api/cart:
+ *   get:
+ *     summary: Get current user's cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cart with reservation items and remaining hold time
+ */
+router.get('/', authenticate, getCart);
+
+/**
+ * @swagger
+ * /api/cart/items:
+ *   post:
+ *     summary: Add an active reservation to the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reservationId
+ *             properties:
+ *               reservationId:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Added to cart
+ *       404:
+ *         description: Active reservation not found
+ *       409:
+ *         description: Already in cart, or priced in a different currency than the cart
+ */
+router.post('/items', authenticate, validatePurchase, addCartItem);
+
+/**
+ * @swagger
+ * /api/cart/items/{reservationId}:
+ *   delete:
+ *     summary: Remove a reservation from the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reservationId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Removed from cart
+ *       404:
+ *         description: Item not in cart
+ */
+router.delete('/items/:reservationId', authenticate, validateReservationIdParam, removeCartItem);
+
+/**
+ * @swagger
+ * /api/cart/checkout:
+ *   post:
+ *     summary: Check out all cart reservations in one transaction
+ *     description: Moves the cart to an order awaiting payment and returns one payment intent for it.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               promoCode:
+ *                 type: string
+ *               addressId:
+ *                 type: integer
+ *                 description: Shipping address from the address book; defaults to the default address
+ *               region:
+ *                 type: string
+ *                 example: DE
+ *                 description: Destination country (ISO 3166-1 alpha-2) for tax and shipping when there is no address
+ *     responses:
+ *       201:
+ *         description: Order awaiting payment, its payment intent and data.breakdown (see PriceBreakdown)
+ *       400:
+ *         description: Cart is empty, or promo code invalid / not applicable
+ *       404:
+ *         description: Address not found
+ *       409:
+ *         description: A reservation expired or is no longer active (code CART_CHECKOUT_FAILED, data.invalid_items)
+ *       502:
+ *         description: Payment provider refused the intent; the order is cancelled and its reservations released
+ */
+router.post('/checkout', authenticate, validateCheckout, checkoutCart);
+
+export default router;
\ No newline at end of file
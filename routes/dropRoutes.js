@@ -6,11 +6,17 @@ import {
     updateDrop,
     deleteDrop,
     getDropStats,
+    streamDropEvents,
+    getDropVariants,
+    addDropVariant,
+    updateDropVariant,
 } from '../controllers/dropController.js';
-import { authenticate, optionalAuth } from '../middleware/auth.js';
+import { authenticate, authorize, optionalAuth } from '../middleware/auth.js';
 import {
     validateCreateDrop,
     validateUpdateDrop,
+    validateCreateVariant,
+    validateUpdateVariant,
     validateIdParam,
     validatePagination,
 } from '../middleware/validators.js';
@@ -77,6 +83,7 @@ router.get('/:id', validateIdParam, getDropById);
  * /api/drops/{id}/stats:
  *   get:
  *     summary: Get drop statistics
+ *     description: Includes `watching`, the number of distinct users currently in the drop's socket room (on this server instance).
  *     tags: [Drops]
  *     parameters:
  *       - in: path
@@ -90,6 +97,138 @@ router.get('/:id', validateIdParam, getDropById);
  */
 router.get('/:id/stats', validateIdParam, getDropStats);
 
+/**
+ * @swagger
+ * /api/drops/{id}/events:
+ *   get:
+ *     summary: Stream a drop's live events (Server-Sent Events)
+ *     description: |
+ *       Carries the same events as the drop's socket room (stockUpdate, purchaseCompleted, reservationExpired, ...), each with `id: <epoch>:<seq>`.
+ *       Starts with a stockUpdate snapshot, then sends a `: heartbeat` comment every SSE_HEARTBEAT_MS while idle.
+ *       Reconnecting with `Last-Event-ID` replays missed events when still buffered; otherwise a fresh snapshot with `resync: true` is sent.
+ *     tags: [Drops]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *         description: ID of the last event received, sent automatically by EventSource on reconnect
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: string
+ *         description: Same as Last-Event-ID, for clients that can't set headers
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Drop not found
+ */
+router.get('/:id/events', validateIdParam, streamDropEvents);
+
+/**
+ * @swagger
+ * /api/drops/{id}/variants:
+ *   get:
+ *     summary: Get sizes/colorways of a drop with per-variant stock
+ *     tags: [Drops]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of variants
+ *       404:
+ *         description: Drop not found
+ */
+router.get('/:id/variants', validateIdParam, getDropVariants);
+
+/**
+ * @swagger
+ * /api/drops/{id}/variants:
+ *   post:
+ *     summary: Add a variant to a drop
+ *     tags: [Drops]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DropVariantInput'
+ *     responses:
+ *       201:
+ *         description: Variant added, drop stock increased
+ *       403:
+ *         description: Insufficient permissions
+ *       409:
+ *         description: First variant of a drop that still has drop-level stock or active reservations
+ */
+router.post('/:id/variants', authenticate, authorize('admin', 'staff'), validateCreateVariant, addDropVariant);
+
+/**
+ * @swagger
+ * /api/drops/{id}/variants/{variantId}:
+ *   put:
+ *     summary: Update a variant of a drop
+ *     tags: [Drops]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               size:
+ *                 type: string
+ *               colorway:
+ *                 type: string
+ *               sku:
+ *                 type: string
+ *               stock:
+ *                 type: integer
+ *               initial_stock:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Variant updated, drop totals kept in sync
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.put('/:id/variants/:variantId', authenticate, authorize('admin', 'staff'), validateUpdateVariant, updateDropVariant);
+
 /**
  * @swagger
  * /api/drops:
@@ -107,8 +246,6 @@ router.get('/:id/stats', validateIdParam, getDropStats);
  *             required:
  *               - name
  *               - price
- *               - stock
- *               - initial_stock
  *             properties:
  *               name:
  *                 type: string
@@ -116,20 +253,63 @@ router.get('/:id/stats', validateIdParam, getDropStats);
  *                 type: string
  *               price:
  *                 type: number
+ *               currency:
+ *                 type: string
+ *                 example: USD
+ *                 description: ISO 4217 code (defaults to USD)
  *               stock:
  *                 type: integer
+ *                 description: Required unless variants are given
  *               initial_stock:
  *                 type: integer
+ *                 description: Required unless variants are given
+ *               max_per_user:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Per-customer limit (default 1, null for unlimited)
+ *               max_per_reservation:
+ *                 type: integer
+ *                 description: Max pairs in one reservation (default 1)
+ *               hold_seconds:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Reservation hold length (default RESERVATION_DURATION)
+ *               extension_seconds:
+ *                 type: integer
+ *                 description: One-time reservation extension (default 0, disabled)
  *               image_url:
  *                 type: string
  *               drop_start_time:
  *                 type: string
  *                 format: date-time
+ *               mode:
+ *                 type: string
+ *                 enum: [fcfs, raffle]
+ *               entry_start_time:
+ *                 type: string
+ *                 format: date-time
+ *               entry_end_time:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Required for raffle drops; the draw runs at this time
+ *               queue_enabled:
+ *                 type: boolean
+ *                 description: Put a waiting room in front of reservations
+ *               queue_batch_size:
+ *                 type: integer
+ *                 description: Users admitted per batch (default 50)
+ *               variants:
+ *                 type: array
+ *                 description: Sizes/colorways; when given, stock and initial_stock are their sum
+ *                 items:
+ *                   $ref: '#/components/schemas/DropVariantInput'
  *     responses:
  *       201:
  *         description: Drop created successfully
+ *       403:
+ *         description: Insufficient permissions
  */
-router.post('/', authenticate, validateCreateDrop, createDrop);
+router.post('/', authenticate, authorize('admin', 'staff'), validateCreateDrop, createDrop);
 
 /**
  * @swagger
@@ -158,15 +338,44 @@ router.post('/', authenticate, validateCreateDrop, createDrop);
  *                 type: string
  *               price:
  *                 type: number
+ *               currency:
+ *                 type: string
+ *                 example: USD
+ *                 description: ISO 4217 code (defaults to USD)
  *               stock:
  *                 type: integer
+ *               max_per_user:
+ *                 type: integer
+ *                 nullable: true
+ *               max_per_reservation:
+ *                 type: integer
+ *               hold_seconds:
+ *                 type: integer
+ *                 nullable: true
+ *               extension_seconds:
+ *                 type: integer
  *               image_url:
  *                 type: string
+ *               mode:
+ *                 type: string
+ *                 enum: [fcfs, raffle]
+ *               entry_start_time:
+ *                 type: string
+ *                 format: date-time
+ *               entry_end_time:
+ *                 type: string
+ *                 format: date-time
+ *               queue_enabled:
+ *                 type: boolean
+ *               queue_batch_size:
+ *                 type: integer
  *     responses:
  *       200:
  *         description: Drop updated successfully
+ *       403:
+ *         description: Insufficient permissions
  */
-router.put('/:id', authenticate, validateUpdateDrop, updateDrop);
+router.put('/:id', authenticate, authorize('admin', 'staff'), validateUpdateDrop, updateDrop);
 
 /**
  * @swagger
@@ -185,7 +394,9 @@ router.put('/:id', authenticate, validateUpdateDrop, updateDrop);
  *     responses:
  *       200:
  *         description: Drop deleted successfully
+ *       403:
+ *         description: Insufficient permissions
  */
-router.delete('/:id', authenticate, validateIdParam, deleteDrop);
+router.delete('/:id', authenticate, authorize('admin'), validateIdParam, deleteDrop);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,150 @@
+import express from 'express';
+import {
+    getUserOrders,
+    getOrderById,
+    getAllOrders,
+    updateOrderStatus,
+} from '../controllers/orderController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import {
+    validateIdParam,
+    validatePagination,
+    validateOrderQuery,
+    validateOrderStatus,
+} from '../middleware/validators.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Orders
+ *   description: Orders and fulfilment status
+ */
+
+/**
+ * @swagger
+ * /api/orders/user:
+ *   get:
+ *     summary: Get current user's orders
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of user's orders
+ */
+router.get('/user', authenticate, validatePagination, getUserOrders);
+
+/**
+ * @swagger
+ * /api/orders/{id}:
+ *   get:
+ *     summary: Get order by ID with its status history
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Order details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Order'
+ *       404:
+ *         description: Order not found
+ */
+router.get('/:id', authenticate, validateIdParam, getOrderById);
+
+/**
+ * @swagger
+ * /api/orders/{id}/status:
+ *   put:
+ *     summary: Move an order to a new status (admin/staff)
+ *     description: |
+ *       Allowed transitions: placed -> paid|cancelled, paid -> shipped, shipped -> delivered.
+ *       Cancelling returns stock. Paid orders are unwound through refunds instead, and only
+ *       refund approval moves an order to `refunded`.
+ *       The buyer receives an `orderStatusChanged` socket event in their `user_<id>` room.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [paid, shipped, delivered, cancelled]
+ *               note:
+ *                 type: string
+ *               trackingNumber:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Status updated and recorded in history
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Transition not allowed from the current status, `refunded` requested, or shipping an order without an address
+ */
+router.put('/:id/status', authenticate, authorize('admin', 'staff'), validateOrderStatus, updateOrderStatus);
+
+/**
+ * @swagger
+ * /api/orders:
+ *   get:
+ *     summary: Get all orders (admin/staff)
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of orders
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/', authenticate, authorize('admin', 'staff'), validateOrderQuery, getAllOrders);
+
+export default router;
\ No newline at end of file
@@ -0,0 +1,112 @@
+import express from 'express';
+import {
+    getPayment,
+    confirmPaymentIntent,
+    receivePaymentWebhook,
+} from '../controllers/paymentController.js';
+import { authenticate } from '../middleware/auth.js';
+import {
+    validateIdParam,
+    validatePaymentConfirm,
+} from '../middleware/validators.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Payments
+ *   description: Payment intents and provider webhooks
+ */
+
+/**
+ * @swagger
+ * /api/payments/webhooks/{provider}:
+ *   post:
+ *     summary: Provider webhook that settles a payment
+ *     description: |
+ *       The provider verifies the signature (mock: `X-Mock-Signature`, HMAC-SHA256 of the raw body
+ *       with PAYMENT_WEBHOOK_SECRET). Success places the order; failure cancels it and
+ *       releases its reservations back to stock. Duplicate deliveries are ignored.
+ *     tags: [Payments]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: mock
+ *     responses:
+ *       200:
+ *         description: Webhook received
+ *       400:
+ *         description: Invalid signature or payload
+ *       404:
+ *         description: Unknown provider or payment
+ */
+router.post('/webhooks/:provider', receivePaymentWebhook);
+
+/**
+ * @swagger
+ * /api/payments/{id}:
+ *   get:
+ *     summary: Get a payment
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payment details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Payment'
+ *       404:
+ *         description: Payment not found
+ */
+router.get('/:id', authenticate, validateIdParam, getPayment);
+
+/**
+ * @swagger
+ * /api/payments/{id}/confirm:
+ *   post:
+ *     summary: Confirm a payment intent
+ *     description: |
+ *       Starts processing with the provider. The outcome arrives by webhook and is pushed
+ *       to the buyer as `paymentUpdated`. With the mock provider the payment method picks
+ *       the outcome: mock_success, mock_decline or mock_timeout.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               paymentMethod:
+ *                 type: string
+ *                 example: mock_success
+ *     responses:
+ *       202:
+ *         description: Payment is processing
+ *       404:
+ *         description: Payment not found
+ *       409:
+ *         description: Payment already confirmed, settled or expired
+ */
+router.post('/:id/confirm', authenticate, validatePaymentConfirm, confirmPaymentIntent);
+
+export default router;
\ No newline at end of file
@@ -0,0 +1,94 @@
+import express from 'express';
+import {
+    getRegionRules,
+    upsertRegionRule,
+    deleteRegionRule,
+} from '../controllers/pricingController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import {
+    validateRegionRule,
+    validateIdParam,
+} from '../middleware/validators.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Pricing
+ *   description: Tax and shipping rules by destination region
+ */
+
+/**
+ * @swagger
+ * /api/pricing/rules:
+ *   get:
+ *     summary: Get all region rules (admin/staff)
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           example: EUR
+ *     responses:
+ *       200:
+ *         description: List of region rules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/RegionRule'
+ */
+router.get('/rules', authenticate, authorize('admin', 'staff'), getRegionRules);
+
+/**
+ * @swagger
+ * /api/pricing/rules:
+ *   put:
+ *     summary: Create or replace the rule for a region and currency (admin)
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RegionRule'
+ *     responses:
+ *       200:
+ *         description: Rule updated
+ *       201:
+ *         description: Rule created
+ *       400:
+ *         description: Validation error
+ */
+router.put('/rules', authenticate, authorize('admin'), validateRegionRule, upsertRegionRule);
+
+/**
+ * @swagger
+ * /api/pricing/rules/{id}:
+ *   delete:
+ *     summary: Delete a region rule (admin)
+ *     tags: [Pricing]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Rule deleted
+ *       404:
+ *         description: Rule not found
+ */
+router.delete('/rules/:id', authenticate, authorize('admin'), validateIdParam, deleteRegionRule);
+
+export default router;
\ No newline at end of file
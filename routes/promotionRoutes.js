@@ -0,0 +1,111 @@
+import express from 'express';
+import {
+    createPromoCode,
+    getPromoCodes,
+    updatePromoCode,
+} from '../controllers/promotionController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import {
+    validateCreatePromo,
+    validateUpdatePromo,
+} from '../middleware/validators.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Promotions
+ *   description: Promo codes applied at checkout
+ */
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   post:
+ *     summary: Create a promo code (admin)
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PromoCodeInput'
+ *     responses:
+ *       201:
+ *         description: Promo code created
+ *       403:
+ *         description: Insufficient permissions
+ *       409:
+ *         description: Code already exists
+ */
+router.post('/', authenticate, authorize('admin'), validateCreatePromo, createPromoCode);
+
+/**
+ * @swagger
+ * /api/promotions:
+ *   get:
+ *     summary: Get all promo codes (admin/staff)
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of promo codes with redemption counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PromoCode'
+ */
+router.get('/', authenticate, authorize('admin', 'staff'), getPromoCodes);
+
+/**
+ * @swagger
+ * /api/promotions/{id}:
+ *   put:
+ *     summary: Update a promo code's value, limits, window or active flag (admin)
+ *     tags: [Promotions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               discount_value:
+ *                 type: number
+ *               max_redemptions:
+ *                 type: integer
+ *                 nullable: true
+ *               max_per_user:
+ *                 type: integer
+ *                 nullable: true
+ *               starts_at:
+ *                 type: string
+ *                 format: date-time
+ *               ends_at:
+ *                 type: string
+ *                 format: date-time
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Promo code updated
+ *       404:
+ *         description: Promo code not found
+ */
+router.put('/:id', authenticate, authorize('admin'), validateUpdatePromo, updatePromoCode);
+
+export default router;
\ No newline at end of file
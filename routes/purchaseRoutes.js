@@ -4,10 +4,12 @@ import {
     getUserPurchases,
     getDropPurchases,
     getPurchaseById,
+    getPurchaseReceipt,
     getAllPurchases,
     getPurchaseStats,
 } from '../controllers/purchaseController.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
 import {
     validatePurchase,
     validateIdParam,
@@ -27,10 +29,16 @@ const router = express.Router();
  * @swagger
  * /api/purchases:
  *   post:
- *     summary: Complete purchase from reservation
+ *     summary: Check out a reservation
+ *     description: |
+ *       Creates a one-item order awaiting payment and returns its payment intent.
+ *       Confirm it with POST /api/payments/{id}/confirm; the purchase is created when
+ *       the payment settles.
  *     tags: [Purchases]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -42,15 +50,31 @@ const router = express.Router();
  *             properties:
  *               reservationId:
  *                 type: integer
+ *               promoCode:
+ *                 type: string
+ *                 description: Optional promo code
+ *               addressId:
+ *                 type: integer
+ *                 description: Shipping address from the address book; defaults to the default address
+ *               region:
+ *                 type: string
+ *                 example: DE
+ *                 description: Destination country (ISO 3166-1 alpha-2) for tax and shipping when there is no address
  *     responses:
  *       201:
- *         description: Purchase completed successfully
+ *         description: Order awaiting payment, its payment intent and data.breakdown (see PriceBreakdown)
  *       400:
- *         description: Reservation expired or invalid
+ *         description: Reservation expired or invalid, or promo code invalid / not applicable
  *       404:
- *         description: Reservation not found
+ *         description: Reservation or address not found
+ *       409:
+ *         description: Reservation already has a pending payment, promo code already used, or a request with the same Idempotency-Key is still running
+ *       422:
+ *         description: Idempotency-Key reused with a different request body
+ *       502:
+ *         description: Payment provider refused the intent; the order is cancelled and the reservation released
  */
-router.post('/', authenticate, validatePurchase, completePurchase);
+router.post('/', authenticate, idempotent, validatePurchase, completePurchase);
 
 /**
  * @swagger
@@ -98,6 +122,23 @@ router.get('/user', authenticate, validatePagination, getUserPurchases);
  */
 router.get('/drop/:dropId', validateIdParam, getDropPurchases);
 
+/**
+ * @swagger
+ * /api/purchases/stats:
+ *   get:
+ *     summary: Get purchase statistics (admin)
+ *     description: Revenue, refunds and net revenue are reported per currency only (also per drop and currency), as decimal strings.
+ *     tags: [Purchases]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Purchase statistics
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/stats', authenticate, authorize('admin', 'staff'), getPurchaseStats);
+
 /**
  * @swagger
  * /api/purchases/{id}:
@@ -122,39 +163,54 @@ router.get('/:id', authenticate, validateIdParam, getPurchaseById);
 
 /**
  * @swagger
- * /api/purchases:
+ * /api/purchases/{id}/receipt:
  *   get:
- *     summary: Get all purchases (admin)
+ *     summary: Download a printable HTML receipt (owner or admin/staff)
+ *     description: The invoice is issued with a gap-free number when the payment succeeds (or on the first download for older purchases). Receipts render from a snapshot taken at issue, so every download is identical.
  *     tags: [Purchases]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *       - in: query
- *         name: limit
+ *       - in: path
+ *         name: id
+ *         required: true
  *         schema:
  *           type: integer
  *     responses:
  *       200:
- *         description: List of all purchases
+ *         description: Receipt
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Purchase not found
  */
-router.get('/', authenticate, validatePagination, getAllPurchases);
+router.get('/:id/receipt', authenticate, validateIdParam, getPurchaseReceipt);
 
 /**
  * @swagger
- * /api/purchases/stats:
+ * /api/purchases:
  *   get:
- *     summary: Get purchase statistics (admin)
+ *     summary: Get all purchases (admin)
  *     tags: [Purchases]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: Purchase statistics
+ *         description: List of all purchases
+ *       403:
+ *         description: Insufficient permissions
  */
-router.get('/stats', authenticate, getPurchaseStats);
+router.get('/', authenticate, authorize('admin', 'staff'), validatePagination, getAllPurchases);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,62 @@
+import express from 'express';
+import { joinDropQueue, getQueueStatus } from '../controllers/queueController.js';
+import { authenticate, requireVerified } from '../middleware/auth.js';
+import { validateDropIdParam } from '../middleware/validators.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Queue
+ *   description: Virtual waiting room for hot drops
+ */
+
+/**
+ * @swagger
+ * /api/queue/{dropId}/join:
+ *   post:
+ *     summary: Join a drop's waiting room
+ *     description: Joiners before drop_start_time are shuffled at start; later joiners queue in arrival order. A user whose admission was used or lapsed rejoins at the back.
+ *     tags: [Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: dropId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       201:
+ *         description: Joined (or rejoined) waiting room
+ *       200:
+ *         description: Already in waiting room
+ *       400:
+ *         description: Drop has no waiting room
+ */
+router.post('/:dropId/join', authenticate, requireVerified, validateDropIdParam, joinDropQueue);
+
+/**
+ * @swagger
+ * /api/queue/{dropId}:
+ *   get:
+ *     summary: Get queue position, ETA and (once admitted) the admission token
+ *     tags: [Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: dropId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Queue status
+ *       404:
+ *         description: Not in the waiting room
+ */
+router.get('/:dropId', authenticate, validateDropIdParam, getQueueStatus);
+
+export default router;
\ No newline at end of file
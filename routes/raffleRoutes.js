@@ -0,0 +1,141 @@
+import express from 'express';
+import {
+    enterRaffle,
+    getMyRaffleEntry,
+    getRaffle,
+    triggerRaffleDraw,
+    verifyRaffleDraw,
+} from '../controllers/raffleController.js';
+import { authenticate, authorize, requireVerified } from '../middleware/auth.js';
+import {
+    validateDropIdParam,
+    validateRaffleEntry,
+} from '../middleware/validators.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Raffles
+ *   description: Raffle-mode drops with auditable draws
+ */
+
+/**
+ * @swagger
+ * /api/raffles/{dropId}:
+ *   get:
+ *     summary: Get raffle status, seed commitment and (after the draw) results
+ *     tags: [Raffles]
+ *     parameters:
+ *       - in: path
+ *         name: dropId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Raffle status
+ *       404:
+ *         description: Raffle not found
+ */
+router.get('/:dropId', validateDropIdParam, getRaffle);
+
+/**
+ * @swagger
+ * /api/raffles/{dropId}/verify:
+ *   get:
+ *     summary: Recompute the draw from the revealed seed and check the stored results
+ *     tags: [Raffles]
+ *     parameters:
+ *       - in: path
+ *         name: dropId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Verification result
+ *       404:
+ *         description: Raffle not drawn yet
+ */
+router.get('/:dropId/verify', validateDropIdParam, verifyRaffleDraw);
+
+/**
+ * @swagger
+ * /api/raffles/{dropId}/entries:
+ *   post:
+ *     summary: Enter a raffle during its entry window
+ *     tags: [Raffles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: dropId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               variantId:
+ *                 type: integer
+ *                 description: Required for drops with sizes
+ *     responses:
+ *       201:
+ *         description: Entry received
+ *       400:
+ *         description: Entry window closed or not a raffle
+ *       409:
+ *         description: Already entered
+ */
+router.post('/:dropId/entries', authenticate, requireVerified, validateRaffleEntry, enterRaffle);
+
+/**
+ * @swagger
+ * /api/raffles/{dropId}/entries/me:
+ *   get:
+ *     summary: Get current user's raffle entry and outcome
+ *     tags: [Raffles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: dropId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Raffle entry
+ *       404:
+ *         description: Not entered
+ */
+router.get('/:dropId/entries/me', authenticate, validateDropIdParam, getMyRaffleEntry);
+
+/**
+ * @swagger
+ * /api/raffles/{dropId}/draw:
+ *   post:
+ *     summary: Run the draw now (admin, entry window must be closed)
+ *     tags: [Raffles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: dropId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Raffle drawn
+ *       409:
+ *         description: Already drawn
+ */
+router.post('/:dropId/draw', authenticate, authorize('admin'), validateDropIdParam, triggerRaffleDraw);
+
+export default router;
\ No newline at end of file
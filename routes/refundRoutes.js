@@ -0,0 +1,186 @@
+import express from 'express';
+import {
+    createRefundRequest,
+    getUserRefunds,
+    getAllRefunds,
+    approveRefundRequest,
+    rejectRefundRequest,
+} from '../controllers/refundController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import {
+    validateRefundRequest,
+    validateRefundApproval,
+    validateRefundRejection,
+    validateRefundQuery,
+} from '../middleware/validators.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Refunds
+ *   description: Refund and return requests
+ */
+
+/**
+ * @swagger
+ * /api/refunds:
+ *   post:
+ *     summary: Request a refund or return for a purchase
+ *     tags: [Refunds]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - purchaseId
+ *             properties:
+ *               purchaseId:
+ *                 type: integer
+ *               amount:
+ *                 type: number
+ *                 description: Partial amount (defaults to everything still refundable)
+ *               reason:
+ *                 type: string
+ *               isReturn:
+ *                 type: boolean
+ *                 description: The item is being sent back
+ *     responses:
+ *       201:
+ *         description: Refund requested
+ *       400:
+ *         description: Amount exceeds what is refundable
+ *       404:
+ *         description: Purchase not found
+ *       409:
+ *         description: Already fully refunded, a request is pending, or the order isn't refundable
+ */
+router.post('/', authenticate, validateRefundRequest, createRefundRequest);
+
+/**
+ * @swagger
+ * /api/refunds/user:
+ *   get:
+ *     summary: Get current user's refund requests
+ *     tags: [Refunds]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of refund requests
+ */
+router.get('/user', authenticate, getUserRefunds);
+
+/**
+ * @swagger
+ * /api/refunds:
+ *   get:
+ *     summary: Get refund requests (admin/staff)
+ *     tags: [Refunds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [requested, processing, approved, rejected]
+ *           default: requested
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of refund requests
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/', authenticate, authorize('admin', 'staff'), validateRefundQuery, getAllRefunds);
+
+/**
+ * @swagger
+ * /api/refunds/{id}/approve:
+ *   put:
+ *     summary: Approve a refund (admin)
+ *     description: |
+ *       Returns the money through the order's payment provider. With `restock` the unit goes
+ *       back into drop/variant stock, never above `initial_stock`. The order moves to
+ *       `refunded` once all its purchases are fully refunded.
+ *     tags: [Refunds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Override the requested amount
+ *               restock:
+ *                 type: boolean
+ *                 description: Defaults to the request's isReturn
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Refund approved
+ *       400:
+ *         description: Amount exceeds what is refundable
+ *       404:
+ *         description: Refund not found
+ *       409:
+ *         description: Refund already reviewed
+ */
+router.put('/:id/approve', authenticate, authorize('admin'), validateRefundApproval, approveRefundRequest);
+
+/**
+ * @swagger
+ * /api/refunds/{id}/reject:
+ *   put:
+ *     summary: Reject a refund (admin)
+ *     tags: [Refunds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Refund rejected
+ *       404:
+ *         description: Refund not found
+ *       409:
+ *         description: Refund already reviewed
+ */
+router.put('/:id/reject', authenticate, authorize('admin'), validateRefundRejection, rejectRefundRequest);
+
+export default router;
\ No newline at end of file
@@ -4,9 +4,11 @@ import {
     getUserReservations,
     getReservationById,
     cancelReservation,
+    extendReservation,
     getAllReservations,
 } from '../controllers/reservationController.js';
-import { authenticate } from '../middleware/auth.js';
+import { authenticate, authorize, requireVerified } from '../middleware/auth.js';
+import { idempotent } from '../middleware/idempotency.js';
 import {
     validateReserve,
     validateIdParam,
@@ -29,6 +31,8 @@ const router = express.Router();
  *     tags: [Reservations]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -40,15 +44,31 @@ const router = express.Router();
  *             properties:
  *               dropId:
  *                 type: integer
+ *               variantId:
+ *                 type: integer
+ *                 description: Required for drops with sizes
+ *               quantity:
+ *                 type: integer
+ *                 default: 1
+ *                 description: Pairs to hold, up to the drop's max_per_reservation
+ *               admissionToken:
+ *                 type: string
+ *                 description: Waiting room admission token (or X-Queue-Token header)
  *     responses:
  *       201:
  *         description: Item reserved successfully
  *       400:
- *         description: Out of stock or already reserved
+ *         description: Out of stock, quantity over max_per_reservation, or already reserved
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Email not verified, or waiting room admission required (code QUEUE_ADMISSION_REQUIRED)
+ *       409:
+ *         description: Per-customer limit reached (code PURCHASE_LIMIT_REACHED), or a request with the same Idempotency-Key is still running
+ *       422:
+ *         description: Idempotency-Key reused with a different request body
  */
-router.post('/', authenticate, validateReserve, reserveItem);
+router.post('/', authenticate, requireVerified, idempotent, validateReserve, reserveItem);
 
 /**
  * @swagger
@@ -115,6 +135,33 @@ router.get('/:id', authenticate, validateIdParam, getReservationById);
  */
 router.delete('/:id', authenticate, validateIdParam, cancelReservation);
 
+/**
+ * @swagger
+ * /api/reservations/{id}/extend:
+ *   post:
+ *     summary: Extend an active reservation once
+ *     description: Adds the drop's extension_seconds to expires_at. Only one extension per reservation, and only on drops that allow it. The new expiry is also pushed as reservationUpdated.
+ *     tags: [Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Reservation extended
+ *       400:
+ *         description: Drop does not allow extensions
+ *       404:
+ *         description: Reservation not found
+ *       409:
+ *         description: Reservation already extended or no longer active
+ */
+router.post('/:id/extend', authenticate, validateIdParam, extendReservation);
+
 /**
  * @swagger
  * /api/reservations:
@@ -132,7 +179,9 @@ router.delete('/:id', authenticate, validateIdParam, cancelReservation);
  *     responses:
  *       200:
  *         description: List of all reservations
+ *       403:
+ *         description: Insufficient permissions
  */
-router.get('/', authenticate, getAllReservations);
+router.get('/', authenticate, authorize('admin', 'staff'), getAllReservations);
 
 export default router;
\ No newline at end of file
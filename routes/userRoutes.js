@@ -2,14 +2,38 @@ import express from 'express';
 import {
     register,
     login,
+    refresh,
+    logout,
+    logoutAll,
     getProfile,
     updateProfile,
+    forgotPassword,
+    resetPassword,
+    verifyEmail,
+    resendVerification,
     getAllUsers,
+    updateUserRole,
+    revokeUserRole,
+    getRoleChanges,
 } from '../controllers/userController.js';
-import { authenticate } from '../middleware/auth.js';
+import {
+    getAddresses,
+    createAddress,
+    updateAddress,
+    deleteAddress,
+} from '../controllers/addressController.js';
+import { authenticate, authorize } from '../middleware/auth.js';
 import {
     validateRegister,
     validateLogin,
+    validateRefresh,
+    validateForgotPassword,
+    validateResetPassword,
+    validateVerifyEmail,
+    validateRoleChange,
+    validateAddress,
+    validateUpdateAddress,
+    validateIdParam,
 } from '../middleware/validators.js';
 
 const router = express.Router();
@@ -80,6 +104,63 @@ router.post('/register', validateRegister, register);
  */
 router.post('/login', validateLogin, login);
 
+/**
+ * @swagger
+ * /api/users/refresh:
+ *   post:
+ *     summary: Rotate refresh token and issue a new access token
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New access and refresh token issued
+ *       401:
+ *         description: Invalid, expired, revoked or reused refresh token
+ */
+router.post('/refresh', validateRefresh, refresh);
+
+/**
+ * @swagger
+ * /api/users/logout:
+ *   post:
+ *     summary: Logout current session
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout', authenticate, logout);
+
+/**
+ * @swagger
+ * /api/users/logout-all:
+ *   post:
+ *     summary: Logout from all devices
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *       401:
+ *         description: Unauthorized
+ */
+router.post('/logout-all', authenticate, logoutAll);
+
 /**
  * @swagger
  * /api/users/profile:
@@ -121,16 +202,288 @@ router.get('/profile', authenticate, getProfile);
  */
 router.put('/profile', authenticate, updateProfile);
 
+/**
+ * @swagger
+ * /api/users/addresses:
+ *   get:
+ *     summary: Get current user's address book (default first)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of addresses
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Address'
+ */
+router.get('/addresses', authenticate, getAddresses);
+
+/**
+ * @swagger
+ * /api/users/addresses:
+ *   post:
+ *     summary: Add an address (the first one becomes the default)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AddressInput'
+ *     responses:
+ *       201:
+ *         description: Address added
+ *       400:
+ *         description: Missing fields, or not valid for the country (e.g. postal code format)
+ */
+router.post('/addresses', authenticate, validateAddress, createAddress);
+
+/**
+ * @swagger
+ * /api/users/addresses/{id}:
+ *   put:
+ *     summary: Update an address or make it the default
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AddressInput'
+ *     responses:
+ *       200:
+ *         description: Address updated (past orders keep their copy)
+ *       400:
+ *         description: Invalid for the country, or unsetting the only default
+ *       404:
+ *         description: Address not found
+ */
+router.put('/addresses/:id', authenticate, validateUpdateAddress, updateAddress);
+
+/**
+ * @swagger
+ * /api/users/addresses/{id}:
+ *   delete:
+ *     summary: Delete an address
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Address deleted; the oldest remaining one becomes the default
+ *       404:
+ *         description: Address not found
+ */
+router.delete('/addresses/:id', authenticate, validateIdParam, deleteAddress);
+
+/**
+ * @swagger
+ * /api/users/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ */
+router.post('/forgot-password', validateForgotPassword, forgotPassword);
+
+/**
+ * @swagger
+ * /api/users/reset-password:
+ *   post:
+ *     summary: Reset password with a reset token
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Password reset, all sessions revoked
+ *       400:
+ *         description: Invalid or expired token
+ */
+router.post('/reset-password', validateResetPassword, resetPassword);
+
+/**
+ * @swagger
+ * /api/users/verify-email:
+ *   post:
+ *     summary: Verify email address with a verification token
+ *     tags: [Users]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *       400:
+ *         description: Invalid or expired token
+ */
+router.post('/verify-email', validateVerifyEmail, verifyEmail);
+
+/**
+ * @swagger
+ * /api/users/resend-verification:
+ *   post:
+ *     summary: Resend email verification link
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email already verified
+ */
+router.post('/resend-verification', authenticate, resendVerification);
+
 /**
  * @swagger
  * /api/users:
  *   get:
- *     summary: Get all users (testing only)
+ *     summary: Get all users (admin)
  *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: List of all users
+ *       403:
+ *         description: Insufficient permissions
+ */
+router.get('/', authenticate, authorize('admin'), getAllUsers);
+
+/**
+ * @swagger
+ * /api/users/{id}/role:
+ *   put:
+ *     summary: Grant a role to a user (admin)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [customer, staff, admin]
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Role granted and change recorded
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ */
+router.put('/:id/role', authenticate, authorize('admin'), validateRoleChange, updateUserRole);
+
+/**
+ * @swagger
+ * /api/users/{id}/role:
+ *   delete:
+ *     summary: Revoke a user's role back to customer (admin)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Role revoked and change recorded
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ */
+router.delete('/:id/role', authenticate, authorize('admin'), validateIdParam, revokeUserRole);
+
+/**
+ * @swagger
+ * /api/users/{id}/role-changes:
+ *   get:
+ *     summary: Get role change history for a user (admin)
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Role change audit trail
  */
-router.get('/', getAllUsers);
+router.get('/:id/role-changes', authenticate, authorize('admin'), validateIdParam, getRoleChanges);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,346 @@
+import {
+    Address,
+    Order,
+    OrderItem,
+    Payment,
+    Purchase,
+    PromoRedemption,
+    RaffleEntry,
+} from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { transitionOrder } from './orders.js';
+import { getPaymentProvider } from './paymentProviders.js';
+import { applyPromoCode } from './promotions.js';
+import { holdReservationsUntil } from './reservations.js';
+import { fromMinorUnits } from './money.js';
+import {
+    describeBreakdown,
+    findRegionRule,
+    pickBreakdown,
+    priceLines,
+} from './pricing.js';
+
+/**
+ * Checkout
+ * Shared by single-item purchases and cart checkout. startCheckout holds the
+ * reservations behind a pending payment; placeOrder turns them into purchases
+ * once the payment settles. Prices are fixed at checkout, in minor units of
+ * the drops' currency, and copied line by line onto the purchases.
+ * Callers lock the reservations (with their drop) inside `transaction` first.
+ */
+
+/**
+ * Get how long a payment may stay unsettled (ms)
+ * @returns {number}
+ */
+export const getPaymentTimeout = () => {
+    return parseInt(process.env.PAYMENT_TIMEOUT) || 120000; // 2 minutes
+};
+
+/**
+ * Describe why each requested reservation can't be checked out
+ * @param {Array<number>} reservationIds - Requested reservation IDs
+ * @param {Array<Object>} reservations - Locked reservations found for the user
+ * @returns {Array<{ reservation_id: number, drop_id: number|null, reason: string }>}
+ */
+export const findCheckoutProblems = (reservationIds, reservations) => {
+    const byId = new Map(reservations.map((r) => [r.id, r]));
+
+    return reservationIds.reduce((problems, id) => {
+        const reservation = byId.get(id);
+
+        if (!reservation) {
+            problems.push({ reservation_id: id, drop_id: null, reason: 'not_found' });
+        } else if (reservation.status !== 'active') {
+            problems.push({ reservation_id: id, drop_id: reservation.drop_id, reason: reservation.status });
+        } else if (reservation.isExpired()) {
+            problems.push({ reservation_id: id, drop_id: reservation.drop_id, reason: 'expired' });
+        }
+
+        return problems;
+    }, []);
+};
+
+/**
+ * Find the address an order ships to
+ * @param {number} userId - Buyer
+ * @param {number} [addressId] - Chosen address; defaults to the user's default address
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object|null>} - Address, or null if the user has none
+ */
+export const findShippingAddress = async (userId, addressId, transaction) => {
+    if (!addressId) {
+        return await Address.findOne({
+            where: { user_id: userId, is_default: true },
+            transaction,
+        });
+    }
+
+    const address = await Address.findOne({
+        where: { id: addressId, user_id: userId },
+        transaction,
+    });
+
+    if (!address) {
+        throw new AppError('Address not found', 404);
+    }
+
+    return address;
+};
+
+/**
+ * Attach reservations to an order, price it and create its pending payment
+ *
+ * The provider intent is not created here: call createPaymentIntent after
+ * the transaction commits, so a slow gateway holds no row locks and a
+ * rollback can't leave a live intent behind. The reservations are held
+ * until the payment expires; re-arm their timers after commit.
+ * @param {Object} params
+ * @param {number} params.userId - Buyer
+ * @param {Array<Object>} params.reservations - Locked, validated reservations (with drop)
+ * @param {Object} [params.order] - Existing cart order; a new order is created if omitted
+ * @param {string} [params.promoCode] - Promo code to apply
+ * @param {number} [params.addressId] - Shipping address; defaults to the user's default address
+ * @param {string} [params.region] - Destination country (ISO 3166-1 alpha-2) when there is no address
+ * @param {Object} params.transaction - Sequelize transaction
+ * @returns {Promise<{ order: Object, payment: Object, change: Object, breakdown: Object }>}
+ */
+export const startCheckout = async ({
+    userId,
+    reservations,
+    order,
+    promoCode,
+    addressId,
+    region,
+    transaction,
+}) => {
+    const provider = getPaymentProvider();
+
+    if (!provider) {
+        throw new AppError('Payment provider is not configured', 500);
+    }
+
+    // One order, one payment, one currency
+    const currencies = new Set(reservations.map((r) => r.drop.currency));
+
+    if (currencies.size > 1) {
+        throw new AppError(
+            `Items priced in different currencies (${[...currencies].join(', ')}) must be checked out separately`,
+            400
+        );
+    }
+
+    const [currency] = currencies;
+
+    // Tax and shipping follow the address when there is one
+    const address = await findShippingAddress(userId, addressId, transaction);
+    const destination = address ? address.country : (region ? region.toUpperCase() : null);
+
+    const targetOrder = order || await Order.create(
+        { user_id: userId, status: 'cart' },
+        { transaction }
+    );
+
+    // A reservation sitting in the user's cart moves to this order;
+    // one already waiting on another payment can't be paid twice
+    const existingItems = await OrderItem.findAll({
+        where: { reservation_id: reservations.map((r) => r.id) },
+        include: [{ model: Order, as: 'order' }],
+        transaction,
+    });
+
+    for (const item of existingItems) {
+        if (item.order_id === targetOrder.id) continue;
+
+        if (item.order.status !== 'cart') {
+            throw new AppError(`Reservation #${item.reservation_id} already has a pending payment`, 409);
+        }
+
+        item.order_id = targetOrder.id;
+        await item.save({ transaction });
+    }
+
+    for (const reservation of reservations) {
+        await OrderItem.findOrCreate({
+            where: { reservation_id: reservation.id },
+            defaults: {
+                order_id: targetOrder.id,
+                reservation_id: reservation.id,
+            },
+            transaction,
+        });
+    }
+
+    // Discounts are fixed now so the intent charges the discounted total
+    let discounts = new Map();
+
+    if (promoCode) {
+        ({ discounts } = await applyPromoCode({
+            code: promoCode,
+            userId,
+            order: targetOrder,
+            reservations,
+            currency,
+            transaction,
+        }));
+    }
+
+    const breakdown = priceLines({
+        currency,
+        region: destination,
+        rule: await findRegionRule(destination, currency, transaction),
+        lines: reservations.map((reservation) => ({
+            reservation_id: reservation.id,
+            quantity: reservation.quantity,
+            subtotal_minor: reservation.drop.getPriceMinor() * reservation.quantity,
+            discount_minor: discounts.get(reservation.id) || 0,
+        })),
+    });
+
+    for (const line of breakdown.items) {
+        await OrderItem.update(pickBreakdown(line), {
+            where: { order_id: targetOrder.id, reservation_id: line.reservation_id },
+            transaction,
+        });
+    }
+
+    // A copy, so later edits to the address book don't rewrite the order
+    Object.assign(targetOrder, pickBreakdown(breakdown), {
+        currency,
+        region: destination,
+        shipping_address: address ? address.toSnapshot() : null,
+        discount_total: fromMinorUnits(breakdown.discount_minor, currency),
+        total: fromMinorUnits(breakdown.total_minor, currency),
+    });
+
+    const { change } = await transitionOrder(targetOrder, 'awaiting_payment', {
+        changedBy: userId,
+        transaction,
+    });
+
+    const payment = await Payment.create(
+        {
+            order_id: targetOrder.id,
+            user_id: userId,
+            provider: provider.name,
+            amount: fromMinorUnits(breakdown.total_minor, currency),
+            currency,
+            expires_at: new Date(Date.now() + getPaymentTimeout()),
+        },
+        { transaction }
+    );
+
+    await holdReservationsUntil(reservations, payment.expires_at, transaction);
+
+    return {
+        order: targetOrder,
+        payment,
+        change,
+        breakdown: describeBreakdown(targetOrder, breakdown.items),
+    };
+};
+
+/**
+ * Turn one locked reservation into a purchase
+ * @param {Object} reservation - Active reservation (with drop)
+ * @param {Object} options - { orderId, item, currency, promoCodeId, transaction }
+ *   where `item` is the reservation's priced OrderItem
+ * @returns {Promise<Object>} - Purchase instance
+ */
+export const completeReservation = async (reservation, {
+    orderId,
+    item,
+    currency,
+    promoCodeId = null,
+    transaction,
+}) => {
+    reservation.status = 'completed';
+    await reservation.save({ transaction });
+
+    // Raffle winners claim their slot
+    await RaffleEntry.update(
+        { status: 'claimed' },
+        {
+            where: { reservation_id: reservation.id, status: 'won' },
+            transaction,
+        }
+    );
+
+    return await Purchase.create(
+        {
+            user_id: reservation.user_id,
+            drop_id: reservation.drop_id,
+            variant_id: reservation.variant_id,
+            quantity: reservation.quantity,
+            order_id: orderId,
+            currency,
+            ...pickBreakdown(item),
+            original_price: fromMinorUnits(item.subtotal_minor, currency),
+            discount_amount: fromMinorUnits(item.discount_minor, currency),
+            promo_code_id: item.discount_minor > 0 ? promoCodeId : null,
+            price: fromMinorUnits(item.total_minor, currency),
+            purchased_at: new Date(),
+        },
+        { transaction }
+    );
+};
+
+/**
+ * Complete every reservation and place the order (after payment succeeds)
+ * @param {Object} params
+ * @param {number} params.userId - Buyer
+ * @param {Array<Object>} params.reservations - Locked, validated reservations (with drop)
+ * @param {Object} params.order - Locked order awaiting payment
+ * @param {Object} params.transaction - Sequelize transaction
+ * @returns {Promise<{ order: Object, purchases: Array<Object>, change: Object }>}
+ */
+export const placeOrder = async ({ userId, reservations, order, transaction }) => {
+    const items = await OrderItem.findAll({
+        where: { order_id: order.id },
+        transaction,
+    });
+    const itemByReservation = new Map(items.map((item) => [item.reservation_id, item]));
+
+    const redemption = await PromoRedemption.findOne({
+        where: { order_id: order.id },
+        attributes: ['promo_code_id'],
+        transaction,
+    });
+
+    const purchases = [];
+
+    for (const reservation of reservations) {
+        const item = itemByReservation.get(reservation.id);
+
+        const purchase = await completeReservation(reservation, {
+            orderId: order.id,
+            item,
+            currency: order.currency,
+            promoCodeId: redemption ? redemption.promo_code_id : null,
+            transaction,
+        });
+
+        item.purchase_id = purchase.id;
+        await item.save({ transaction });
+
+        purchases.push(purchase);
+    }
+
+    order.placed_at = new Date();
+
+    const { change } = await transitionOrder(order, 'placed', {
+        changedBy: userId,
+        transaction,
+    });
+
+    return { order, purchases, change };
+};
+
+export default {
+    getPaymentTimeout,
+    findCheckoutProblems,
+    findShippingAddress,
+    startCheckout,
+    completeReservation,
+    placeOrder,
+};
\ No newline at end of file
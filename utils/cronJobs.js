@@ -1,15 +1,82 @@
 import cron from 'node-cron';
-import { Reservation, Drop, sequelize } from '../models/index.js';
+import { Reservation, sequelize } from '../models/index.js';
 import { Op, Transaction } from 'sequelize';
+import { purgeExpiredSessions } from './sessions.js';
+import { purgeExpiredIdempotencyKeys } from './idempotency.js';
+import { drawRaffle, findDueRaffles, notifyRaffleWinner } from './raffle.js';
+import { releaseReservations, publishRelease, scheduleReservationExpiry } from './reservations.js';
+import { failStalePayments, retryDueRefunds } from './payments.js';
+import { findActiveQueues, getBatchInterval, tickQueue } from './waitingRoom.js';
+import { isLeader } from './leader.js';
+import { publishDropEvent, publishStockUpdate } from './events.js';
 
 /**
  * Cron Jobs for Reservation Expiration
  * Automatically returns stock when reservations expire
+ *
+ * Every instance schedules these jobs, but a tick only runs on the instance
+ * holding the scheduler lease (utils/leader.js), so two servers never sweep
+ * the same rows or emit the same events twice.
  */
 
+// Everything scheduled here, each with a stop(), so shutdown can end them
+const scheduledJobs = [];
+
+/**
+ * Schedule a job that only runs while this instance is the leader
+ * @param {string} cronInterval - Cron expression
+ * @param {Function} job - Async job body
+ */
+const scheduleLeaderJob = (cronInterval, job) => {
+    scheduledJobs.push(cron.schedule(cronInterval, async () => {
+        if (!isLeader()) {
+            return;
+        }
+        await job();
+    }));
+};
+
+/**
+ * Run a job every `ms` while this instance is the leader
+ * For periods a cron expression can't express (e.g. every 90 seconds).
+ * A tick is skipped while the previous one is still running.
+ * @param {number} ms - Interval in milliseconds
+ * @param {Function} job - Async job body
+ */
+const scheduleLeaderInterval = (ms, job) => {
+    let running = false;
+
+    const timer = setInterval(async () => {
+        if (running || !isLeader()) {
+            return;
+        }
+
+        running = true;
+        try {
+            await job();
+        } finally {
+            running = false;
+        }
+    }, ms);
+    timer.unref();
+
+    scheduledJobs.push({ stop: () => clearInterval(timer) });
+};
+
+/**
+ * Stop every scheduled job (graceful shutdown)
+ */
+export const stopScheduledJobs = () => {
+    while (scheduledJobs.length > 0) {
+        scheduledJobs.pop().stop();
+    }
+};
+
 /**
  * Process expired reservations
- * Returns stock to drops and marks reservations as expired
+ * Returns stock to drops and marks reservations as expired. Per-reservation
+ * timers (utils/reservations.js) normally get there first; this sweep
+ * catches anything they missed.
  */
 export const processExpiredReservations = async (io) => {
     const transaction = await sequelize.transaction({
@@ -20,7 +87,7 @@ export const processExpiredReservations = async (io) => {
         const now = new Date();
 
         // Find all active reservations that have expired
-        const expiredReservations = await Reservation.findAll({
+        const lockedReservations = await Reservation.findAll({
             where: {
                 status: 'active',
                 expires_at: {
@@ -31,6 +98,9 @@ export const processExpiredReservations = async (io) => {
             lock: transaction.LOCK.UPDATE,
         });
 
+        // Re-check under the lock: an extension may have committed first
+        const expiredReservations = lockedReservations.filter((r) => r.isExpired());
+
         if (expiredReservations.length === 0) {
             await transaction.commit();
             return;
@@ -38,55 +108,12 @@ export const processExpiredReservations = async (io) => {
 
         console.log(`⏰ Processing ${expiredReservations.length} expired reservations...`);
 
-        // Group by drop_id to batch stock updates
-        const dropStockUpdates = {};
-
-        for (const reservation of expiredReservations) {
-            // Mark reservation as expired
-            reservation.status = 'expired';
-            await reservation.save({ transaction });
-
-            // Accumulate stock to return
-            if (!dropStockUpdates[reservation.drop_id]) {
-                dropStockUpdates[reservation.drop_id] = 0;
-            }
-            dropStockUpdates[reservation.drop_id] += 1;
-
-            console.log(`  ↳ Reservation #${reservation.id} expired (Drop #${reservation.drop_id})`);
-        }
-
-        // Update stock for each drop
-        for (const [dropId, stockToReturn] of Object.entries(dropStockUpdates)) {
-            const drop = await Drop.findByPk(dropId, {
-                transaction,
-                lock: transaction.LOCK.UPDATE,
-            });
-
-            if (drop) {
-                const oldStock = drop.stock;
-                drop.stock += stockToReturn;
-                await drop.save({ transaction });
-
-                console.log(`  ✅ Drop #${dropId}: Stock ${oldStock} → ${drop.stock} (+${stockToReturn})`);
-
-                // Emit socket event for stock update
-                if (io) {
-                    io.emit('stockUpdate', {
-                        dropId: drop.id,
-                        newStock: drop.stock,
-                        reason: 'reservation_expired',
-                    });
-
-                    io.emit('reservationExpired', {
-                        dropId: drop.id,
-                        stockReturned: stockToReturn,
-                    });
-                }
-            }
-        }
+        const released = await releaseReservations(expiredReservations, transaction);
 
         await transaction.commit();
         console.log(`✅ Successfully processed ${expiredReservations.length} expired reservations`);
+
+        await publishRelease(io, released, 'reservation_expired');
     } catch (error) {
         if (!transaction.finished) {
             await transaction.rollback();
@@ -102,16 +129,180 @@ export const processExpiredReservations = async (io) => {
 export const startReservationExpirationJob = (io) => {
     const cronInterval = process.env.CRON_INTERVAL || '*/10 * * * * *';
 
-    console.log(`🕐 Starting reservation expiration cron job (${cronInterval})`);
+    console.log(`🕐 Starting reservation expiration safety-net sweep (${cronInterval})`);
 
     // Run every 10 seconds (configurable via .env)
-    cron.schedule(cronInterval, async () => {
+    scheduleLeaderJob(cronInterval, async () => {
         await processExpiredReservations(io);
     });
 
     console.log('✅ Reservation expiration cron job started');
 };
 
+/**
+ * Draw every raffle whose entry window has closed
+ * @param {Object} io - Socket.IO instance
+ */
+export const processDueRaffles = async (io) => {
+    try {
+        const dropIds = await findDueRaffles();
+
+        for (const dropId of dropIds) {
+            try {
+                const { draw, drop, winners } = await drawRaffle(dropId);
+
+                for (const { entry, reservation } of winners) {
+                    scheduleReservationExpiry(reservation);
+                    await notifyRaffleWinner(entry, reservation, drop);
+                }
+
+                publishDropEvent(io, drop.id, 'raffleDrawn', {
+                    entryCount: draw.entry_count,
+                    winnerCount: draw.winner_count,
+                    seedHash: draw.seed_hash,
+                });
+                await publishStockUpdate(io, drop, { reason: 'raffle_drawn' });
+            } catch (error) {
+                console.error(`❌ Error drawing raffle for Drop #${dropId}:`, error.message);
+            }
+        }
+    } catch (error) {
+        console.error('❌ Error processing due raffles:', error.message);
+    }
+};
+
+/**
+ * Start cron job that draws raffles at close
+ * @param {Object} io - Socket.IO instance
+ */
+export const startRaffleDrawJob = (io) => {
+    const cronInterval = process.env.RAFFLE_CRON_INTERVAL || '*/30 * * * * *';
+
+    console.log(`🕐 Starting raffle draw cron job (${cronInterval})`);
+
+    scheduleLeaderJob(cronInterval, async () => {
+        await processDueRaffles(io);
+    });
+};
+
+/**
+ * Assign queue positions, admit the next batch and publish progress
+ * @param {Object} io - Socket.IO instance
+ */
+export const processQueues = async (io) => {
+    try {
+        const dropIds = await findActiveQueues();
+
+        for (const dropId of dropIds) {
+            try {
+                const snapshot = await tickQueue(dropId);
+
+                if (snapshot) {
+                    publishDropEvent(io, dropId, 'queueUpdate', snapshot);
+                }
+            } catch (error) {
+                console.error(`❌ Error advancing queue for Drop #${dropId}:`, error.message);
+            }
+        }
+    } catch (error) {
+        console.error('❌ Error processing queues:', error.message);
+    }
+};
+
+/**
+ * Start cron job for waiting room admission batches
+ * @param {Object} io - Socket.IO instance
+ */
+export const startQueueAdmissionJob = (io) => {
+    // Seconds-field cron steps only work below 60, so use a plain interval
+    const seconds = getBatchInterval();
+
+    console.log(`🕐 Starting waiting room admission job (every ${seconds}s)`);
+
+    scheduleLeaderInterval(seconds * 1000, async () => {
+        await processQueues(io);
+    });
+};
+
+/**
+ * Fail payments that were never confirmed or never settled by webhook,
+ * then retry late-capture refunds still due
+ * @param {Object} io - Socket.IO instance
+ */
+export const processStalePayments = async (io) => {
+    try {
+        const count = await failStalePayments(io);
+        if (count > 0) {
+            console.log(`⌛ Timed out ${count} payments`);
+        }
+    } catch (error) {
+        console.error('❌ Error timing out payments:', error.message);
+    }
+
+    try {
+        const refunded = await retryDueRefunds();
+        if (refunded > 0) {
+            console.log(`💸 Refunded ${refunded} late captures`);
+        }
+    } catch (error) {
+        console.error('❌ Error retrying refunds:', error.message);
+    }
+};
+
+/**
+ * Start cron job for payment timeouts and late-capture refunds
+ * @param {Object} io - Socket.IO instance
+ */
+export const startPaymentTimeoutJob = (io) => {
+    const cronInterval = process.env.PAYMENT_CRON_INTERVAL || '*/15 * * * * *';
+
+    console.log(`🕐 Starting payment timeout cron job (${cronInterval})`);
+
+    scheduleLeaderJob(cronInterval, async () => {
+        await processStalePayments(io);
+    });
+};
+
+/**
+ * Start cron job that removes expired refresh token sessions
+ */
+export const startSessionCleanupJob = () => {
+    const cronInterval = process.env.SESSION_CLEANUP_CRON || '0 * * * *';
+
+    console.log(`🕐 Starting session cleanup cron job (${cronInterval})`);
+
+    scheduleLeaderJob(cronInterval, async () => {
+        try {
+            const removed = await purgeExpiredSessions();
+            if (removed > 0) {
+                console.log(`🧹 Removed ${removed} expired sessions`);
+            }
+        } catch (error) {
+            console.error('❌ Error purging expired sessions:', error.message);
+        }
+    });
+};
+
+/**
+ * Start cron job that removes idempotency keys past their TTL
+ */
+export const startIdempotencyCleanupJob = () => {
+    const cronInterval = process.env.IDEMPOTENCY_CLEANUP_CRON || '30 * * * *';
+
+    console.log(`🕐 Starting idempotency key cleanup cron job (${cronInterval})`);
+
+    scheduleLeaderJob(cronInterval, async () => {
+        try {
+            const removed = await purgeExpiredIdempotencyKeys();
+            if (removed > 0) {
+                console.log(`🧹 Removed ${removed} expired idempotency keys`);
+            }
+        } catch (error) {
+            console.error('❌ Error purging idempotency keys:', error.message);
+        }
+    });
+};
+
 /**
  * Manual trigger for testing
  * @param {Object} io - Socket.IO instance
@@ -122,7 +313,16 @@ export const triggerExpirationCheck = async (io) => {
 };
 
 export default {
+    stopScheduledJobs,
     startReservationExpirationJob,
+    startSessionCleanupJob,
+    startIdempotencyCleanupJob,
+    startRaffleDrawJob,
+    startQueueAdmissionJob,
+    startPaymentTimeoutJob,
     processExpiredReservations,
+    processDueRaffles,
+    processQueues,
+    processStalePayments,
     triggerExpirationCheck,
 };
\ No newline at end of file
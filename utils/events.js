@@ -0,0 +1,291 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { DropVariant } from '../models/index.js';
+
+/**
+ * Event Publishing
+ * The single place server-side events leave the app. Nothing is broadcast
+ * to every socket; each event goes to exactly one kind of room:
+ *   drop_<id> - stock, reservation and raffle activity for one drop
+ *   catalog   - list-level changes (drops created, updated, deleted)
+ *   user_<id> - one user's reservations, payments, orders and refunds
+ * Drop and catalog events are anonymous; anything about a user goes to
+ * their private room only. Every publisher is a no-op without an io.
+ *
+ * Drop events carry `seq`, increasing by one per event within a drop, and
+ * `epoch`, which changes when the server restarts. The last few events per
+ * drop are kept so a reconnecting client can resume from its last `seq`.
+ *
+ * Numbered drop events also go out on an in-process bus, which other
+ * transports (the SSE stream) subscribe to per drop.
+ */
+
+export const CATALOG_ROOM = 'catalog';
+
+// Identifies this process's sequence numbering; a client holding another
+// epoch's seq can't resume and must resync
+export const EVENT_EPOCH = crypto.randomBytes(4).toString('hex');
+
+/**
+ * Drop events kept per drop for replay (default 100)
+ * @returns {number}
+ */
+const getReplayBufferSize = () => parseInt(process.env.DROP_EVENT_BUFFER_SIZE) || 100;
+
+const dropSequences = new Map();
+const dropBuffers = new Map();
+
+// One listener per open stream, so no listener cap
+const dropEventBus = new EventEmitter();
+dropEventBus.setMaxListeners(0);
+
+/**
+ * Listen to every numbered event published for a drop
+ * @param {number} dropId - Drop ID
+ * @param {Function} listener - Called with { seq, event, payload }
+ * @returns {Function} - Call to unsubscribe
+ */
+export const subscribeDropEvents = (dropId, listener) => {
+    const channel = `drop:${Number(dropId)}`;
+    dropEventBus.on(channel, listener);
+
+    return () => dropEventBus.off(channel, listener);
+};
+
+/**
+ * Room name for a drop's subscribers
+ * @param {number} dropId - Drop ID
+ * @returns {string}
+ */
+export const dropRoom = (dropId) => `drop_${dropId}`;
+
+/**
+ * Private room name for a user's sockets
+ * @param {number} userId - User ID
+ * @returns {string}
+ */
+export const userRoom = (userId) => `user_${userId}`;
+
+/**
+ * Latest sequence number published for a drop (0 if none yet)
+ * @param {number} dropId - Drop ID
+ * @returns {number}
+ */
+export const getDropSequence = (dropId) => dropSequences.get(Number(dropId)) || 0;
+
+/**
+ * Find the drop events a client missed
+ * Returns null when they can't be replayed: the client's epoch is from
+ * another process, its seq is ahead of ours, or the buffer no longer
+ * reaches back that far. The client should then resync.
+ * @param {number} dropId - Drop ID
+ * @param {number} lastSeq - Last seq the client saw
+ * @param {string} epoch - Epoch the client's seq belongs to
+ * @returns {Array<{ seq: number, event: string, payload: Object }>|null}
+ */
+export const getDropEventsSince = (dropId, lastSeq, epoch) => {
+    const current = getDropSequence(dropId);
+
+    if (epoch !== EVENT_EPOCH || lastSeq > current) return null;
+    if (lastSeq === current) return [];
+
+    const buffer = dropBuffers.get(Number(dropId)) || [];
+
+    if (buffer.length === 0 || buffer[0].seq > lastSeq + 1) return null;
+
+    return buffer.filter((entry) => entry.seq > lastSeq);
+};
+
+/**
+ * Publish an event to everyone watching a drop
+ * Numbers it, keeps it in the drop's replay buffer and puts it on the bus.
+ * @param {Object} io - Socket.IO instance
+ * @param {number} dropId - Drop ID
+ * @param {string} event - Event name
+ * @param {Object} [data] - Payload (dropId, seq, epoch and timestamp are added)
+ */
+export const publishDropEvent = (io, dropId, event, data = {}) => {
+    if (!io) return;
+
+    const id = Number(dropId);
+    const seq = getDropSequence(id) + 1;
+
+    const payload = {
+        dropId: id,
+        ...data,
+        seq,
+        epoch: EVENT_EPOCH,
+        timestamp: new Date(),
+    };
+
+    dropSequences.set(id, seq);
+
+    const entry = { seq, event, payload };
+    const buffer = dropBuffers.get(id) || [];
+    buffer.push(entry);
+    if (buffer.length > getReplayBufferSize()) buffer.shift();
+    dropBuffers.set(id, buffer);
+
+    io.to(dropRoom(id)).emit(event, payload);
+    dropEventBus.emit(`drop:${id}`, entry);
+};
+
+/**
+ * Publish a transient drop signal (e.g. presence) to the drop's room
+ * Not numbered or buffered, so it never pushes real events out of the
+ * replay buffer, and sent volatile: a client that isn't ready just misses it.
+ * @param {Object} io - Socket.IO instance
+ * @param {number} dropId - Drop ID
+ * @param {string} event - Event name
+ * @param {Object} [data] - Payload (dropId and timestamp are added)
+ */
+export const publishDropVolatile = (io, dropId, event, data = {}) => {
+    if (!io) return;
+
+    io.to(dropRoom(dropId)).volatile.emit(event, {
+        dropId: Number(dropId),
+        ...data,
+        timestamp: new Date(),
+    });
+};
+
+/**
+ * Publish a list-level change to the catalog room
+ * @param {Object} io - Socket.IO instance
+ * @param {string} event - Event name
+ * @param {Object} [data] - Payload (timestamp is added)
+ */
+export const publishCatalogEvent = (io, event, data = {}) => {
+    if (!io) return;
+
+    io.to(CATALOG_ROOM).emit(event, {
+        ...data,
+        timestamp: new Date(),
+    });
+};
+
+/**
+ * Publish a private event to one user's sockets
+ * @param {Object} io - Socket.IO instance
+ * @param {number} userId - Recipient
+ * @param {string} event - Event name
+ * @param {Object} [data] - Payload (timestamp is added)
+ */
+export const publishUserEvent = (io, userId, event, data = {}) => {
+    if (!io) return;
+
+    io.to(userRoom(userId)).emit(event, {
+        ...data,
+        timestamp: new Date(),
+    });
+};
+
+/**
+ * Publish a drop's current stock (and per-variant stock) to its room
+ * @param {Object} io - Socket.IO instance
+ * @param {Object} drop - Drop instance with up-to-date stock
+ * @param {Object} [extra] - Additional fields, e.g. { reason }
+ * @returns {Promise<void>}
+ */
+export const publishStockUpdate = async (io, drop, extra = {}) => {
+    if (!io) return;
+
+    publishDropEvent(io, drop.id, 'stockUpdate', {
+        newStock: drop.stock,
+        variants: await DropVariant.stockByDrop(drop.id),
+        ...extra,
+    });
+};
+
+/**
+ * Emit a reservation status change (e.g. expired) to the holder's private room
+ * @param {Object} io - Socket.IO instance
+ * @param {number} userId - Holder's user ID
+ * @param {Object} data - Reservation data
+ */
+export const emitReservationUpdated = (io, userId, data) => {
+    publishUserEvent(io, userId, 'reservationUpdated', data);
+};
+
+/**
+ * Emit the current expiry of a reservation to the holder's private room
+ * Sent whenever its timer is (re)armed so the client countdown stays in sync.
+ * @param {Object} io - Socket.IO instance
+ * @param {number} userId - Holder's user ID
+ * @param {Object} data - { reservationId, dropId, expiresAt, remainingSeconds }
+ */
+export const emitReservationCountdown = (io, userId, data) => {
+    publishUserEvent(io, userId, 'reservationCountdown', data);
+};
+
+/**
+ * Warn the holder that a reservation is about to expire
+ * @param {Object} io - Socket.IO instance
+ * @param {number} userId - Holder's user ID
+ * @param {Object} data - { reservationId, dropId, expiresAt, remainingSeconds }
+ */
+export const emitReservationExpiring = (io, userId, data) => {
+    publishUserEvent(io, userId, 'reservationExpiring', data);
+};
+
+/**
+ * Emit purchase confirmation to the buyer's private room
+ * @param {Object} io - Socket.IO instance
+ * @param {number} userId - Buyer's user ID
+ * @param {Object} data - Purchase data
+ */
+export const emitPurchaseConfirmed = (io, userId, data) => {
+    publishUserEvent(io, userId, 'purchaseConfirmed', data);
+};
+
+/**
+ * Emit order status change to the buyer's private room
+ * @param {Object} io - Socket.IO instance
+ * @param {number} userId - Buyer's user ID
+ * @param {Object} data - Transition data
+ */
+export const emitOrderStatusChanged = (io, userId, data) => {
+    publishUserEvent(io, userId, 'orderStatusChanged', data);
+};
+
+/**
+ * Emit payment result to the buyer's private room
+ * @param {Object} io - Socket.IO instance
+ * @param {number} userId - Buyer's user ID
+ * @param {Object} data - Payment data
+ */
+export const emitPaymentUpdated = (io, userId, data) => {
+    publishUserEvent(io, userId, 'paymentUpdated', data);
+};
+
+/**
+ * Emit refund decision to the buyer's private room
+ * @param {Object} io - Socket.IO instance
+ * @param {number} userId - Buyer's user ID
+ * @param {Object} data - Refund data
+ */
+export const emitRefundUpdated = (io, userId, data) => {
+    publishUserEvent(io, userId, 'refundUpdated', data);
+};
+
+export default {
+    CATALOG_ROOM,
+    EVENT_EPOCH,
+    dropRoom,
+    userRoom,
+    getDropSequence,
+    getDropEventsSince,
+    subscribeDropEvents,
+    publishDropEvent,
+    publishDropVolatile,
+    publishCatalogEvent,
+    publishUserEvent,
+    publishStockUpdate,
+    emitReservationUpdated,
+    emitReservationCountdown,
+    emitReservationExpiring,
+    emitPurchaseConfirmed,
+    emitOrderStatusChanged,
+    emitPaymentUpdated,
+    emitRefundUpdated,
+};
\ No newline at end of file
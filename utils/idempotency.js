@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import { IdempotencyKey } from '../models/index.js';
+
+/**
+ * Idempotency Keys
+ * A POST sent with an Idempotency-Key header is recorded per user before it
+ * runs. Retries with the same key and payload get the stored response back;
+ * the same key with a different payload is refused. Stored responses are
+ * kept for IDEMPOTENCY_KEY_TTL.
+ */
+
+/**
+ * How long a stored response is replayed, in milliseconds (default 24 hours)
+ * @returns {number}
+ */
+const getIdempotencyKeyTtl = () =>
+    parseInt(process.env.IDEMPOTENCY_KEY_TTL) || 24 * 60 * 60 * 1000;
+
+/**
+ * Serialise a value with object keys sorted, so field order doesn't matter
+ * @param {*} value - JSON-compatible value
+ * @returns {string}
+ */
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter((key) => value[key] !== undefined)
+            .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+
+    return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Fingerprint a request so a reused key can be checked against it
+ * @param {Object} params - { method, path, body }
+ * @returns {string} - SHA-256 hex digest
+ */
+export const hashRequest = ({ method, path, body }) => {
+    return crypto
+        .createHash('sha256')
+        .update(`${method.toUpperCase()} ${path}\n${canonicalJson(body || {})}`)
+        .digest('hex');
+};
+
+/**
+ * Claim a key for a request, or find what happened to the first one
+ * Outcomes:
+ *   new         - this request owns the key and should run
+ *   replay      - a matching request already completed; `record` holds its response
+ *   in_progress - a matching request is still running
+ *   mismatch    - the key was used for a different request
+ * @param {Object} params
+ * @param {number} params.userId - Requesting user
+ * @param {string} params.key - Idempotency-Key header value
+ * @param {string} params.method - HTTP method
+ * @param {string} params.path - Request path, without query string
+ * @param {Object} params.body - Parsed request body
+ * @returns {Promise<{ outcome: string, record: Object|null }>}
+ */
+export const claimIdempotencyKey = async ({ userId, key, method, path, body }) => {
+    const requestHash = hashRequest({ method, path, body });
+
+    // Two attempts: the second follows clearing out an expired record
+    for (let attempt = 0; attempt < 2; attempt += 1) {
+        try {
+            const record = await IdempotencyKey.create({
+                user_id: userId,
+                key,
+                method: method.toUpperCase(),
+                path,
+                request_hash: requestHash,
+                status: 'processing',
+                expires_at: new Date(Date.now() + getIdempotencyKeyTtl()),
+            });
+
+            return { outcome: 'new', record };
+        } catch (error) {
+            if (error.name !== 'SequelizeUniqueConstraintError') throw error;
+        }
+
+        const existing = await IdempotencyKey.findOne({
+            where: { user_id: userId, key },
+        });
+
+        // Released between our insert and this read; try again
+        if (!existing) continue;
+
+        if (existing.isExpired()) {
+            await IdempotencyKey.destroy({
+                where: { id: existing.id, expires_at: { [Op.lt]: new Date() } },
+            });
+            continue;
+        }
+
+        if (existing.request_hash !== requestHash) {
+            return { outcome: 'mismatch', record: existing };
+        }
+
+        return {
+            outcome: existing.status === 'completed' ? 'replay' : 'in_progress',
+            record: existing,
+        };
+    }
+
+    return { outcome: 'in_progress', record: null };
+};
+
+/**
+ * Store the response of a claimed request for replay
+ * @param {Object} record - IdempotencyKey claimed by this request
+ * @param {number} status - HTTP status sent
+ * @param {*} body - JSON body sent
+ * @returns {Promise<void>}
+ */
+export const saveIdempotentResponse = async (record, status, body) => {
+    record.status = 'completed';
+    record.response_status = status;
+    record.response_body = body === undefined ? null : body;
+    await record.save();
+};
+
+/**
+ * Give a key back so the request can be retried (e.g. after a server error)
+ * @param {Object} record - IdempotencyKey claimed by this request
+ * @returns {Promise<void>}
+ */
+export const releaseIdempotencyKey = async (record) => {
+    await IdempotencyKey.destroy({
+        where: { id: record.id, status: 'processing' },
+    });
+};
+
+/**
+ * Delete stored responses past their TTL
+ * @returns {Promise<number>} - Number of rows removed
+ */
+export const purgeExpiredIdempotencyKeys = async () => {
+    return await IdempotencyKey.destroy({
+        where: {
+            expires_at: {
+                [Op.lt]: new Date(),
+            },
+        },
+    });
+};
+
+export default {
+    hashRequest,
+    claimIdempotencyKey,
+    saveIdempotentResponse,
+    releaseIdempotencyKey,
+    purgeExpiredIdempotencyKeys,
+};
\ No newline at end of file
@@ -0,0 +1,232 @@
+import {
+    Invoice,
+    Purchase,
+    Drop,
+    DropVariant,
+    Order,
+    PromoCode,
+    Sequence,
+    User,
+} from '../models/index.js';
+import { fromMinorUnits, toMinorUnits } from './money.js';
+import { pickBreakdown } from './pricing.js';
+
+/**
+ * Invoices
+ * Every purchase gets one invoice, issued when its payment succeeds (or on
+ * the first receipt download for older purchases). Numbers come from a
+ * locked counter inside the issuing transaction, so a rolled-back issue
+ * gives its number back and the sequence has no gaps. The receipt is
+ * rendered only from the invoice snapshot.
+ */
+
+export const INVOICE_SEQUENCE = 'invoice';
+
+/**
+ * Take the next value of a named sequence
+ * Lock order: anything the caller holds -> sequence row.
+ * @param {string} name - Sequence name
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<number>}
+ */
+export const nextSequenceValue = async (name, transaction) => {
+    await Sequence.findOrCreate({
+        where: { name },
+        defaults: { name, value: 0 },
+        transaction,
+    });
+
+    const sequence = await Sequence.findByPk(name, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+    });
+
+    sequence.value += 1;
+    await sequence.save({ transaction });
+
+    return sequence.value;
+};
+
+/**
+ * Freeze what the receipt shows for a purchase
+ * @param {Object} purchase - Purchase with drop, variant, user, order and promoCode
+ * @returns {Object}
+ */
+const buildSnapshot = (purchase) => {
+    const { currency } = purchase;
+
+    // Purchases from before price breakdowns only have decimal prices
+    const legacy = purchase.total_minor === null || purchase.total_minor === undefined;
+    const lines = legacy
+        ? {
+            subtotal_minor: toMinorUnits(
+                purchase.getDataValue('original_price') || purchase.getDataValue('price'),
+                currency
+            ),
+            discount_minor: toMinorUnits(purchase.getDataValue('discount_amount'), currency),
+            tax_minor: 0,
+            shipping_minor: 0,
+            total_minor: purchase.getTotalMinor(),
+        }
+        : pickBreakdown(purchase);
+
+    return {
+        issuer: process.env.INVOICE_ISSUER || 'Sneaker Drop',
+        purchase_id: purchase.id,
+        order_id: purchase.order_id,
+        purchased_at: purchase.purchased_at,
+        buyer: purchase.user
+            ? { id: purchase.user.id, username: purchase.user.username, email: purchase.user.email }
+            : null,
+        item: {
+            drop_id: purchase.drop_id,
+            name: purchase.drop ? purchase.drop.name : `Drop #${purchase.drop_id}`,
+            size: purchase.variant ? purchase.variant.size : null,
+            colorway: purchase.variant ? purchase.variant.colorway : null,
+            sku: purchase.variant ? purchase.variant.sku : null,
+            quantity: purchase.quantity,
+        },
+        promo_code: purchase.promoCode ? purchase.promoCode.code : null,
+        shipping_address: purchase.order ? purchase.order.shipping_address : null,
+        currency,
+        ...lines,
+    };
+};
+
+/**
+ * Get a purchase's invoice, issuing it the first time
+ * Lock order: purchase -> sequence.
+ * @param {number} purchaseId - Purchase ID
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object|null>} - Invoice, or null if the purchase doesn't exist
+ */
+export const issueInvoice = async (purchaseId, transaction) => {
+    // The purchase lock makes concurrent first downloads issue one invoice
+    const locked = await Purchase.findByPk(purchaseId, {
+        attributes: ['id'],
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+    });
+
+    if (!locked) return null;
+
+    const existing = await Invoice.findOne({
+        where: { purchase_id: purchaseId },
+        transaction,
+    });
+
+    if (existing) return existing;
+
+    const purchase = await Purchase.findByPk(purchaseId, {
+        include: [
+            { model: Drop, as: 'drop', attributes: ['id', 'name'] },
+            { model: DropVariant, as: 'variant', attributes: ['id', 'size', 'colorway', 'sku'] },
+            { model: User, as: 'user', attributes: ['id', 'username', 'email'] },
+            { model: Order, as: 'order', attributes: ['id', 'shipping_address'] },
+            { model: PromoCode, as: 'promoCode', attributes: ['id', 'code'] },
+        ],
+        transaction,
+    });
+
+    const number = await nextSequenceValue(INVOICE_SEQUENCE, transaction);
+
+    return await Invoice.create(
+        {
+            number,
+            purchase_id: purchase.id,
+            user_id: purchase.user_id,
+            issued_at: new Date(),
+            snapshot: buildSnapshot(purchase),
+        },
+        { transaction }
+    );
+};
+
+/**
+ * Escape text for HTML
+ * @param {*} value
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Render a printable HTML receipt
+ * Output depends only on the invoice, so re-downloads are byte-identical.
+ * @param {Object} invoice - Invoice instance
+ * @returns {string} - HTML document
+ */
+export const renderReceiptHtml = (invoice) => {
+    const s = invoice.snapshot;
+    const number = invoice.getInvoiceNumber();
+    const money = (minor) => `${escapeHtml(fromMinorUnits(minor, s.currency))} ${escapeHtml(s.currency)}`;
+    const item = [s.item.name, s.item.size && `size ${s.item.size}`, s.item.colorway]
+        .filter(Boolean)
+        .join(', ');
+    const address = s.shipping_address
+        ? [
+            s.shipping_address.recipient_name,
+            s.shipping_address.line1,
+            s.shipping_address.line2,
+            [s.shipping_address.postal_code, s.shipping_address.city, s.shipping_address.state].filter(Boolean).join(' '),
+            s.shipping_address.country,
+        ].filter(Boolean).map(escapeHtml).join('<br>')
+        : 'No shipping address';
+
+    const rows = [
+        ['Subtotal', money(s.subtotal_minor)],
+        s.discount_minor > 0
+            ? [`Discount${s.promo_code ? ` (${escapeHtml(s.promo_code)})` : ''}`, `-${money(s.discount_minor)}`]
+            : null,
+        ['Shipping', money(s.shipping_minor)],
+        ['Tax', money(s.tax_minor)],
+    ].filter(Boolean);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Receipt ${number}</title>
+<style>
+body { font-family: Helvetica, Arial, sans-serif; max-width: 640px; margin: 2em auto; color: #111; }
+table { width: 100%; border-collapse: collapse; }
+td { padding: 4px 0; }
+td.amount { text-align: right; }
+tr.total td { border-top: 1px solid #111; font-weight: bold; }
+.meta { color: #555; }
+@media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(s.issuer)}</h1>
+<h2>Receipt ${number}</h2>
+<p class="meta">
+Issued ${escapeHtml(new Date(invoice.issued_at).toISOString())}<br>
+Purchase #${escapeHtml(s.purchase_id)}${s.order_id ? ` &middot; Order #${escapeHtml(s.order_id)}` : ''}<br>
+Purchased ${escapeHtml(new Date(s.purchased_at).toISOString())}
+</p>
+<h3>Billed to</h3>
+<p>${s.buyer ? `${escapeHtml(s.buyer.username)} &lt;${escapeHtml(s.buyer.email)}&gt;` : 'Deleted user'}</p>
+<h3>Ship to</h3>
+<p>${address}</p>
+<h3>Item</h3>
+<p>${s.item.quantity > 1 ? `${escapeHtml(s.item.quantity)} &times; ` : ''}${escapeHtml(item)}${s.item.sku ? ` <span class="meta">(SKU ${escapeHtml(s.item.sku)})</span>` : ''}</p>
+<table>
+${rows.map(([label, amount]) => `<tr><td>${label}</td><td class="amount">${amount}</td></tr>`).join('\n')}
+<tr class="total"><td>Total paid</td><td class="amount">${money(s.total_minor)}</td></tr>
+</table>
+</body>
+</html>
+`;
+};
+
+export default {
+    INVOICE_SEQUENCE,
+    nextSequenceValue,
+    issueInvoice,
+    renderReceiptHtml,
+};
\ No newline at end of file
@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+import os from 'os';
+import { Op } from 'sequelize';
+import { Lease, sequelize } from '../models/index.js';
+
+/**
+ * Leader Election
+ * Every instance starts the same cron jobs, but only the holder of the
+ * scheduler lease runs them. The lease is a row in `leases` with an expiry
+ * in database time: the leader renews it well before it lapses, and when a
+ * leader dies the row simply expires and the next instance to try takes it.
+ * Taking or renewing is a single conditional UPDATE, so two instances can
+ * never both win the same round.
+ */
+
+export const SCHEDULER_LEASE = 'scheduler';
+
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const getLeaseTtl = () => parseInt(process.env.LEADER_LEASE_TTL_MS, 10) || 15000;
+
+// Local deadline for our own leadership. Measured from before the renewal
+// was sent, so it always ends no later than the lease row does.
+let leaderUntil = 0;
+let renewTimer = null;
+
+/**
+ * Take the lease if it is free or lapsed, or renew it if we already hold it
+ * @param {string} name - Lease name
+ * @param {number} ttlMs - How long the lease lasts from now
+ * @returns {Promise<boolean>} Whether this instance holds the lease
+ */
+export const acquireLease = async (name, ttlMs) => {
+    await Lease.bulkCreate(
+        [{ name, holder: null, expires_at: new Date(0) }],
+        { ignoreDuplicates: true }
+    );
+
+    const [affected] = await Lease.update(
+        {
+            holder: INSTANCE_ID,
+            expires_at: sequelize.literal(`NOW(3) + INTERVAL ${parseInt(ttlMs, 10) * 1000} MICROSECOND`),
+        },
+        {
+            where: {
+                name,
+                [Op.or]: [
+                    { holder: INSTANCE_ID },
+                    { expires_at: { [Op.lt]: sequelize.fn('NOW', 3) } },
+                ],
+            },
+        }
+    );
+
+    return affected > 0;
+};
+
+/**
+ * Give the lease up so another instance can take over straight away
+ * @param {string} name - Lease name
+ * @returns {Promise<void>}
+ */
+export const releaseLease = async (name) => {
+    await Lease.update(
+        { holder: null, expires_at: new Date(0) },
+        { where: { name, holder: INSTANCE_ID } }
+    );
+};
+
+/**
+ * Whether this instance may run scheduled jobs right now
+ * @returns {boolean}
+ */
+export const isLeader = () => Date.now() < leaderUntil;
+
+/**
+ * One election round: take or renew the scheduler lease
+ * @returns {Promise<void>}
+ */
+const campaign = async () => {
+    const ttlMs = getLeaseTtl();
+    const startedAt = Date.now();
+    const wasLeader = isLeader();
+
+    try {
+        if (await acquireLease(SCHEDULER_LEASE, ttlMs)) {
+            leaderUntil = startedAt + ttlMs;
+            if (!wasLeader) {
+                console.log(`👑 ${INSTANCE_ID} is now running scheduled jobs`);
+            }
+        } else {
+            leaderUntil = 0;
+            if (wasLeader) {
+                console.log(`🔕 ${INSTANCE_ID} lost the scheduler lease`);
+            }
+        }
+    } catch (error) {
+        // Keep whatever time we have left; if renewals keep failing it runs out
+        console.error('❌ Error renewing scheduler lease:', error.message);
+    }
+};
+
+/**
+ * Start competing for the scheduler lease
+ * Renews at a third of the TTL, so a leader survives a couple of failed
+ * renewals and a dead leader is replaced within one TTL.
+ * @returns {Promise<void>}
+ */
+export const startLeaderElection = async () => {
+    if (renewTimer) {
+        return;
+    }
+
+    await campaign();
+
+    renewTimer = setInterval(campaign, Math.max(Math.floor(getLeaseTtl() / 3), 1000));
+    renewTimer.unref();
+
+    console.log(`✅ Leader election started (${INSTANCE_ID})`);
+};
+
+/**
+ * Stop renewing and hand the lease back
+ * @returns {Promise<void>}
+ */
+export const stopLeaderElection = async () => {
+    if (renewTimer) {
+        clearInterval(renewTimer);
+        renewTimer = null;
+    }
+
+    const wasLeader = isLeader();
+    leaderUntil = 0;
+
+    if (wasLeader) {
+        try {
+            await releaseLease(SCHEDULER_LEASE);
+        } catch (error) {
+            console.error('❌ Error releasing scheduler lease:', error.message);
+        }
+    }
+};
+
+export default {
+    SCHEDULER_LEASE,
+    INSTANCE_ID,
+    acquireLease,
+    releaseLease,
+    isLeader,
+    startLeaderElection,
+    stopLeaderElection,
+};
\ No newline at end of file
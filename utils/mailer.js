@@ -0,0 +1,121 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Mailer
+ * Sends mail through a pluggable transport.
+ *
+ * A transport is any object with an async `send(message)` method, where
+ * message is `{ from, to, subject, text, html }`. Bundled transports:
+ *   - console: logs the message (default, local dev). Refused when
+ *              NODE_ENV=production: messages carry live reset and
+ *              verification tokens, which must not end up in logs.
+ *   - file:    writes each message as JSON into MAIL_OUTBOX_DIR (tests)
+ */
+
+/**
+ * Create a transport that logs messages to the console
+ * @returns {Object} - Mail transport
+ */
+export const createConsoleTransport = () => ({
+    name: 'console',
+    send: async (message) => {
+        console.log('📧 Mail:', {
+            to: message.to,
+            subject: message.subject,
+        });
+        console.log(message.text);
+        return { id: `console-${Date.now()}` };
+    },
+});
+
+/**
+ * Create a transport that writes messages to a directory
+ * @param {string} dir - Outbox directory
+ * @returns {Object} - Mail transport
+ */
+export const createFileTransport = (dir) => ({
+    name: 'file',
+    dir,
+    send: async (message) => {
+        await fs.mkdir(dir, { recursive: true });
+        const id = `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+        const file = path.join(dir, `${id}.json`);
+        await fs.writeFile(file, JSON.stringify({ id, ...message, sent_at: new Date() }, null, 2));
+        return { id, file };
+    },
+});
+
+/**
+ * Build the transport selected by MAIL_TRANSPORT
+ * @returns {Object} - Mail transport
+ * @throws {Error} - If that would be the console transport in production
+ */
+const createDefaultTransport = () => {
+    switch (process.env.MAIL_TRANSPORT) {
+        case 'file':
+            return createFileTransport(
+                process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'sneaker-drop-mail')
+            );
+        case 'console':
+        default:
+            if (process.env.NODE_ENV === 'production') {
+                throw new Error('The console mail transport cannot be used in production; set a real transport');
+            }
+            return createConsoleTransport();
+    }
+};
+
+let transport = null;
+
+/**
+ * Replace the active transport (e.g. with a real SMTP/API transport)
+ * @param {Object} nextTransport - Object implementing send(message)
+ */
+export const setMailTransport = (nextTransport) => {
+    if (!nextTransport || typeof nextTransport.send !== 'function') {
+        throw new Error('Mail transport must implement send(message)');
+    }
+    transport = nextTransport;
+};
+
+/**
+ * Get the active transport
+ * @returns {Object} - Mail transport
+ */
+export const getMailTransport = () => {
+    if (!transport) {
+        transport = createDefaultTransport();
+    }
+    return transport;
+};
+
+/**
+ * Check the mail settings before the server starts
+ * @throws {Error} - If no usable transport is configured
+ */
+export const assertMailConfig = () => {
+    getMailTransport();
+};
+
+/**
+ * Send a mail message
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} - Transport result
+ */
+export const sendMail = async (message) => {
+    return await getMailTransport().send({
+        from: process.env.MAIL_FROM || 'Sneaker Drop <no-reply@sneakerdrop.com>',
+        ...message,
+    });
+};
+
+export default {
+    createConsoleTransport,
+    createFileTransport,
+    setMailTransport,
+    getMailTransport,
+    assertMailConfig,
+    sendMail,
+};
\ No newline at end of file
@@ -0,0 +1,122 @@
+/**
+ * Money
+ * Money maths in integer minor units (cents, pence, yen...). DECIMAL columns
+ * come back from MySQL as strings, so they are parsed digit by digit instead
+ * of going through floats.
+ */
+
+/**
+ * Minor-unit exponent per supported ISO 4217 currency
+ */
+export const CURRENCY_EXPONENTS = {
+    USD: 2,
+    EUR: 2,
+    GBP: 2,
+    CAD: 2,
+    AUD: 2,
+    CHF: 2,
+    JPY: 0,
+    KRW: 0,
+};
+
+export const SUPPORTED_CURRENCIES = Object.keys(CURRENCY_EXPONENTS);
+
+export const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Get the number of decimal places a currency uses
+ * @param {string} currency - ISO 4217 code
+ * @returns {number}
+ */
+export const getExponent = (currency = DEFAULT_CURRENCY) => {
+    const exponent = CURRENCY_EXPONENTS[currency];
+
+    if (exponent === undefined) {
+        throw new Error(`Unsupported currency: ${currency}`);
+    }
+
+    return exponent;
+};
+
+/**
+ * Convert a decimal amount to integer minor units
+ * Extra decimal places are rounded half away from zero.
+ * @param {string|number|null} value - Decimal amount, e.g. '199.99'
+ * @param {string} [currency] - ISO 4217 code
+ * @returns {number} - Integer minor units
+ */
+export const toMinorUnits = (value, currency = DEFAULT_CURRENCY) => {
+    const exponent = getExponent(currency);
+
+    if (value === null || value === undefined || value === '') return 0;
+
+    const text = typeof value === 'number' ? value.toFixed(exponent + 1) : String(value).trim();
+    const match = /^(-)?(\d*)(?:\.(\d*))?$/.exec(text);
+
+    if (!match) {
+        throw new Error(`Invalid money amount: ${value}`);
+    }
+
+    const [, sign, whole = '', fraction = ''] = match;
+    const digits = fraction.padEnd(exponent + 1, '0');
+    let minor = Number(whole || '0') * (10 ** exponent) + Number(digits.slice(0, exponent) || '0');
+
+    if (Number(digits[exponent]) >= 5) {
+        minor += 1;
+    }
+
+    return sign ? -minor : minor;
+};
+
+/**
+ * Convert integer minor units to a decimal string (for DECIMAL columns)
+ * @param {number} minor - Integer minor units
+ * @param {string} [currency] - ISO 4217 code
+ * @returns {string} - e.g. '199.99'
+ */
+export const fromMinorUnits = (minor, currency = DEFAULT_CURRENCY) => {
+    const exponent = getExponent(currency);
+    const sign = minor < 0 ? '-' : '';
+    const digits = String(Math.abs(minor)).padStart(exponent + 1, '0');
+
+    if (exponent === 0) return `${sign}${digits}`;
+
+    return `${sign}${digits.slice(0, -exponent)}.${digits.slice(-exponent)}`;
+};
+
+/**
+ * Apply a rate in basis points (1/100 of a percent), rounded to the nearest minor unit
+ * @param {number} minor - Integer minor units
+ * @param {number} bps - Rate, e.g. 2000 for 20%
+ * @returns {number}
+ */
+export const applyBasisPoints = (minor, bps) => {
+    return Math.round((minor * bps) / 10000);
+};
+
+/**
+ * Split an amount into n integer parts that add back up exactly
+ * The first `remainder` parts get one extra minor unit.
+ * @param {number} minor - Integer minor units
+ * @param {number} parts - Number of parts
+ * @returns {Array<number>}
+ */
+export const splitEvenly = (minor, parts) => {
+    if (parts <= 0) return [];
+
+    const base = Math.floor(minor / parts);
+    const remainder = minor - base * parts;
+
+    return Array.from({ length: parts }, (_, i) => base + (i < remainder ? 1 : 0));
+};
+
+export default {
+    CURRENCY_EXPONENTS,
+    SUPPORTED_CURRENCIES,
+    DEFAULT_CURRENCY,
+    getExponent,
+    toMinorUnits,
+    fromMinorUnits,
+    applyBasisPoints,
+    splitEvenly,
+};
\ No newline at end of file
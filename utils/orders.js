@@ -0,0 +1,156 @@
+import { Drop, DropVariant, Purchase, OrderStatusChange } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { emitOrderStatusChanged } from './events.js';
+
+/**
+ * Orders
+ * Order status state machine. Every transition goes through transitionOrder
+ * so it is validated against ORDER_TRANSITIONS and recorded in the history.
+ */
+
+/**
+ * Return purchased units to drop and variant stock
+ * Each purchase is restocked at most once, all its units together, and
+ * stock never rises above initial_stock (the Drop/DropVariant beforeUpdate
+ * ceiling); purchases that don't fit are left out. Locks drops then variants in ID order.
+ * @param {Array<Object>} purchases - Locked purchases to restock
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<{ dropIds: Array<number>, units: number }>} - Drops whose stock changed, units returned
+ */
+export const restockPurchases = async (purchases, transaction) => {
+    const pending = purchases.filter((purchase) => !purchase.restocked_at);
+
+    if (pending.length === 0) return { dropIds: [], units: 0 };
+
+    const drops = await Drop.findAll({
+        where: { id: [...new Set(pending.map((p) => p.drop_id))] },
+        order: [['id', 'ASC']],
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+    });
+
+    const variantIds = [...new Set(pending.filter((p) => p.variant_id).map((p) => p.variant_id))];
+    const variants = variantIds.length > 0
+        ? await DropVariant.findAll({
+            where: { id: variantIds },
+            order: [['id', 'ASC']],
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        })
+        : [];
+
+    const dropsById = new Map(drops.map((drop) => [drop.id, drop]));
+    const variantsById = new Map(variants.map((variant) => [variant.id, variant]));
+    const changedDrops = new Set();
+    let units = 0;
+
+    for (const purchase of pending) {
+        const drop = dropsById.get(purchase.drop_id);
+        const variant = purchase.variant_id ? variantsById.get(purchase.variant_id) : null;
+
+        const { quantity } = purchase;
+
+        if (!drop || drop.stock + quantity > drop.initial_stock) continue;
+        if (purchase.variant_id && (!variant || variant.stock + quantity > variant.initial_stock)) continue;
+
+        drop.stock += quantity;
+        if (variant) variant.stock += quantity;
+
+        purchase.restocked_at = new Date();
+        await purchase.save({ transaction });
+
+        changedDrops.add(drop.id);
+        units += quantity;
+    }
+
+    for (const drop of drops) {
+        if (changedDrops.has(drop.id)) await drop.save({ transaction });
+    }
+
+    for (const variant of variants) {
+        if (variant.changed('stock')) await variant.save({ transaction });
+    }
+
+    return { dropIds: [...changedDrops], units };
+};
+
+/**
+ * Move an order to a new status
+ * The caller must hold a row lock on the order inside `transaction`.
+ * Cancelling an order returns its units to stock.
+ * @param {Object} order - Locked Order instance
+ * @param {string} status - Target status
+ * @param {Object} options - { changedBy, note, trackingNumber, transaction }
+ * @returns {Promise<{ order: Object, change: Object, restockedDropIds: Array<number> }>}
+ */
+export const transitionOrder = async (order, status, {
+    changedBy = null,
+    note = null,
+    trackingNumber,
+    transaction,
+}) => {
+    if (!order.canTransitionTo(status)) {
+        throw new AppError(`Cannot move order from '${order.status}' to '${status}'`, 409);
+    }
+
+    if (status === 'shipped' && !order.shipping_address) {
+        throw new AppError('Order has no shipping address', 409);
+    }
+
+    const fromStatus = order.status;
+    order.status = status;
+
+    if (trackingNumber !== undefined) {
+        order.tracking_number = trackingNumber;
+    }
+
+    await order.save({ transaction });
+
+    const change = await OrderStatusChange.create(
+        {
+            order_id: order.id,
+            changed_by: changedBy,
+            from_status: fromStatus,
+            to_status: status,
+            note,
+        },
+        { transaction }
+    );
+
+    let restockedDropIds = [];
+
+    if (status === 'cancelled') {
+        const purchases = await Purchase.findAll({
+            where: { order_id: order.id },
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+        ({ dropIds: restockedDropIds } = await restockPurchases(purchases, transaction));
+    }
+
+    return { order, change, restockedDropIds };
+};
+
+/**
+ * Tell the buyer their order moved (call after commit)
+ * @param {Object} io - Socket.IO instance
+ * @param {Object} order - Order instance
+ * @param {Object} change - OrderStatusChange instance
+ */
+export const notifyOrderStatus = (io, order, change) => {
+    if (!io) return;
+
+    emitOrderStatusChanged(io, order.user_id, {
+        orderId: order.id,
+        from: change.from_status,
+        status: change.to_status,
+        trackingNumber: order.tracking_number,
+        note: change.note,
+    });
+};
+
+export default {
+    restockPurchases,
+    transitionOrder,
+    notifyOrderStatus,
+};
\ No newline at end of file
@@ -0,0 +1,195 @@
+import crypto from 'crypto';
+
+/**
+ * Payment Providers
+ * Payments go through a pluggable provider, selected by PAYMENT_PROVIDER.
+ * There is no default: an unset PAYMENT_PROVIDER disables checkout, and
+ * webhooks are verified with PAYMENT_WEBHOOK_SECRET, which is required.
+ *
+ * A provider is an object with:
+ *   name
+ *   createIntent({ amount, currency, metadata }) -> { ref, clientSecret }
+ *     amount is a decimal string in the currency's units, e.g. '199.99'
+ *   confirmIntent(ref, { paymentMethod })        -> { status: 'processing' }
+ *   cancelIntent(ref)                            -> void
+ *   refund(ref, { amount, currency })            -> { ref }
+ *   parseWebhook({ rawBody, headers })           -> { type, ref, reason }
+ *     type is 'payment.succeeded' or 'payment.failed'; throws on a bad signature.
+ *
+ * Providers settle asynchronously: confirmation only starts processing and the
+ * outcome arrives later as a webhook.
+ *
+ * Bundled providers:
+ *   - mock: deterministic local gateway, refused when NODE_ENV=production since
+ *     the client picks the outcome with its payment method:
+ *       mock_success - succeeds (default)
+ *       mock_decline - fails with reason 'card_declined'
+ *       mock_timeout - never calls back; the payment timeout job fails it
+ */
+
+export const MOCK_PAYMENT_METHODS = ['mock_success', 'mock_decline', 'mock_timeout'];
+
+const MOCK_SIGNATURE_HEADER = 'x-mock-signature';
+
+let webhookDispatcher = null;
+
+/**
+ * Register where in-process providers deliver their webhooks
+ * @param {Function} dispatcher - async (providerName, { rawBody, headers }) => void
+ */
+export const setWebhookDispatcher = (dispatcher) => {
+    webhookDispatcher = dispatcher;
+};
+
+/**
+ * Check the payment settings before the server starts
+ * @throws {Error} - If PAYMENT_PROVIDER or PAYMENT_WEBHOOK_SECRET is missing,
+ *   or the mock provider is selected in production
+ */
+export const assertPaymentConfig = () => {
+    const name = process.env.PAYMENT_PROVIDER;
+
+    if (!name) {
+        throw new Error('PAYMENT_PROVIDER must be set');
+    }
+
+    if (name === 'mock' && process.env.NODE_ENV === 'production') {
+        throw new Error('The mock payment provider cannot be used in production');
+    }
+
+    if (!process.env.PAYMENT_WEBHOOK_SECRET) {
+        throw new Error('PAYMENT_WEBHOOK_SECRET must be set');
+    }
+};
+
+/**
+ * Sign a mock webhook body
+ * @param {string} secret - Webhook secret
+ * @param {string} rawBody - Raw JSON body
+ * @returns {string} - Hex HMAC-SHA256
+ */
+const signMockPayload = (secret, rawBody) => {
+    return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+};
+
+/**
+ * Create the deterministic mock provider
+ * @param {Object} [options]
+ * @param {string} [options.secret] - Webhook signing secret
+ * @param {number} [options.delay] - Milliseconds before the webhook is delivered
+ * @returns {Object} - Payment provider
+ */
+export const createMockProvider = ({
+    secret = process.env.PAYMENT_WEBHOOK_SECRET,
+    delay = parseInt(process.env.MOCK_PAYMENT_DELAY) || 0,
+} = {}) => {
+    if (!secret) {
+        throw new Error('The mock payment provider needs a webhook secret (PAYMENT_WEBHOOK_SECRET)');
+    }
+
+    const deliver = (event) => {
+        const rawBody = JSON.stringify(event);
+        const headers = { [MOCK_SIGNATURE_HEADER]: signMockPayload(secret, rawBody) };
+
+        setTimeout(async () => {
+            if (!webhookDispatcher) {
+                console.warn(`⚠️  Mock payment webhook dropped (no dispatcher): ${event.ref}`);
+                return;
+            }
+
+            try {
+                await webhookDispatcher('mock', { rawBody, headers });
+            } catch (error) {
+                console.error(`❌ Mock payment webhook failed for ${event.ref}:`, error.message);
+            }
+        }, delay);
+    };
+
+    return {
+        name: 'mock',
+
+        createIntent: async ({ amount, currency, metadata = {} }) => {
+            const ref = `mock_pi_${crypto.randomUUID()}`;
+            console.log(`💳 Mock intent ${ref} for ${amount} ${currency} (order #${metadata.orderId})`);
+            return {
+                ref,
+                clientSecret: `${ref}_secret`,
+            };
+        },
+
+        confirmIntent: async (ref, { paymentMethod = 'mock_success' } = {}) => {
+            if (paymentMethod === 'mock_success') {
+                deliver({ type: 'payment.succeeded', ref });
+            } else if (paymentMethod === 'mock_decline') {
+                deliver({ type: 'payment.failed', ref, reason: 'card_declined' });
+            }
+            // mock_timeout: never calls back
+
+            return { status: 'processing' };
+        },
+
+        cancelIntent: async (ref) => {
+            console.log(`💳 Mock intent ${ref} cancelled`);
+        },
+
+        refund: async (ref, { amount, currency }) => {
+            console.log(`💳 Mock refund of ${amount} ${currency} on ${ref}`);
+            return { ref: `mock_re_${crypto.randomUUID()}` };
+        },
+
+        parseWebhook: ({ rawBody, headers }) => {
+            const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody || '');
+            const expected = Buffer.from(signMockPayload(secret, body));
+            const received = Buffer.from(String(headers[MOCK_SIGNATURE_HEADER] || ''));
+
+            if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+                throw new Error('Invalid webhook signature');
+            }
+
+            const { type, ref, reason = null } = JSON.parse(body);
+            return { type, ref, reason };
+        },
+    };
+};
+
+const providers = new Map();
+
+/**
+ * Register a provider (e.g. a real gateway adapter)
+ * @param {Object} provider - Object implementing the provider interface
+ */
+export const registerPaymentProvider = (provider) => {
+    const methods = ['createIntent', 'confirmIntent', 'cancelIntent', 'refund', 'parseWebhook'];
+
+    if (!provider || !provider.name || methods.some((m) => typeof provider[m] !== 'function')) {
+        throw new Error(`Payment provider must have a name and implement ${methods.join(', ')}`);
+    }
+    providers.set(provider.name, provider);
+};
+
+/**
+ * Get a provider by name, defaulting to PAYMENT_PROVIDER
+ * @param {string} [name] - Provider name
+ * @returns {Object|null} - Payment provider, or null if unknown, unset or not allowed here
+ */
+export const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+    if (!name) return null;
+
+    if (name === 'mock') {
+        if (process.env.NODE_ENV === 'production' || !process.env.PAYMENT_WEBHOOK_SECRET) return null;
+
+        if (!providers.has('mock')) {
+            registerPaymentProvider(createMockProvider());
+        }
+    }
+    return providers.get(name) || null;
+};
+
+export default {
+    MOCK_PAYMENT_METHODS,
+    setWebhookDispatcher,
+    assertPaymentConfig,
+    createMockProvider,
+    registerPaymentProvider,
+    getPaymentProvider,
+};
\ No newline at end of file
@@ -0,0 +1,450 @@
+import { Op } from 'sequelize';
+import {
+    Payment,
+    Order,
+    OrderItem,
+    Reservation,
+    Drop,
+    sequelize,
+} from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { findCheckoutProblems, getPaymentTimeout, placeOrder } from './checkout.js';
+import { transitionOrder, notifyOrderStatus } from './orders.js';
+import { getPaymentProvider } from './paymentProviders.js';
+import {
+    releaseReservations,
+    publishRelease,
+    holdReservationsUntil,
+    scheduleReservationExpiry,
+} from './reservations.js';
+import { confirmPromoRedemption, releasePromoRedemption } from './promotions.js';
+import { issueInvoice } from './invoices.js';
+import { emitPaymentUpdated, emitPurchaseConfirmed, publishDropEvent } from './events.js';
+
+/**
+ * Payments
+ * Confirming intents and settling them from provider webhooks or timeouts.
+ *
+ * Success places the order (purchases created, order paid). Failure cancels
+ * the order, releases its reservations through the same path the expiry
+ * cron uses and gives back its promo redemption. A payment that succeeds
+ * after its reservations lapsed is refunded; the refund is recorded with the
+ * failure and retried by the payment timeout job until the provider takes it.
+ */
+
+/**
+ * Confirm a payment intent with the provider
+ * @param {Object} params
+ * @param {number} params.paymentId - Payment ID
+ * @param {number} params.userId - Owner
+ * @param {string} [params.paymentMethod] - Provider payment method
+ * @returns {Promise<Object>} - Payment instance (processing)
+ */
+export const confirmPayment = async ({ paymentId, userId, paymentMethod }) => {
+    const { payment, held } = await sequelize.transaction(async (transaction) => {
+        const payment = await Payment.findOne({
+            where: { id: paymentId, user_id: userId },
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+
+        if (!payment) {
+            throw new AppError('Payment not found', 404);
+        }
+
+        if (payment.status !== 'requires_confirmation') {
+            throw new AppError(`Payment is already ${payment.status.replace('_', ' ')}`, 409);
+        }
+
+        if (new Date() > new Date(payment.expires_at)) {
+            throw new AppError('Payment has expired', 409);
+        }
+
+        if (!payment.provider_ref) {
+            throw new AppError('Payment intent has not been created', 409);
+        }
+
+        payment.status = 'processing';
+        payment.expires_at = new Date(Date.now() + getPaymentTimeout());
+        await payment.save({ transaction });
+
+        // The webhook may take until the new expiry; keep the stock held that long
+        const items = await OrderItem.findAll({
+            where: { order_id: payment.order_id },
+            transaction,
+        });
+
+        const reservations = await Reservation.findAll({
+            where: { id: items.map((item) => item.reservation_id), status: 'active' },
+            order: [['id', 'ASC']],
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+
+        const held = await holdReservationsUntil(reservations, payment.expires_at, transaction);
+
+        return { payment, held };
+    });
+
+    for (const reservation of held) {
+        scheduleReservationExpiry(reservation);
+    }
+
+    // Confirm after commit so a fast webhook sees the processing payment
+    const provider = getPaymentProvider(payment.provider);
+    await provider.confirmIntent(payment.provider_ref, { paymentMethod });
+
+    return payment;
+};
+
+/**
+ * Settle a payment and its order
+ * @param {number} paymentId - Payment ID
+ * @param {Object} outcome - { succeeded, reason }
+ * @returns {Promise<Object|null>} - Settlement result, or null if already settled
+ */
+export const settlePayment = async (paymentId, { succeeded, reason = null }) => {
+    return await sequelize.transaction(async (transaction) => {
+        // Lock order: payment -> order -> reservations -> drop -> variant -> promo code
+        const payment = await Payment.findByPk(paymentId, {
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+
+        // Webhooks may be delivered more than once
+        if (!payment || payment.isSettled()) {
+            return null;
+        }
+
+        const order = await Order.findByPk(payment.order_id, {
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+
+        const items = await OrderItem.findAll({
+            where: { order_id: order.id },
+            transaction,
+        });
+
+        const reservationIds = items.map((item) => item.reservation_id);
+        const reservations = await Reservation.findAll({
+            where: { id: reservationIds },
+            include: [
+                {
+                    model: Drop,
+                    as: 'drop',
+                },
+            ],
+            order: [['id', 'ASC']],
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+
+        let failureReason = reason || 'payment_failed';
+
+        if (succeeded) {
+            const problems = findCheckoutProblems(reservationIds, reservations);
+
+            if (problems.length === 0 && order.status === 'awaiting_payment') {
+                const { purchases, change: placed } = await placeOrder({
+                    userId: order.user_id,
+                    reservations,
+                    order,
+                    transaction,
+                });
+
+                await confirmPromoRedemption(order.id, transaction);
+
+                const { change: paid } = await transitionOrder(order, 'paid', {
+                    note: `Payment #${payment.id} succeeded`,
+                    transaction,
+                });
+
+                // Invoice numbers are taken last; they're given back if this rolls back
+                for (const purchase of purchases) {
+                    await issueInvoice(purchase.id, transaction);
+                }
+
+                payment.status = 'succeeded';
+                payment.settled_at = new Date();
+                await payment.save({ transaction });
+
+                return { payment, order, purchases, changes: [placed, paid], released: null, refundDue: false };
+            }
+
+            // Money was captured but the items are gone
+            failureReason = order.status === 'awaiting_payment' ? 'reservation_expired' : 'order_cancelled';
+        }
+
+        payment.status = 'failed';
+        payment.failure_reason = failureReason;
+        payment.settled_at = new Date();
+
+        // Recorded here so a crash or a refused refund after commit isn't lost
+        if (succeeded) {
+            payment.refund_status = 'due';
+        }
+
+        await payment.save({ transaction });
+
+        const changes = [];
+
+        if (order.canTransitionTo('cancelled')) {
+            const { change } = await transitionOrder(order, 'cancelled', {
+                note: `Payment #${payment.id} failed: ${failureReason}`,
+                transaction,
+            });
+            changes.push(change);
+        }
+
+        const released = await releaseReservations(
+            reservations.filter((r) => r.status === 'active'),
+            transaction
+        );
+
+        await releasePromoRedemption(order.id, transaction);
+
+        return { payment, order, purchases: [], changes, released, refundDue: succeeded };
+    });
+};
+
+/**
+ * Refund a late capture recorded by settlePayment
+ *
+ * The payment is claimed (due -> processing) before the provider is called,
+ * so the settlement and the retry sweep never refund it twice. A refusal
+ * puts it back to due for the next sweep.
+ * @param {number} paymentId - Payment ID
+ * @returns {Promise<boolean>} - Whether the provider accepted the refund
+ */
+const refundLateCapture = async (paymentId) => {
+    const [claimed] = await Payment.update(
+        { refund_status: 'processing' },
+        { where: { id: paymentId, refund_status: 'due' } }
+    );
+
+    if (claimed === 0) return false;
+
+    const payment = await Payment.findByPk(paymentId);
+
+    try {
+        const { ref } = await getPaymentProvider(payment.provider).refund(payment.provider_ref, {
+            amount: payment.getDataValue('amount'),
+            currency: payment.currency,
+        });
+
+        await payment.update({ refund_status: 'refunded', refund_ref: ref });
+    } catch (error) {
+        await payment.update({ refund_status: 'due' });
+        console.error(`❌ Refund of payment #${payment.id} failed, will retry:`, error.message);
+        return false;
+    }
+
+    console.log(`💸 Refunded payment #${payment.id}: reservations lapsed before capture`);
+    return true;
+};
+
+/**
+ * Refund late captures and announce a settlement (call after commit)
+ * @param {Object} io - Socket.IO instance (optional)
+ * @param {Object} result - Result of settlePayment
+ */
+const finishSettlement = async (io, result) => {
+    const { payment, order, purchases, changes, released, refundDue } = result;
+
+    if (refundDue) {
+        await refundLateCapture(payment.id);
+    }
+
+    if (io) {
+        for (const purchase of purchases) {
+            publishDropEvent(io, purchase.drop_id, 'purchaseCompleted', {
+                quantity: purchase.quantity,
+            });
+
+            emitPurchaseConfirmed(io, payment.user_id, {
+                purchaseId: purchase.id,
+                orderId: order.id,
+                dropId: purchase.drop_id,
+                variantId: purchase.variant_id,
+                quantity: purchase.quantity,
+                price: purchase.price,
+                currency: purchase.currency,
+            });
+        }
+
+        emitPaymentUpdated(io, payment.user_id, {
+            paymentId: payment.id,
+            orderId: order.id,
+            status: payment.status,
+            reason: payment.failure_reason,
+        });
+    }
+
+    for (const change of changes) {
+        notifyOrderStatus(io, order, change);
+    }
+
+    if (released) {
+        await publishRelease(io, released, 'payment_failed');
+    }
+};
+
+/**
+ * Create the provider intent for a pending payment (call after the checkout commits)
+ *
+ * If the provider refuses, the payment fails like a timeout would: the order
+ * is cancelled and its reservations released. An intent that arrives after
+ * the payment was settled meanwhile is cancelled again.
+ * @param {Object} io - Socket.IO instance (optional)
+ * @param {Object} payment - Payment created by startCheckout
+ * @returns {Promise<string>} - Client secret for the buyer
+ */
+export const createPaymentIntent = async (io, payment) => {
+    const provider = getPaymentProvider(payment.provider);
+
+    let intent;
+    try {
+        intent = await provider.createIntent({
+            amount: payment.getDataValue('amount'),
+            currency: payment.currency,
+            metadata: { orderId: payment.order_id },
+        });
+    } catch (error) {
+        const result = await settlePayment(payment.id, { succeeded: false, reason: 'intent_failed' });
+        if (result) {
+            await finishSettlement(io, result);
+        }
+        throw new AppError(`Payment provider refused the payment: ${error.message}`, 502);
+    }
+
+    const [updated] = await Payment.update(
+        { provider_ref: intent.ref },
+        { where: { id: payment.id, provider_ref: null, status: 'requires_confirmation' } }
+    );
+
+    if (updated === 0) {
+        await provider.cancelIntent(intent.ref);
+        throw new AppError('Payment has expired', 409);
+    }
+
+    payment.provider_ref = intent.ref;
+
+    return intent.clientSecret;
+};
+
+/**
+ * Handle a provider webhook
+ * @param {Object} io - Socket.IO instance (optional)
+ * @param {string} providerName - Provider the webhook is for
+ * @param {Object} payload - { rawBody, headers }
+ * @returns {Promise<Object|null>} - Settled payment, or null if it was already settled
+ */
+export const handlePaymentWebhook = async (io, providerName, payload) => {
+    const provider = getPaymentProvider(providerName);
+
+    if (!provider) {
+        throw new AppError('Unknown payment provider', 404);
+    }
+
+    let event;
+    try {
+        event = provider.parseWebhook(payload);
+    } catch (error) {
+        throw new AppError('Invalid webhook', 400);
+    }
+
+    const payment = await Payment.findOne({
+        where: { provider: provider.name, provider_ref: event.ref },
+    });
+
+    if (!payment) {
+        throw new AppError('Payment not found', 404);
+    }
+
+    if (event.type !== 'payment.succeeded' && event.type !== 'payment.failed') {
+        return null;
+    }
+
+    const result = await settlePayment(payment.id, {
+        succeeded: event.type === 'payment.succeeded',
+        reason: event.reason,
+    });
+
+    if (!result) return null;
+
+    console.log(`💳 Payment #${payment.id} ${result.payment.status}`);
+    await finishSettlement(io, result);
+
+    return result.payment;
+};
+
+/**
+ * Fail payments that were never confirmed or never called back
+ * @param {Object} io - Socket.IO instance (optional)
+ * @returns {Promise<number>} - Number of payments timed out
+ */
+export const failStalePayments = async (io) => {
+    const stale = await Payment.findAll({
+        where: {
+            status: ['requires_confirmation', 'processing'],
+            expires_at: { [Op.lt]: new Date() },
+        },
+        attributes: ['id', 'provider', 'provider_ref'],
+    });
+
+    let count = 0;
+
+    for (const { id, provider, provider_ref: ref } of stale) {
+        try {
+            const result = await settlePayment(id, { succeeded: false, reason: 'timeout' });
+            if (!result) continue;
+
+            const gateway = getPaymentProvider(provider);
+            if (gateway && ref) {
+                await gateway.cancelIntent(ref);
+            }
+
+            await finishSettlement(io, result);
+            count += 1;
+        } catch (error) {
+            console.error(`❌ Error timing out payment #${id}:`, error.message);
+        }
+    }
+
+    return count;
+};
+
+/**
+ * Retry late-capture refunds the provider refused earlier
+ * @returns {Promise<number>} - Number of payments refunded
+ */
+export const retryDueRefunds = async () => {
+    const due = await Payment.findAll({
+        where: { refund_status: 'due' },
+        attributes: ['id'],
+    });
+
+    let count = 0;
+
+    for (const { id } of due) {
+        try {
+            if (await refundLateCapture(id)) {
+                count += 1;
+            }
+        } catch (error) {
+            console.error(`❌ Error refunding payment #${id}:`, error.message);
+        }
+    }
+
+    return count;
+};
+
+export default {
+    confirmPayment,
+    settlePayment,
+    createPaymentIntent,
+    handlePaymentWebhook,
+    failStalePayments,
+    retryDueRefunds,
+};
\ No newline at end of file
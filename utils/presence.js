@@ -0,0 +1,144 @@
+import { publishDropVolatile } from './events.js';
+
+/**
+ * Presence
+ * Counts who is watching each drop room, one per user however many tabs
+ * or devices they have open. Counts live in this process only, like the
+ * Socket.IO rooms themselves. Changes are batched into at most one
+ * `presenceUpdate` per drop every PRESENCE_THROTTLE_MS.
+ */
+
+/**
+ * Minimum gap between presenceUpdate events for one drop, in ms (default 2000)
+ * @returns {number}
+ */
+const getPresenceThrottle = () => parseInt(process.env.PRESENCE_THROTTLE_MS) || 2000;
+
+// dropId -> Map(viewer key -> Set of socket IDs)
+const dropViewers = new Map();
+// socket ID -> Set of drop IDs it is counted in
+const socketDrops = new Map();
+// dropId -> pending presenceUpdate timer
+const pendingUpdates = new Map();
+// dropId -> count last published
+const publishedCounts = new Map();
+
+/**
+ * Who a socket counts as: its user, or the socket itself if anonymous
+ * @param {Object} socket - Socket.IO socket
+ * @returns {string}
+ */
+const viewerKey = (socket) => (
+    socket.data && socket.data.userId ? `user:${socket.data.userId}` : `socket:${socket.id}`
+);
+
+/**
+ * Number of distinct viewers of a drop
+ * @param {number} dropId - Drop ID
+ * @returns {number}
+ */
+export const getPresenceCount = (dropId) => {
+    const viewers = dropViewers.get(Number(dropId));
+    return viewers ? viewers.size : 0;
+};
+
+/**
+ * Publish the drop's count after the throttle window, if it changed
+ * @param {Object} io - Socket.IO instance
+ * @param {number} dropId - Drop ID
+ */
+const schedulePresenceUpdate = (io, dropId) => {
+    if (pendingUpdates.has(dropId)) return;
+
+    const timer = setTimeout(() => {
+        pendingUpdates.delete(dropId);
+
+        const count = getPresenceCount(dropId);
+        if (publishedCounts.get(dropId) === count) return;
+
+        if (count === 0) {
+            publishedCounts.delete(dropId);
+        } else {
+            publishedCounts.set(dropId, count);
+        }
+
+        publishDropVolatile(io, dropId, 'presenceUpdate', { watching: count });
+    }, getPresenceThrottle());
+
+    timer.unref();
+    pendingUpdates.set(dropId, timer);
+};
+
+/**
+ * Count a socket as watching a drop
+ * @param {Object} io - Socket.IO instance
+ * @param {Object} socket - Socket.IO socket
+ * @param {number} dropId - Drop ID
+ * @returns {number} - Viewers now watching
+ */
+export const trackDropPresence = (io, socket, dropId) => {
+    const id = Number(dropId);
+    const key = viewerKey(socket);
+
+    if (!dropViewers.has(id)) dropViewers.set(id, new Map());
+    const viewers = dropViewers.get(id);
+
+    if (!viewers.has(key)) viewers.set(key, new Set());
+    viewers.get(key).add(socket.id);
+
+    if (!socketDrops.has(socket.id)) socketDrops.set(socket.id, new Set());
+    socketDrops.get(socket.id).add(id);
+
+    schedulePresenceUpdate(io, id);
+    return viewers.size;
+};
+
+/**
+ * Stop counting a socket as watching a drop
+ * A user stays counted while any of their other sockets still watch it.
+ * @param {Object} io - Socket.IO instance
+ * @param {Object} socket - Socket.IO socket
+ * @param {number} dropId - Drop ID
+ */
+export const untrackDropPresence = (io, socket, dropId) => {
+    const id = Number(dropId);
+    const key = viewerKey(socket);
+    const viewers = dropViewers.get(id);
+
+    if (viewers && viewers.has(key)) {
+        const sockets = viewers.get(key);
+        sockets.delete(socket.id);
+
+        if (sockets.size === 0) viewers.delete(key);
+        if (viewers.size === 0) dropViewers.delete(id);
+
+        schedulePresenceUpdate(io, id);
+    }
+
+    const drops = socketDrops.get(socket.id);
+    if (drops) {
+        drops.delete(id);
+        if (drops.size === 0) socketDrops.delete(socket.id);
+    }
+};
+
+/**
+ * Remove a disconnected socket from every drop it was watching
+ * @param {Object} io - Socket.IO instance
+ * @param {Object} socket - Socket.IO socket
+ */
+export const clearSocketPresence = (io, socket) => {
+    const drops = socketDrops.get(socket.id);
+    if (!drops) return;
+
+    for (const dropId of [...drops]) {
+        untrackDropPresence(io, socket, dropId);
+    }
+};
+
+export default {
+    getPresenceCount,
+    trackDropPresence,
+    untrackDropPresence,
+    clearSocketPresence,
+};
\ No newline at end of file
@@ -0,0 +1,139 @@
+import { Op } from 'sequelize';
+import { RegionRule } from '../models/index.js';
+import { ANY_REGION } from '../models/RegionRule.js';
+import { applyBasisPoints, fromMinorUnits, splitEvenly } from './money.js';
+
+/**
+ * Pricing
+ * Builds the itemised breakdown (subtotal, discount, tax, shipping, total)
+ * for a checkout. Every amount is in integer minor units of one currency;
+ * decimals only appear in the copies written for display.
+ */
+
+/**
+ * Breakdown fields stored on orders, order items and purchases
+ */
+export const BREAKDOWN_FIELDS = [
+    'subtotal_minor',
+    'discount_minor',
+    'tax_minor',
+    'shipping_minor',
+    'total_minor',
+];
+
+/**
+ * Find the tax and shipping rule for a destination
+ * An exact region match wins over the '*' rule for the currency.
+ * @param {string|null} region - ISO 3166-1 alpha-2 country code
+ * @param {string} currency - ISO 4217 code
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object|null>} - RegionRule, or null when nothing is configured
+ */
+export const findRegionRule = async (region, currency, transaction) => {
+    const rules = await RegionRule.findAll({
+        where: {
+            currency,
+            region: { [Op.in]: region ? [region, ANY_REGION] : [ANY_REGION] },
+        },
+        transaction,
+    });
+
+    return rules.find((rule) => rule.region === region)
+        || rules.find((rule) => rule.region === ANY_REGION)
+        || null;
+};
+
+/**
+ * Price a set of lines under a region rule
+ * Shipping is a flat fee split evenly over the lines plus a per-unit fee,
+ * waived once the discounted subtotal reaches the free-shipping threshold.
+ * Tax is charged per line on the discounted price (and shipping, if the
+ * rule says so), so the order totals are exact sums of the lines.
+ * @param {Object} params
+ * @param {string} params.currency - ISO 4217 code
+ * @param {string|null} params.region - Destination region
+ * @param {Object|null} params.rule - RegionRule from findRegionRule
+ * @param {Array<{ reservation_id: number, quantity: number, subtotal_minor: number, discount_minor: number }>} params.lines
+ * @returns {Object} - Breakdown with per-line `items` and order totals
+ */
+export const priceLines = ({ currency, region, rule, lines }) => {
+    const taxRate = rule ? rule.tax_rate_bps : 0;
+    const goodsMinor = lines.reduce((sum, line) => sum + line.subtotal_minor - line.discount_minor, 0);
+
+    const freeShipping = !rule || (
+        rule.free_shipping_over_minor !== null && goodsMinor >= rule.free_shipping_over_minor
+    );
+    const flatShares = splitEvenly(freeShipping ? 0 : rule.shipping_flat_minor, lines.length);
+
+    const items = lines.map((line, i) => {
+        const goods = line.subtotal_minor - line.discount_minor;
+        const shipping = freeShipping ? 0 : flatShares[i] + rule.shipping_per_item_minor * line.quantity;
+        const tax = applyBasisPoints(goods + (rule && rule.tax_shipping ? shipping : 0), taxRate);
+
+        return {
+            reservation_id: line.reservation_id,
+            subtotal_minor: line.subtotal_minor,
+            discount_minor: line.discount_minor,
+            tax_minor: tax,
+            shipping_minor: shipping,
+            total_minor: goods + tax + shipping,
+        };
+    });
+
+    const totals = BREAKDOWN_FIELDS.reduce((sums, field) => {
+        sums[field] = items.reduce((sum, item) => sum + item[field], 0);
+        return sums;
+    }, {});
+
+    return {
+        currency,
+        region: region || null,
+        tax_rate_bps: taxRate,
+        items,
+        ...totals,
+    };
+};
+
+/**
+ * Copy the breakdown fields from a priced line or order totals
+ * @param {Object} line - Line or order totals from priceLines
+ * @returns {Object} - Plain object of the five *_minor fields
+ */
+export const pickBreakdown = (line) => {
+    return BREAKDOWN_FIELDS.reduce((fields, field) => {
+        fields[field] = line[field];
+        return fields;
+    }, {});
+};
+
+/**
+ * Describe a stored order's breakdown for API responses
+ * @param {Object} order - Order instance
+ * @param {Array<Object>} items - The order's OrderItems
+ * @returns {Object}
+ */
+export const describeBreakdown = (order, items) => {
+    const format = (fields) => BREAKDOWN_FIELDS.reduce((out, field) => {
+        out[field] = fields[field];
+        out[field.replace('_minor', '')] = fromMinorUnits(fields[field] || 0, order.currency);
+        return out;
+    }, {});
+
+    return {
+        currency: order.currency,
+        region: order.region,
+        items: items.map((item) => ({
+            reservation_id: item.reservation_id,
+            ...format(item),
+        })),
+        ...format(order),
+    };
+};
+
+export default {
+    BREAKDOWN_FIELDS,
+    findRegionRule,
+    priceLines,
+    pickBreakdown,
+    describeBreakdown,
+};
\ No newline at end of file
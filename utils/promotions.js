@@ -0,0 +1,171 @@
+import { PromoCode, PromoRedemption } from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { applyBasisPoints, fromMinorUnits, toMinorUnits } from './money.js';
+
+/**
+ * Promotions
+ * Applies promo codes at checkout. Redemptions are counted while the promo
+ * row is locked, so concurrent checkouts can't exceed the total or per-user
+ * caps. A redemption is reserved at checkout, confirmed when payment
+ * succeeds and released (uncounted) when it fails.
+ */
+
+/**
+ * Split a promo's discount over the eligible items
+ * Percentages apply per item; fixed amounts are spread over the items in
+ * order, never more than an item's price.
+ * @param {Object} promo - PromoCode instance
+ * @param {Array<Object>} reservations - Eligible reservations (with drop)
+ * @param {string} currency - Order currency
+ * @returns {Map<number, number>} - reservation ID -> discount in minor units
+ */
+export const allocateDiscount = (promo, reservations, currency) => {
+    const discounts = new Map();
+    let remaining = toMinorUnits(promo.getDataValue('discount_value'), currency);
+    // A two-decimal percentage read as hundredths is a rate in basis points
+    const rateBps = toMinorUnits(promo.getDataValue('discount_value'));
+
+    for (const reservation of reservations) {
+        const price = reservation.drop.getPriceMinor() * reservation.quantity;
+
+        if (promo.discount_type === 'percentage') {
+            discounts.set(reservation.id, applyBasisPoints(price, rateBps));
+        } else {
+            const amount = Math.min(remaining, price);
+            discounts.set(reservation.id, amount);
+            remaining -= amount;
+        }
+    }
+
+    return discounts;
+};
+
+/**
+ * Validate a promo code for a checkout and reserve one redemption
+ * @param {Object} params
+ * @param {string} params.code - Promo code as entered
+ * @param {number} params.userId - Buyer
+ * @param {Object} params.order - Order being checked out
+ * @param {Array<Object>} params.reservations - Locked reservations (with drop)
+ * @param {string} params.currency - Order currency
+ * @param {Object} params.transaction - Sequelize transaction
+ * @returns {Promise<{ promo: Object, redemption: Object, discounts: Map<number, number> }>}
+ */
+export const applyPromoCode = async ({ code, userId, order, reservations, currency, transaction }) => {
+    // Lock the code so caps are checked and counted atomically
+    const promo = await PromoCode.findOne({
+        where: { code: String(code).trim().toUpperCase() },
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+    });
+
+    if (!promo || !promo.isRedeemable()) {
+        throw new AppError('Promo code is invalid or expired', 400);
+    }
+
+    const eligible = reservations.filter((r) => promo.appliesToDrop(r.drop_id));
+
+    if (eligible.length === 0 || (promo.discount_type === 'fixed' && promo.currency !== currency)) {
+        throw new AppError('Promo code does not apply to these items', 400);
+    }
+
+    if (promo.max_per_user !== null) {
+        const used = await PromoRedemption.count({
+            where: {
+                promo_code_id: promo.id,
+                user_id: userId,
+                status: ['reserved', 'redeemed'],
+            },
+            transaction,
+        });
+
+        if (used >= promo.max_per_user) {
+            throw new AppError('You have already used this promo code', 409);
+        }
+    }
+
+    const discounts = allocateDiscount(promo, eligible, currency);
+    const total = [...discounts.values()].reduce((sum, amount) => sum + amount, 0);
+
+    promo.redemption_count += 1;
+    await promo.save({ transaction });
+
+    const redemption = await PromoRedemption.create(
+        {
+            promo_code_id: promo.id,
+            user_id: userId,
+            order_id: order.id,
+            discount_amount: fromMinorUnits(total, currency),
+        },
+        { transaction }
+    );
+
+    return { promo, redemption, discounts };
+};
+
+/**
+ * Mark an order's reserved redemption as used (payment succeeded)
+ * @param {number} orderId - Order ID
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object|null>} - Redemption, if the order had one
+ */
+export const confirmPromoRedemption = async (orderId, transaction) => {
+    const redemption = await PromoRedemption.findOne({
+        where: { order_id: orderId, status: 'reserved' },
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+    });
+
+    if (redemption) {
+        redemption.status = 'redeemed';
+        await redemption.save({ transaction });
+    }
+
+    return redemption;
+};
+
+/**
+ * Give back an order's reserved redemption (payment failed)
+ * @param {number} orderId - Order ID
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Object|null>} - Redemption, if the order had one
+ */
+export const releasePromoRedemption = async (orderId, transaction) => {
+    const pending = await PromoRedemption.findOne({
+        where: { order_id: orderId, status: 'reserved' },
+        attributes: ['id', 'promo_code_id'],
+        transaction,
+    });
+
+    if (!pending) return null;
+
+    // Same lock order as checkout: promo code -> redemption
+    const promo = await PromoCode.findByPk(pending.promo_code_id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+    });
+
+    const redemption = await PromoRedemption.findByPk(pending.id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+    });
+
+    if (redemption.status !== 'reserved') return redemption;
+
+    redemption.status = 'released';
+    await redemption.save({ transaction });
+
+    if (promo) {
+        promo.redemption_count = Math.max(0, promo.redemption_count - 1);
+        await promo.save({ transaction });
+    }
+
+    return redemption;
+};
+
+export default {
+    allocateDiscount,
+    applyPromoCode,
+    confirmPromoRedemption,
+    releasePromoRedemption,
+};
\ No newline at end of file
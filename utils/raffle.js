@@ -0,0 +1,387 @@
+import crypto from 'crypto';
+import { Op, UniqueConstraintError } from 'sequelize';
+import {
+    Drop,
+    DropVariant,
+    RaffleDraw,
+    RaffleEntry,
+    Reservation,
+    User,
+    sequelize,
+} from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { sendMail } from './mailer.js';
+
+/**
+ * Raffle Draws
+ * Seeded, auditable winner selection for raffle-mode drops.
+ *
+ * Algorithm (hmac-sha256-rank-v1):
+ *   1. A random 32-byte seed is generated when the raffle is set up and only
+ *      its SHA-256 (seed_hash) is published until the draw.
+ *   2. At close, every entry gets score = HMAC-SHA256(seed, "<dropId>:<entryId>").
+ *   3. Entries are ranked by score ascending (entry ID breaks ties).
+ *   4. Walking the ranking, an entry wins while its size still has stock,
+ *      otherwise it becomes an alternate for that size.
+ * The seed, entries_hash and ranked results are stored so anyone can
+ * recompute steps 2-4.
+ */
+
+export const RAFFLE_ALGORITHM = 'hmac-sha256-rank-v1';
+
+/**
+ * How long a raffle winner has to complete the purchase (ms)
+ * @returns {number}
+ */
+export const getClaimDuration = () =>
+    parseInt(process.env.RAFFLE_CLAIM_DURATION) || 10 * 60 * 1000;
+
+/**
+ * SHA-256 hex digest
+ * @param {string} value
+ * @returns {string}
+ */
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Hash of the canonical (ascending) entry ID list
+ * @param {Array<number>} entryIds - Entry IDs
+ * @returns {string}
+ */
+export const hashEntries = (entryIds) => {
+    const canonical = [...entryIds].map(Number).sort((a, b) => a - b);
+    return sha256(canonical.join(','));
+};
+
+/**
+ * Rank entries deterministically from a seed
+ * @param {string} seed - Hex seed
+ * @param {number} dropId - Drop ID
+ * @param {Array<number>} entryIds - Entry IDs
+ * @returns {Array<number>} - Entry IDs in draw order
+ */
+export const rankEntries = (seed, dropId, entryIds) => {
+    return entryIds
+        .map((id) => ({
+            id: Number(id),
+            score: crypto.createHmac('sha256', seed).update(`${dropId}:${id}`).digest('hex'),
+        }))
+        .sort((a, b) => (a.score < b.score ? -1 : a.score > b.score ? 1 : a.id - b.id))
+        .map((e) => e.id);
+};
+
+/**
+ * Get the draw record for a drop, creating the seed commitment if missing
+ * Two callers can race to create it (the cron leader and an admin draw);
+ * the loser gets the unique constraint error and reads the winner's row.
+ * @param {number} dropId - Drop ID
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<Object>} - RaffleDraw instance
+ */
+export const getOrCreateDraw = async (dropId, transaction) => {
+    const existing = await RaffleDraw.findOne({
+        where: { drop_id: dropId },
+        transaction,
+    });
+
+    if (existing) return existing;
+
+    const seed = crypto.randomBytes(32).toString('hex');
+
+    try {
+        return await RaffleDraw.create(
+            {
+                drop_id: dropId,
+                status: 'pending',
+                algorithm: RAFFLE_ALGORITHM,
+                seed,
+                seed_hash: sha256(seed),
+            },
+            { transaction }
+        );
+    } catch (error) {
+        if (!(error instanceof UniqueConstraintError)) throw error;
+
+        // A locking read sees the other caller's committed row even inside
+        // a transaction whose snapshot predates it
+        return await RaffleDraw.findOne({
+            where: { drop_id: dropId },
+            transaction,
+            ...(transaction ? { lock: transaction.LOCK.UPDATE } : {}),
+        });
+    }
+};
+
+/**
+ * Take one unit of stock for a raffle winner and create their reservation
+ * @param {Object} params
+ * @returns {Promise<Object>} - Reservation instance
+ */
+const createWinnerReservation = async ({ entry, drop, variant, transaction }) => {
+    if (variant) {
+        variant.stock -= 1;
+        await variant.save({ transaction });
+    }
+    drop.stock -= 1;
+    await drop.save({ transaction });
+
+    return await Reservation.create(
+        {
+            user_id: entry.user_id,
+            drop_id: drop.id,
+            variant_id: variant ? variant.id : null,
+            status: 'active',
+            expires_at: new Date(Date.now() + getClaimDuration()),
+        },
+        { transaction }
+    );
+};
+
+/**
+ * Run the draw for a raffle drop
+ * @param {number} dropId - Drop ID
+ * @returns {Promise<{ draw: Object, drop: Object, winners: Array }>}
+ */
+export const drawRaffle = async (dropId) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        await getOrCreateDraw(dropId, transaction);
+
+        // Lock order: draw -> drop -> variants -> entries
+        const draw = await RaffleDraw.findOne({
+            where: { drop_id: dropId },
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+
+        if (draw.status === 'drawn') {
+            throw new AppError('Raffle has already been drawn', 409);
+        }
+
+        const drop = await Drop.findByPk(dropId, {
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+
+        if (!drop) {
+            throw new AppError('Drop not found', 404);
+        }
+
+        if (!drop.isRaffle()) {
+            throw new AppError('Drop is not a raffle', 400);
+        }
+
+        if (new Date() < new Date(drop.entry_end_time)) {
+            throw new AppError('Raffle entry window is still open', 400);
+        }
+
+        const variants = await DropVariant.findAll({
+            where: { drop_id: dropId },
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+        const variantsById = new Map(variants.map((v) => [v.id, v]));
+
+        const entries = await RaffleEntry.findAll({
+            where: { drop_id: dropId, status: 'entered' },
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+        const entriesById = new Map(entries.map((e) => [e.id, e]));
+        const entryIds = entries.map((e) => e.id);
+
+        const ranking = rankEntries(draw.seed, dropId, entryIds);
+        const results = [];
+        const winners = [];
+
+        for (const [index, entryId] of ranking.entries()) {
+            const entry = entriesById.get(entryId);
+            const variant = entry.variant_id ? variantsById.get(entry.variant_id) : null;
+            const available = variants.length > 0
+                ? Boolean(variant) && variant.stock > 0
+                : drop.stock > 0;
+
+            entry.draw_position = index + 1;
+
+            if (available) {
+                const reservation = await createWinnerReservation({ entry, drop, variant, transaction });
+                entry.status = 'won';
+                entry.reservation_id = reservation.id;
+                winners.push({ entry, reservation });
+            } else {
+                entry.status = 'alternate';
+            }
+
+            await entry.save({ transaction });
+
+            results.push({
+                entry_id: entry.id,
+                position: entry.draw_position,
+                variant_id: entry.variant_id,
+                outcome: entry.status,
+            });
+        }
+
+        draw.status = 'drawn';
+        draw.entries_hash = hashEntries(entryIds);
+        draw.entry_count = entryIds.length;
+        draw.winner_count = winners.length;
+        draw.results = results;
+        draw.drawn_at = new Date();
+        await draw.save({ transaction });
+
+        await transaction.commit();
+
+        console.log(`🎟️  Raffle for Drop #${dropId} drawn: ${winners.length} winners from ${entryIds.length} entries`);
+
+        return { draw, drop, winners };
+    } catch (error) {
+        if (!transaction.finished) {
+            await transaction.rollback();
+        }
+        throw error;
+    }
+};
+
+/**
+ * Recompute a stored draw and check it against the published record
+ * @param {Object} draw - RaffleDraw instance (drawn)
+ * @returns {{ valid: boolean, checks: Object }}
+ */
+export const verifyDraw = (draw) => {
+    const results = draw.results || [];
+    const entryIds = results.map((r) => r.entry_id);
+    const storedOrder = [...results]
+        .sort((a, b) => a.position - b.position)
+        .map((r) => r.entry_id);
+    const recomputed = rankEntries(draw.seed, draw.drop_id, entryIds);
+
+    const checks = {
+        seed_hash: sha256(draw.seed) === draw.seed_hash,
+        entries_hash: hashEntries(entryIds) === draw.entries_hash,
+        ranking: recomputed.length === storedOrder.length
+            && recomputed.every((id, i) => id === storedOrder[i]),
+    };
+
+    return {
+        valid: Object.values(checks).every(Boolean),
+        checks,
+    };
+};
+
+/**
+ * Hand a forfeited raffle slot to the next alternate for the same size.
+ * Call inside the transaction that expires/cancels the winner's reservation;
+ * when an alternate is promoted the unit stays reserved (no stock return).
+ * @param {Object} reservation - Reservation being released
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<{ entry: Object, reservation: Object }|null>} - Promotion, or null
+ */
+export const promoteRaffleAlternate = async (reservation, transaction) => {
+    const winnerEntry = await RaffleEntry.findOne({
+        where: { reservation_id: reservation.id, status: 'won' },
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+    });
+
+    if (!winnerEntry) return null;
+
+    winnerEntry.status = 'forfeited';
+    await winnerEntry.save({ transaction });
+
+    const alternate = await RaffleEntry.findOne({
+        where: {
+            drop_id: reservation.drop_id,
+            variant_id: reservation.variant_id,
+            status: 'alternate',
+        },
+        order: [['draw_position', 'ASC']],
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+    });
+
+    if (!alternate) return null;
+
+    const nextReservation = await Reservation.create(
+        {
+            user_id: alternate.user_id,
+            drop_id: reservation.drop_id,
+            variant_id: reservation.variant_id,
+            status: 'active',
+            expires_at: new Date(Date.now() + getClaimDuration()),
+        },
+        { transaction }
+    );
+
+    alternate.status = 'won';
+    alternate.reservation_id = nextReservation.id;
+    await alternate.save({ transaction });
+
+    console.log(`  ↳ Raffle slot of Reservation #${reservation.id} passed to alternate entry #${alternate.id}`);
+
+    return { entry: alternate, reservation: nextReservation };
+};
+
+/**
+ * Email a raffle winner (best effort)
+ * @param {Object} entry - Winning RaffleEntry
+ * @param {Object} reservation - Winner's reservation
+ * @param {Object} drop - Drop instance
+ * @returns {Promise<void>}
+ */
+export const notifyRaffleWinner = async (entry, reservation, drop) => {
+    try {
+        const user = await User.findByPk(entry.user_id);
+        if (!user) return;
+
+        await sendMail({
+            to: user.email,
+            subject: `You won the ${drop.name} raffle`,
+            text: `Hi ${user.username},\n\nYou were drawn in the ${drop.name} raffle. Complete your purchase before ${new Date(reservation.expires_at).toISOString()} using reservation #${reservation.id}.\n`,
+        });
+    } catch (error) {
+        console.error(`Failed to notify raffle winner (entry #${entry.id}):`, error.message);
+    }
+};
+
+/**
+ * Find raffle drops whose entry window has closed but haven't been drawn
+ * @returns {Promise<Array<number>>} - Drop IDs
+ */
+export const findDueRaffles = async () => {
+    const drops = await Drop.findAll({
+        where: {
+            mode: 'raffle',
+            entry_end_time: {
+                [Op.lte]: new Date(),
+            },
+        },
+        attributes: ['id'],
+        include: [
+            {
+                model: RaffleDraw,
+                as: 'raffleDraw',
+                attributes: ['status'],
+                required: false,
+            },
+        ],
+    });
+
+    return drops
+        .filter((drop) => !drop.raffleDraw || drop.raffleDraw.status !== 'drawn')
+        .map((drop) => drop.id);
+};
+
+export default {
+    RAFFLE_ALGORITHM,
+    getClaimDuration,
+    hashEntries,
+    rankEntries,
+    getOrCreateDraw,
+    drawRaffle,
+    verifyDraw,
+    promoteRaffleAlternate,
+    notifyRaffleWinner,
+    findDueRaffles,
+};
\ No newline at end of file
@@ -0,0 +1,311 @@
+import {
+    Refund,
+    Purchase,
+    Order,
+    Payment,
+    sequelize,
+} from '../models/index.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { restockPurchases, transitionOrder } from './orders.js';
+import { getPaymentProvider } from './paymentProviders.js';
+import { fromMinorUnits, toMinorUnits } from './money.js';
+
+/**
+ * Refunds
+ * Refund/return requests against purchases. Admin approval returns the money
+ * through the order's payment provider and can restock the unit.
+ */
+
+/**
+ * Orders whose purchases can be refunded
+ */
+export const REFUNDABLE_ORDER_STATUSES = ['paid', 'shipped', 'delivered'];
+
+/**
+ * Resolve a refund amount against what is left on a purchase
+ * @param {Object} purchase - Locked purchase
+ * @param {number|string|null} [amount] - Decimal amount; defaults to everything refundable
+ * @returns {number} - Amount in minor units of the purchase currency
+ */
+const resolveRefundMinor = (purchase, amount) => {
+    const refundable = purchase.getRefundableMinor();
+    const requested = amount === undefined || amount === null
+        ? refundable
+        : toMinorUnits(amount, purchase.currency);
+
+    if (requested > refundable) {
+        throw new AppError(
+            `Refund amount cannot exceed ${fromMinorUnits(refundable, purchase.currency)} ${purchase.currency}`,
+            400
+        );
+    }
+
+    return requested;
+};
+
+/**
+ * Open a refund request for one of the user's purchases
+ * @param {Object} params
+ * @param {number} params.purchaseId - Purchase ID
+ * @param {number} params.userId - Owner
+ * @param {number} [params.amount] - Partial amount; defaults to everything refundable
+ * @param {string} [params.reason] - Customer reason
+ * @param {boolean} [params.isReturn] - Customer is sending the item back
+ * @returns {Promise<Object>} - Refund instance
+ */
+export const requestRefund = async ({ purchaseId, userId, amount, reason, isReturn = false }) => {
+    return await sequelize.transaction(async (transaction) => {
+        const purchase = await Purchase.findOne({
+            where: { id: purchaseId, user_id: userId },
+            include: [{ model: Order, as: 'order', attributes: ['id', 'status'] }],
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+
+        if (!purchase) {
+            throw new AppError('Purchase not found', 404);
+        }
+
+        if (purchase.order && !REFUNDABLE_ORDER_STATUSES.includes(purchase.order.status)) {
+            throw new AppError(`Orders that are '${purchase.order.status}' can't be refunded`, 409);
+        }
+
+        const open = await Refund.count({
+            where: { purchase_id: purchase.id, status: ['requested', 'processing'] },
+            transaction,
+        });
+
+        if (open > 0) {
+            throw new AppError('A refund request for this purchase is already pending', 409);
+        }
+
+        if (purchase.getRefundableMinor() <= 0) {
+            throw new AppError('Purchase has already been fully refunded', 409);
+        }
+
+        const requested = resolveRefundMinor(purchase, amount);
+
+        return await Refund.create(
+            {
+                purchase_id: purchase.id,
+                user_id: userId,
+                amount: fromMinorUnits(requested, purchase.currency),
+                reason: reason || null,
+                is_return: Boolean(isReturn),
+            },
+            { transaction }
+        );
+    });
+};
+
+/**
+ * Approve a refund request
+ * Runs in three steps so no row lock is held while the gateway is called:
+ *   1. lock the refund, settle the amount and mark it `processing`
+ *   2. return the money through the order's payment provider
+ *   3. record the refund, restock and move the order, in a second transaction
+ * A gateway failure puts the refund back to `requested`. If step 3 fails the
+ * refund stays `processing` with the gateway reference logged, so it can be
+ * reconciled instead of paid out twice.
+ * Lock order: refund -> order -> purchase -> drop -> variant.
+ * @param {Object} params
+ * @param {number} params.refundId - Refund ID
+ * @param {Object} params.reviewer - Admin user
+ * @param {number} [params.amount] - Override the requested amount (partial refund)
+ * @param {boolean} [params.restock] - Put the unit back into stock; defaults to is_return
+ * @param {string} [params.note] - Review note
+ * @returns {Promise<{ refund: Object, purchase: Object, order: Object|null, change: Object|null, restockedDropIds: Array<number> }>}
+ */
+export const approveRefund = async ({ refundId, reviewer, amount, restock, note }) => {
+    const { refund, payment, finalAmount, currency } = await sequelize.transaction(async (transaction) => {
+        const refund = await Refund.findByPk(refundId, {
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+
+        if (!refund) {
+            throw new AppError('Refund not found', 404);
+        }
+
+        if (refund.status === 'processing') {
+            throw new AppError('Refund is already being processed', 409);
+        }
+
+        if (refund.status !== 'requested') {
+            throw new AppError(`Refund has already been ${refund.status}`, 409);
+        }
+
+        const { order_id: orderId } = await Purchase.findByPk(refund.purchase_id, {
+            attributes: ['order_id'],
+            transaction,
+        });
+
+        const order = orderId
+            ? await Order.findByPk(orderId, { transaction, lock: transaction.LOCK.UPDATE })
+            : null;
+
+        const purchase = await Purchase.findByPk(refund.purchase_id, {
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+
+        const { currency } = purchase;
+        const finalMinor = resolveRefundMinor(
+            purchase,
+            amount === undefined || amount === null ? refund.getDataValue('amount') : amount
+        );
+        const finalAmount = fromMinorUnits(finalMinor, currency);
+
+        const payment = order
+            ? await Payment.findOne({
+                where: { order_id: order.id, status: 'succeeded' },
+                transaction,
+            })
+            : null;
+
+        if (payment && !getPaymentProvider(payment.provider)) {
+            throw new AppError(`Payment provider '${payment.provider}' is not available`, 500);
+        }
+
+        refund.status = 'processing';
+        refund.amount = finalAmount;
+        refund.reviewed_by = reviewer.id;
+        refund.review_note = note || null;
+        refund.reviewed_at = new Date();
+        await refund.save({ transaction });
+
+        return { refund, payment, finalAmount, currency };
+    });
+
+    // Outside any transaction: a slow gateway holds no locks
+    let providerRef = null;
+
+    if (payment) {
+        try {
+            const provider = getPaymentProvider(payment.provider);
+            ({ ref: providerRef } = await provider.refund(payment.provider_ref, {
+                amount: finalAmount,
+                currency,
+            }));
+        } catch (error) {
+            await Refund.update(
+                { status: 'requested', reviewed_by: null, review_note: null, reviewed_at: null },
+                { where: { id: refund.id, status: 'processing' } }
+            );
+            throw new AppError(`Payment provider refused the refund: ${error.message}`, 502);
+        }
+    }
+
+    try {
+        return await sequelize.transaction(async (transaction) => {
+            const locked = await Refund.findByPk(refund.id, {
+                transaction,
+                lock: transaction.LOCK.UPDATE,
+            });
+
+            const { order_id: orderId } = await Purchase.findByPk(locked.purchase_id, {
+                attributes: ['order_id'],
+                transaction,
+            });
+
+            const order = orderId
+                ? await Order.findByPk(orderId, { transaction, lock: transaction.LOCK.UPDATE })
+                : null;
+
+            const purchase = await Purchase.findByPk(locked.purchase_id, {
+                transaction,
+                lock: transaction.LOCK.UPDATE,
+            });
+
+            purchase.refunded_amount = fromMinorUnits(
+                toMinorUnits(purchase.getDataValue('refunded_amount'), currency)
+                    + toMinorUnits(finalAmount, currency),
+                currency
+            );
+            await purchase.save({ transaction });
+
+            let restockedDropIds = [];
+            const shouldRestock = restock === undefined || restock === null ? locked.is_return : restock;
+
+            if (shouldRestock) {
+                const { dropIds, units } = await restockPurchases([purchase], transaction);
+                restockedDropIds = dropIds;
+                locked.restocked = units > 0;
+            }
+
+            // The order becomes refunded once every purchase in it is fully refunded
+            let change = null;
+
+            if (order && order.canTransitionTo('refunded')) {
+                const purchases = await Purchase.findAll({
+                    where: { order_id: order.id },
+                    transaction,
+                });
+
+                if (purchases.every((p) => p.getRefundableMinor() <= 0)) {
+                    ({ change } = await transitionOrder(order, 'refunded', {
+                        changedBy: reviewer.id,
+                        note: `Refund #${locked.id}`,
+                        transaction,
+                    }));
+                }
+            }
+
+            locked.status = 'approved';
+            locked.provider_ref = providerRef;
+            await locked.save({ transaction });
+
+            return { refund: locked, purchase, order, change, restockedDropIds };
+        });
+    } catch (error) {
+        console.error(
+            `❌ Refund #${refund.id} was paid out (${providerRef || 'no gateway refund'}) but not recorded; it stays 'processing':`,
+            error.message
+        );
+        throw error;
+    }
+};
+
+/**
+ * Reject a refund request
+ * @param {Object} params
+ * @param {number} params.refundId - Refund ID
+ * @param {Object} params.reviewer - Admin user
+ * @param {string} [params.note] - Review note
+ * @returns {Promise<Object>} - Refund instance
+ */
+export const rejectRefund = async ({ refundId, reviewer, note }) => {
+    return await sequelize.transaction(async (transaction) => {
+        const refund = await Refund.findByPk(refundId, {
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+
+        if (!refund) {
+            throw new AppError('Refund not found', 404);
+        }
+
+        if (refund.status === 'processing') {
+            throw new AppError('Refund is already being processed', 409);
+        }
+
+        if (refund.status !== 'requested') {
+            throw new AppError(`Refund has already been ${refund.status}`, 409);
+        }
+
+        refund.status = 'rejected';
+        refund.reviewed_by = reviewer.id;
+        refund.review_note = note || null;
+        refund.reviewed_at = new Date();
+        await refund.save({ transaction });
+
+        return refund;
+    });
+};
+
+export default {
+    REFUNDABLE_ORDER_STATUSES,
+    requestRefund,
+    approveRefund,
+    rejectRefund,
+};
\ No newline at end of file
@@ -0,0 +1,367 @@
+import { Transaction } from 'sequelize';
+import {
+    Reservation,
+    Drop,
+    DropVariant,
+    sequelize,
+} from '../models/index.js';
+import { notifyRaffleWinner, promoteRaffleAlternate } from './raffle.js';
+import {
+    emitReservationCountdown,
+    emitReservationExpiring,
+    emitReservationUpdated,
+    publishDropEvent,
+    publishStockUpdate,
+} from './events.js';
+
+/**
+ * Reservations
+ * Releasing held reservations back to stock. Shared by the expiry timers,
+ * the expiry cron and failed payments so all return inventory the same way.
+ *
+ * Each active reservation gets an in-process timer for its expires_at. The
+ * timers are rebuilt from the database on startup; the expiry cron is the
+ * safety net for anything a timer missed (e.g. a reservation made on
+ * another instance). Holders get the expiry on their private socket room
+ * when a timer is armed, and a warning shortly before it runs out.
+ */
+
+// Fire just after expires_at so isExpired() agrees
+const EXPIRY_GRACE_MS = 50;
+
+// setTimeout overflows above this; longer holds are left to the cron
+const MAX_TIMER_DELAY_MS = 2147483647;
+
+/**
+ * Seconds before expiry that the holder is warned (default 15)
+ * @returns {number}
+ */
+const getWarningLeadTime = () => {
+    const seconds = parseInt(process.env.RESERVATION_WARNING_SECONDS, 10);
+    return (Number.isNaN(seconds) ? 15 : seconds) * 1000;
+};
+
+const expiryTimers = new Map();
+const warningTimers = new Map();
+let expiryIo = null;
+let timersStarted = false;
+
+/**
+ * Expire reservations and return their units to stock
+ * Callers lock the reservations inside `transaction` first; drops and
+ * variants are locked here afterwards (lock order: reservation -> drop -> variant).
+ * Raffle slots pass to the next alternate instead of returning to stock.
+ * @param {Array<Object>} reservations - Locked active reservations
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<{ reservations: Array<Object>, drops: Array<{ drop: Object, stockReturned: number }>, promotions: Array<Object> }>}
+ */
+export const releaseReservations = async (reservations, transaction) => {
+    // Group by drop_id / variant_id to batch stock updates
+    const dropStockUpdates = {};
+    const variantStockUpdates = {};
+    const promotions = [];
+
+    for (const reservation of reservations) {
+        // Mark reservation as expired
+        reservation.status = 'expired';
+        await reservation.save({ transaction });
+
+        // Raffle slots pass to the next alternate instead of returning to stock
+        const promotion = await promoteRaffleAlternate(reservation, transaction);
+        if (promotion) {
+            promotions.push(promotion);
+            continue;
+        }
+
+        // Accumulate stock to return
+        if (!dropStockUpdates[reservation.drop_id]) {
+            dropStockUpdates[reservation.drop_id] = 0;
+        }
+        dropStockUpdates[reservation.drop_id] += reservation.quantity;
+
+        if (reservation.variant_id) {
+            if (!variantStockUpdates[reservation.variant_id]) {
+                variantStockUpdates[reservation.variant_id] = 0;
+            }
+            variantStockUpdates[reservation.variant_id] += reservation.quantity;
+        }
+
+        console.log(`  ↳ Reservation #${reservation.id} released (Drop #${reservation.drop_id}, ${reservation.quantity} units)`);
+    }
+
+    const drops = [];
+
+    // Update stock for each drop
+    for (const [dropId, stockToReturn] of Object.entries(dropStockUpdates)) {
+        const drop = await Drop.findByPk(dropId, {
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+
+        if (!drop) continue;
+
+        const oldStock = drop.stock;
+        drop.stock += stockToReturn;
+        await drop.save({ transaction });
+
+        console.log(`  ✅ Drop #${dropId}: Stock ${oldStock} → ${drop.stock} (+${stockToReturn})`);
+
+        // Return stock to variants of this drop (lock order: drop -> variant)
+        const variants = await DropVariant.findAll({
+            where: {
+                drop_id: drop.id,
+                id: Object.keys(variantStockUpdates),
+            },
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+
+        for (const variant of variants) {
+            variant.stock += variantStockUpdates[variant.id];
+            await variant.save({ transaction });
+        }
+
+        drops.push({ drop, stockReturned: stockToReturn });
+    }
+
+    return { reservations, drops, promotions };
+};
+
+/**
+ * Announce released stock and promoted raffle alternates (call after commit)
+ * @param {Object} io - Socket.IO instance (optional)
+ * @param {Object} released - Result of releaseReservations
+ * @param {string} reason - Why the stock came back (e.g. 'reservation_expired')
+ */
+export const publishRelease = async (io, { reservations = [], drops, promotions }, reason) => {
+    for (const reservation of reservations) {
+        clearReservationExpiry(reservation.id);
+    }
+
+    if (io) {
+        // Each holder hears about their own reservation
+        for (const reservation of reservations) {
+            emitReservationUpdated(io, reservation.user_id, {
+                reservationId: reservation.id,
+                dropId: reservation.drop_id,
+                variantId: reservation.variant_id,
+                status: reservation.status,
+                reason,
+            });
+        }
+
+        for (const { drop, stockReturned } of drops) {
+            await publishStockUpdate(io, drop, { reason });
+
+            publishDropEvent(io, drop.id, 'reservationExpired', {
+                stockReturned,
+                reason,
+            });
+        }
+    }
+
+    // Tell promoted raffle alternates they can now buy
+    for (const { entry, reservation } of promotions) {
+        scheduleReservationExpiry(reservation);
+
+        const drop = await Drop.findByPk(reservation.drop_id);
+        if (!drop) continue;
+
+        await notifyRaffleWinner(entry, reservation, drop);
+
+        if (io) {
+            publishDropEvent(io, drop.id, 'raffleAlternatePromoted', {
+                drawPosition: entry.draw_position,
+            });
+        }
+    }
+};
+
+/**
+ * Keep reservations held until at least `until`
+ * Used while their order waits for payment, so a capture doesn't arrive
+ * after the stock was handed back. Callers lock the reservations inside
+ * `transaction` first and re-arm their timers after commit.
+ * @param {Array<Object>} reservations - Locked active reservations
+ * @param {Date} until - Earliest time they may expire
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<Array<Object>>} - Reservations whose expiry moved
+ */
+export const holdReservationsUntil = async (reservations, until, transaction) => {
+    const held = [];
+
+    for (const reservation of reservations) {
+        if (new Date(reservation.expires_at) >= new Date(until)) continue;
+
+        reservation.expires_at = until;
+        await reservation.save({ transaction });
+        held.push(reservation);
+    }
+
+    return held;
+};
+
+/**
+ * Stop the expiry and warning timers of a reservation
+ * @param {number} reservationId - Reservation ID
+ */
+export const clearReservationExpiry = (reservationId) => {
+    for (const timers of [expiryTimers, warningTimers]) {
+        const timer = timers.get(reservationId);
+
+        if (timer) {
+            clearTimeout(timer);
+            timers.delete(reservationId);
+        }
+    }
+};
+
+/**
+ * Warn the holder if the reservation is still active with the same expiry
+ * @param {number} reservationId - Reservation ID
+ * @param {Date} expiresAt - Expiry the warning was armed for
+ * @returns {Promise<void>}
+ */
+const warnReservationExpiring = async (reservationId, expiresAt) => {
+    try {
+        const reservation = await Reservation.findByPk(reservationId);
+
+        if (!reservation || reservation.status !== 'active') return;
+        if (new Date(reservation.expires_at).getTime() !== new Date(expiresAt).getTime()) return;
+
+        emitReservationExpiring(expiryIo, reservation.user_id, {
+            reservationId: reservation.id,
+            dropId: reservation.drop_id,
+            expiresAt: reservation.expires_at,
+            remainingSeconds: reservation.getRemainingTime(),
+        });
+    } catch (error) {
+        console.error(`❌ Error warning about reservation #${reservationId}:`, error.message);
+    }
+};
+
+/**
+ * Arm (or re-arm) the expiry timer of an active reservation
+ * Call after the transaction that created or extended it commits. A no-op
+ * until startReservationTimers has run. Also pushes the expiry to the
+ * holder and arms the expiry warning.
+ * @param {Object} reservation - Reservation with id, user_id, drop_id and expires_at
+ */
+export const scheduleReservationExpiry = (reservation) => {
+    if (!timersStarted) return;
+
+    clearReservationExpiry(reservation.id);
+
+    const delay = Math.max(0, new Date(reservation.expires_at) - Date.now()) + EXPIRY_GRACE_MS;
+
+    if (delay > MAX_TIMER_DELAY_MS) return;
+
+    const timer = setTimeout(() => {
+        expiryTimers.delete(reservation.id);
+        expireReservation(expiryIo, reservation.id);
+    }, delay);
+
+    // Pending expiries shouldn't keep the process alive on shutdown
+    timer.unref();
+    expiryTimers.set(reservation.id, timer);
+
+    if (!expiryIo) return;
+
+    emitReservationCountdown(expiryIo, reservation.user_id, {
+        reservationId: reservation.id,
+        dropId: reservation.drop_id,
+        expiresAt: reservation.expires_at,
+        remainingSeconds: reservation.getRemainingTime(),
+    });
+
+    const warningDelay = new Date(reservation.expires_at) - Date.now() - getWarningLeadTime();
+
+    if (warningDelay > 0) {
+        const warning = setTimeout(() => {
+            warningTimers.delete(reservation.id);
+            warnReservationExpiring(reservation.id, reservation.expires_at);
+        }, warningDelay);
+
+        warning.unref();
+        warningTimers.set(reservation.id, warning);
+    }
+};
+
+/**
+ * Expire one reservation if it is still active and past expires_at
+ * Safe to race with the cron, checkout or another instance: the
+ * reservation row is locked and re-checked first.
+ * @param {Object} io - Socket.IO instance (optional)
+ * @param {number} reservationId - Reservation ID
+ * @returns {Promise<boolean>} - Whether the reservation was released
+ */
+export const expireReservation = async (io, reservationId) => {
+    const transaction = await sequelize.transaction({
+        isolationLevel: Transaction.ISOLATION_LEVELS.READ_COMMITTED,
+    });
+
+    try {
+        const reservation = await Reservation.findByPk(reservationId, {
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+
+        if (!reservation || reservation.status !== 'active') {
+            await transaction.commit();
+            return false;
+        }
+
+        // Extended since the timer was armed
+        if (!reservation.isExpired()) {
+            await transaction.commit();
+            scheduleReservationExpiry(reservation);
+            return false;
+        }
+
+        const released = await releaseReservations([reservation], transaction);
+
+        await transaction.commit();
+        console.log(`⏱️  Reservation #${reservation.id} expired on time`);
+
+        await publishRelease(io, released, 'reservation_expired');
+        return true;
+    } catch (error) {
+        if (!transaction.finished) {
+            await transaction.rollback();
+        }
+        console.error(`❌ Error expiring reservation #${reservationId}:`, error.message);
+        return false;
+    }
+};
+
+/**
+ * Start the expiry timers and arm one for every active reservation
+ * @param {Object} io - Socket.IO instance
+ * @returns {Promise<number>} - Number of timers armed
+ */
+export const startReservationTimers = async (io) => {
+    expiryIo = io;
+    timersStarted = true;
+
+    const active = await Reservation.findAll({
+        where: { status: 'active' },
+        attributes: ['id', 'user_id', 'drop_id', 'expires_at'],
+    });
+
+    for (const reservation of active) {
+        scheduleReservationExpiry(reservation);
+    }
+
+    console.log(`⏱️  Armed expiry timers for ${active.length} active reservations`);
+    return active.length;
+};
+
+export default {
+    releaseReservations,
+    publishRelease,
+    holdReservationsUntil,
+    clearReservationExpiry,
+    scheduleReservationExpiry,
+    expireReservation,
+    startReservationTimers,
+};
\ No newline at end of file
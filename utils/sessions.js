@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import { Session, sequelize } from '../models/index.js';
+import { generateToken } from '../middleware/auth.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+/**
+ * Session Management
+ * Issues short-lived access tokens backed by rotating refresh tokens
+ */
+
+/**
+ * Refresh token lifetime in milliseconds (default 30 days)
+ * @returns {number}
+ */
+const getRefreshTokenDuration = () =>
+    parseInt(process.env.REFRESH_TOKEN_DURATION) || 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Hash a refresh token for storage/lookup
+ * @param {string} token - Raw refresh token
+ * @returns {string} - SHA-256 hex digest
+ */
+export const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Create a session row and issue an access/refresh token pair
+ * @param {Object} user - User instance
+ * @param {Object} options - Session options
+ * @param {string} [options.familyId] - Existing token family (on rotation)
+ * @param {Object} [options.req] - Express request (for user agent / IP)
+ * @param {Object} [options.transaction] - Sequelize transaction
+ * @returns {Promise<{ token: string, refreshToken: string, session: Object }>}
+ */
+export const issueTokens = async (user, { familyId, req, transaction } = {}) => {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+
+    const session = await Session.create(
+        {
+            user_id: user.id,
+            family_id: familyId || crypto.randomUUID(),
+            token_hash: hashToken(refreshToken),
+            expires_at: new Date(Date.now() + getRefreshTokenDuration()),
+            user_agent: req?.headers['user-agent']?.slice(0, 255) || null,
+            ip_address: req?.ip || null,
+        },
+        { transaction }
+    );
+
+    const token = generateToken({ id: user.id, email: user.email, sid: session.id });
+
+    return { token, refreshToken, session };
+};
+
+/**
+ * Revoke every session in a token family
+ * @param {string} familyId - Token family ID
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+export const revokeFamily = async (familyId, transaction) => {
+    const [count] = await Session.update(
+        { revoked_at: new Date() },
+        {
+            where: { family_id: familyId, revoked_at: null },
+            transaction,
+        }
+    );
+    return count;
+};
+
+/**
+ * Revoke every session belonging to a user (log out all devices)
+ * @param {number} userId - User ID
+ * @param {Object} [transaction] - Sequelize transaction
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+export const revokeAllForUser = async (userId, transaction) => {
+    const [count] = await Session.update(
+        { revoked_at: new Date() },
+        {
+            where: { user_id: userId, revoked_at: null },
+            transaction,
+        }
+    );
+    return count;
+};
+
+/**
+ * Rotate a refresh token
+ * Presenting an already-rotated token is treated as theft and
+ * invalidates the whole token family.
+ * @param {string} refreshToken - Raw refresh token
+ * @param {Object} [req] - Express request
+ * @returns {Promise<{ token: string, refreshToken: string, session: Object, user: Object }>}
+ */
+export const rotateRefreshToken = async (refreshToken, req) => {
+    const transaction = await sequelize.transaction();
+
+    try {
+        const session = await Session.findOne({
+            where: { token_hash: hashToken(refreshToken) },
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+
+        if (!session || session.isRevoked()) {
+            throw new AppError('Invalid refresh token', 401);
+        }
+
+        if (session.rotated_at) {
+            await revokeFamily(session.family_id, transaction);
+            await transaction.commit();
+            console.warn(`⚠️  Refresh token reuse detected for user #${session.user_id} (family ${session.family_id})`);
+            throw new AppError('Refresh token reuse detected. Please login again.', 401);
+        }
+
+        if (session.isExpired()) {
+            throw new AppError('Refresh token expired. Please login again.', 401);
+        }
+
+        const user = await session.getUser({ transaction });
+
+        if (!user) {
+            throw new AppError('User not found', 401);
+        }
+
+        session.rotated_at = new Date();
+        await session.save({ transaction });
+
+        const issued = await issueTokens(user, {
+            familyId: session.family_id,
+            req,
+            transaction,
+        });
+
+        await transaction.commit();
+
+        return { ...issued, user };
+    } catch (error) {
+        if (!transaction.finished) {
+            await transaction.rollback();
+        }
+        throw error;
+    }
+};
+
+/**
+ * Remove sessions whose refresh token has expired
+ * @returns {Promise<number>} - Number of sessions removed
+ */
+export const purgeExpiredSessions = async () => {
+    return await Session.destroy({
+        where: {
+            expires_at: {
+                [Op.lt]: new Date(),
+            },
+        },
+    });
+};
+
+export default {
+    hashToken,
+    issueTokens,
+    revokeFamily,
+    revokeAllForUser,
+    rotateRefreshToken,
+    purgeExpiredSessions,
+};
\ No newline at end of file
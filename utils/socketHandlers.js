@@ -1,36 +1,166 @@
+import { verifyAccessToken } from '../middleware/auth.js';
+import {
+    CATALOG_ROOM,
+    EVENT_EPOCH,
+    dropRoom,
+    getDropEventsSince,
+    getDropSequence,
+    userRoom,
+} from './events.js';
+import { clearSocketPresence, trackDropPresence, untrackDropPresence } from './presence.js';
+
 /**
  * Socket.IO Event Handlers
  * Manages real-time WebSocket connections and events
+ *
+ * Sockets may connect anonymously and follow public rooms. A socket that
+ * sends an access token in the handshake is also put in its private
+ * `user_<id>` room. Clients subscribe to the drops they
+ * are looking at (`joinDrop`) and, on list pages, to the catalog room
+ * (`joinCatalog`). Events are published through utils/events.js.
+ */
+
+/**
+ * Read the access token from the handshake
+ * Clients send `auth: { token }`; an `Authorization: Bearer` header also works.
+ * @param {Object} handshake - socket.handshake
+ * @returns {string|null}
  */
+const getHandshakeToken = (handshake) => {
+    if (handshake.auth && handshake.auth.token) {
+        return handshake.auth.token;
+    }
+
+    const header = handshake.headers && handshake.headers.authorization;
+    if (header && header.startsWith('Bearer ')) {
+        return header.split(' ')[1];
+    }
+
+    return null;
+};
+
+/**
+ * Handshake middleware: identify the user behind a socket
+ * Sockets without a token connect anonymously (public rooms only); a token
+ * that is invalid, expired or revoked is rejected.
+ * @param {Object} socket - Connecting socket
+ * @param {Function} next - Socket.IO middleware callback
+ */
+export const authenticateSocket = async (socket, next) => {
+    const token = getHandshakeToken(socket.handshake);
+
+    if (!token) {
+        socket.data.userId = null;
+        return next();
+    }
+
+    try {
+        const decoded = await verifyAccessToken(token);
+
+        if (!decoded) {
+            return next(new Error('Session revoked. Please login again.'));
+        }
+
+        socket.data.userId = decoded.id;
+        next();
+    } catch (error) {
+        next(new Error(error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'));
+    }
+};
 
 /**
  * Initialize Socket.IO event handlers
  * @param {Object} io - Socket.IO server instance
  */
 export const initializeSocketHandlers = (io) => {
+    io.use(authenticateSocket);
+
     io.on('connection', (socket) => {
-        console.log(`✅ Client connected: ${socket.id}`);
+        const { userId } = socket.data;
+        console.log(`✅ Client connected: ${socket.id} (${userId ? `user #${userId}` : 'anonymous'})`);
+
+        // Private channel for this user's reservations, payments and orders
+        if (userId) {
+            socket.join(userRoom(userId));
+            socket.emit('joinedUser', {
+                userId,
+                message: 'Subscribed to your private updates',
+            });
+        }
 
         /**
          * Client joins a drop room to receive updates
          */
         socket.on('joinDrop', (dropId) => {
-            const roomName = `drop_${dropId}`;
+            if (!(parseInt(dropId, 10) > 0)) {
+                socket.emit('error', { message: 'Invalid drop ID', dropId });
+                return;
+            }
+
+            const roomName = dropRoom(parseInt(dropId, 10));
             socket.join(roomName);
+            const watching = trackDropPresence(io, socket, dropId);
             console.log(`📍 Socket ${socket.id} joined room: ${roomName}`);
 
             socket.emit('joinedDrop', {
                 dropId,
+                seq: getDropSequence(dropId),
+                epoch: EVENT_EPOCH,
+                watching,
                 message: `Subscribed to updates for drop ${dropId}`,
             });
         });
 
+        /**
+         * Client reconnects to a drop and catches up from the last seq it saw
+         * Rejoins the room first, then replays the missed events in order
+         * (both in the same tick, so nothing falls in between). If they are
+         * no longer buffered the client is told to resync with requestStock.
+         */
+        socket.on('resume', (message) => {
+            const { dropId, lastSeq, epoch } = message || {};
+            const id = parseInt(dropId, 10);
+            const seen = parseInt(lastSeq, 10);
+
+            if (!(id > 0) || !(seen >= 0)) {
+                socket.emit('error', { message: 'resume needs dropId and lastSeq', dropId });
+                return;
+            }
+
+            socket.join(dropRoom(id));
+            trackDropPresence(io, socket, id);
+
+            const missed = getDropEventsSince(id, seen, epoch);
+
+            if (!missed) {
+                socket.emit('resyncRequired', {
+                    dropId: id,
+                    seq: getDropSequence(id),
+                    epoch: EVENT_EPOCH,
+                    message: 'Missed events are no longer available; request a full resync',
+                });
+                return;
+            }
+
+            for (const { event, payload } of missed) {
+                socket.emit(event, payload);
+            }
+
+            socket.emit('resumed', {
+                dropId: id,
+                seq: getDropSequence(id),
+                epoch: EVENT_EPOCH,
+                replayed: missed.length,
+            });
+        });
+
         /**
          * Client leaves a drop room
          */
         socket.on('leaveDrop', (dropId) => {
-            const roomName = `drop_${dropId}`;
+            const roomName = dropRoom(parseInt(dropId, 10));
             socket.leave(roomName);
+            untrackDropPresence(io, socket, dropId);
             console.log(`📤 Socket ${socket.id} left room: ${roomName}`);
 
             socket.emit('leftDrop', {
@@ -40,17 +170,63 @@ export const initializeSocketHandlers = (io) => {
         });
 
         /**
-         * Client requests current stock for a drop
+         * Client joins the catalog room for list-level changes
+         * (drops created, updated or deleted)
+         */
+        socket.on('joinCatalog', () => {
+            socket.join(CATALOG_ROOM);
+
+            socket.emit('joinedCatalog', {
+                message: 'Subscribed to catalog updates',
+            });
+        });
+
+        /**
+         * Client leaves the catalog room
+         */
+        socket.on('leaveCatalog', () => {
+            socket.leave(CATALOG_ROOM);
+
+            socket.emit('leftCatalog', {
+                message: 'Unsubscribed from catalog updates',
+            });
+        });
+
+        /**
+         * Older clients still ask to join their private room; they are
+         * already in it from the handshake
+         */
+        socket.on('joinUser', () => {
+            if (!userId) {
+                socket.emit('error', { message: 'Connect with an access token to receive private updates' });
+                return;
+            }
+
+            socket.emit('joinedUser', {
+                userId,
+                message: 'Subscribed to your private updates',
+            });
+        });
+
+        /**
+         * Client requests current stock for a drop (full resync)
          */
         socket.on('requestStock', async (dropId) => {
             try {
-                const { Drop } = await import('../models/index.js');
+                // Taken before reading, so the snapshot is at least this fresh;
+                // the client resumes from here
+                const seq = getDropSequence(dropId);
+
+                const { Drop, DropVariant } = await import('../models/index.js');
                 const drop = await Drop.findByPk(dropId);
 
                 if (drop) {
                     socket.emit('stockUpdate', {
                         dropId: drop.id,
                         newStock: drop.stock,
+                        variants: await DropVariant.stockByDrop(drop.id),
+                        seq,
+                        epoch: EVENT_EPOCH,
                         timestamp: new Date(),
                     });
                 } else {
@@ -80,6 +256,8 @@ export const initializeSocketHandlers = (io) => {
          * Client disconnect
          */
         socket.on('disconnect', (reason) => {
+            // Socket.IO drops the rooms itself; presence is ours to clean up
+            clearSocketPresence(io, socket);
             console.log(`❌ Client disconnected: ${socket.id} (${reason})`);
         });
 
@@ -100,95 +278,7 @@ export const initializeSocketHandlers = (io) => {
     }, 60000); // Every minute
 };
 
-/**
- * Emit stock update to all clients in a drop room
- * @param {Object} io - Socket.IO instance
- * @param {number} dropId - Drop ID
- * @param {number} newStock - Updated stock count
- */
-export const emitStockUpdate = (io, dropId, newStock) => {
-    const roomName = `drop_${dropId}`;
-    io.to(roomName).emit('stockUpdate', {
-        dropId,
-        newStock,
-        timestamp: new Date(),
-    });
-
-    // Also broadcast to all clients
-    io.emit('stockUpdate', {
-        dropId,
-        newStock,
-        timestamp: new Date(),
-    });
-};
-
-/**
- * Emit reservation created event
- * @param {Object} io - Socket.IO instance
- * @param {Object} data - Reservation data
- */
-export const emitReservationCreated = (io, data) => {
-    io.emit('reservationCreated', {
-        ...data,
-        timestamp: new Date(),
-    });
-};
-
-/**
- * Emit reservation expired event
- * @param {Object} io - Socket.IO instance
- * @param {Object} data - Expiration data
- */
-export const emitReservationExpired = (io, data) => {
-    io.emit('reservationExpired', {
-        ...data,
-        timestamp: new Date(),
-    });
-};
-
-/**
- * Emit purchase completed event
- * @param {Object} io - Socket.IO instance
- * @param {Object} data - Purchase data
- */
-export const emitPurchaseCompleted = (io, data) => {
-    io.emit('purchaseCompleted', {
-        ...data,
-        timestamp: new Date(),
-    });
-};
-
-/**
- * Emit new drop created event
- * @param {Object} io - Socket.IO instance
- * @param {Object} drop - Drop data
- */
-export const emitNewDrop = (io, drop) => {
-    io.emit('newDrop', {
-        drop,
-        timestamp: new Date(),
-    });
-};
-
-/**
- * Broadcast a custom event to all clients
- * @param {Object} io - Socket.IO instance
- * @param {string} eventName - Event name
- * @param {Object} data - Event data
- */
-export const broadcastEvent = (io, eventName, data) => {
-    io.emit(eventName, {
-        ...data,
-        timestamp: new Date(),
-    });
-};
-
 export default {
+    authenticateSocket,
     initializeSocketHandlers,
-    emitStockUpdate,
-    emitReservationCreated,
-    emitReservationExpired,
-    emitPurchaseCompleted,
-    emitNewDrop,
-    broadcastEvent,
 };
\ No newline at end of file
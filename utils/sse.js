@@ -0,0 +1,98 @@
+import { EVENT_EPOCH } from './events.js';
+
+/**
+ * Server-Sent Events
+ * A plain-HTTP way to follow a drop for clients that can't run Socket.IO.
+ * Each event's `id` is `<epoch>:<seq>`, so the browser's automatic
+ * `Last-Event-ID` on reconnect carries everything needed to resume.
+ */
+
+// How long EventSource waits before reconnecting, in ms
+const RECONNECT_DELAY_MS = 3000;
+
+/**
+ * Gap between heartbeat comments on an open stream, in ms (default 15000)
+ * Keeps proxies and load balancers from closing idle connections.
+ * @returns {number}
+ */
+const getHeartbeatInterval = () => parseInt(process.env.SSE_HEARTBEAT_MS) || 15000;
+
+/**
+ * SSE event ID for a drop event
+ * @param {number} seq - Drop sequence number
+ * @returns {string}
+ */
+export const formatEventId = (seq) => `${EVENT_EPOCH}:${seq}`;
+
+/**
+ * Parse a Last-Event-ID back into its epoch and seq
+ * @param {string} value - Header (or query) value
+ * @returns {{ epoch: string, seq: number }|null} - null if missing or malformed
+ */
+export const parseLastEventId = (value) => {
+    if (typeof value !== 'string') return null;
+
+    const [epoch, seq] = value.trim().split(':');
+    const lastSeq = parseInt(seq, 10);
+
+    if (!epoch || !(lastSeq >= 0)) return null;
+
+    return { epoch, seq: lastSeq };
+};
+
+/**
+ * Turn a response into an event stream
+ * Sends the headers straight away and a heartbeat comment every
+ * SSE_HEARTBEAT_MS until the client goes away.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {{ send: Function, onClose: Function }}
+ */
+export const openEventStream = (req, res) => {
+    res.status(200).set({
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Stop nginx buffering the stream
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+    // The client may have left while the caller was still loading data
+    let closed = req.socket.destroyed;
+
+    if (!closed) {
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), getHeartbeatInterval());
+
+        res.on('close', () => {
+            closed = true;
+            clearInterval(heartbeat);
+        });
+    }
+
+    return {
+        /**
+         * Write one event
+         * @param {string} id - Event ID
+         * @param {string} event - Event name
+         * @param {Object} data - Payload, sent as JSON
+         */
+        send: (id, event, data) => {
+            if (closed) return;
+            res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+
+        /**
+         * Run cleanup once the client disconnects
+         * @param {Function} fn - Cleanup callback
+         */
+        onClose: (fn) => (closed ? fn() : res.on('close', fn)),
+    };
+};
+
+export default {
+    formatEventId,
+    parseLastEventId,
+    openEventStream,
+};
\ No newline at end of file
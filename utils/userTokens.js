@@ -0,0 +1,170 @@
+import crypto from 'crypto';
+import { Op } from 'sequelize';
+import { UserToken, User, sequelize } from '../models/index.js';
+import { hashToken } from './sessions.js';
+import { sendMail } from './mailer.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+/**
+ * Account Tokens
+ * Single-use, expiring tokens for password reset and email verification
+ */
+
+const TOKEN_DURATIONS = {
+    password_reset: () => parseInt(process.env.PASSWORD_RESET_DURATION) || 60 * 60 * 1000,
+    email_verification: () => parseInt(process.env.EMAIL_VERIFICATION_DURATION) || 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Build a client URL for an account flow
+ * @param {string} pathname - Client route
+ * @param {string} token - Raw token
+ * @returns {string}
+ */
+const buildClientUrl = (pathname, token) => {
+    const base = (process.env.CLIENT_URL || 'http://localhost:5173').replace(/\/+$/, '');
+    return `${base}${pathname}?token=${token}`;
+};
+
+/**
+ * Issue a new token, invalidating any earlier unused token of the same type
+ * @param {Object} user - User instance
+ * @param {string} type - Token type
+ * @returns {Promise<string>} - Raw token (only ever returned once)
+ */
+export const createUserToken = async (user, type) => {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    await sequelize.transaction(async (transaction) => {
+        await UserToken.update(
+            { used_at: new Date() },
+            {
+                where: { user_id: user.id, type, used_at: null },
+                transaction,
+            }
+        );
+
+        await UserToken.create(
+            {
+                user_id: user.id,
+                type,
+                email: user.email,
+                token_hash: hashToken(token),
+                expires_at: new Date(Date.now() + TOKEN_DURATIONS[type]()),
+            },
+            { transaction }
+        );
+    });
+
+    return token;
+};
+
+/**
+ * Consume a token, marking it used
+ * A token mailed to an address the user no longer has is refused.
+ * @param {string} token - Raw token
+ * @param {string} type - Expected token type
+ * @param {Object} transaction - Sequelize transaction
+ * @returns {Promise<{ user: Object, userToken: Object }>} - Owning user (locked for update) and the token
+ */
+export const consumeUserToken = async (token, type, transaction) => {
+    const userToken = await UserToken.findOne({
+        where: { token_hash: hashToken(token), type },
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+    });
+
+    if (!userToken || !userToken.isUsable()) {
+        throw new AppError('Invalid or expired token', 400);
+    }
+
+    userToken.used_at = new Date();
+    await userToken.save({ transaction });
+
+    const user = await User.findByPk(userToken.user_id, {
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+    });
+
+    if (!user || (userToken.email && userToken.email !== user.email)) {
+        throw new AppError('Invalid or expired token', 400);
+    }
+
+    return { user, userToken };
+};
+
+/**
+ * Proves the user controls their current address
+ * Tokens issued before tokens recorded their address prove nothing.
+ * @param {Object} userToken - Consumed token
+ * @param {Object} user - Owning user
+ * @returns {boolean}
+ */
+export const provesCurrentEmail = (userToken, user) => userToken.email === user.email;
+
+/**
+ * Mark accounts created before email verification existed as verified
+ * They were never sent a verification token, so without this they would be
+ * locked out of reserving and checkout. Every account created since gets a
+ * token at registration, so this only ever matches older rows and is safe
+ * to run on every start.
+ * @returns {Promise<number>} - Accounts backfilled
+ */
+export const backfillEmailVerification = async () => {
+    const [count] = await User.update(
+        { email_verified_at: sequelize.col('created_at') },
+        {
+            where: {
+                email_verified_at: null,
+                id: {
+                    [Op.notIn]: sequelize.literal(
+                        "(SELECT DISTINCT `user_id` FROM `user_tokens` WHERE `type` = 'email_verification')"
+                    ),
+                },
+            },
+        }
+    );
+
+    return count;
+};
+
+/**
+ * Send an email verification link
+ * @param {Object} user - User instance
+ * @returns {Promise<void>}
+ */
+export const sendVerificationEmail = async (user) => {
+    const token = await createUserToken(user, 'email_verification');
+    const url = buildClientUrl('/verify-email', token);
+
+    await sendMail({
+        to: user.email,
+        subject: 'Verify your email',
+        text: `Hi ${user.username},\n\nConfirm your email address to start reserving drops:\n${url}\n\nVerification token: ${token}\n`,
+    });
+};
+
+/**
+ * Send a password reset link
+ * @param {Object} user - User instance
+ * @returns {Promise<void>}
+ */
+export const sendPasswordResetEmail = async (user) => {
+    const token = await createUserToken(user, 'password_reset');
+    const url = buildClientUrl('/reset-password', token);
+
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.username},\n\nUse the link below to choose a new password. If you did not request this, ignore this email.\n${url}\n\nReset token: ${token}\n`,
+    });
+};
+
+export default {
+    createUserToken,
+    consumeUserToken,
+    provesCurrentEmail,
+    backfillEmailVerification,
+    sendVerificationEmail,
+    sendPasswordResetEmail,
+};
\ No newline at end of file
@@ -0,0 +1,320 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { Op } from 'sequelize';
+import { Drop, QueueTicket, sequelize } from '../models/index.js';
+
+/**
+ * Virtual Waiting Room
+ * Queues users in front of hot drops and admits them in batches.
+ *
+ * - Users join before or after drop_start_time; joining only inserts a ticket.
+ * - On each tick after start, unpositioned tickets get positions: everyone who
+ *   joined before start is shuffled (so arriving early beats bots only up to
+ *   the start line), later joiners are appended in arrival order.
+ * - Each tick admits the next queue_batch_size waiting tickets while stock lasts.
+ *   Admitted users fetch a signed admission token that reserveItem requires.
+ * The tick is the single writer of positions, so joins never contend on a lock.
+ */
+
+const ADMISSION_AUDIENCE = 'queue-admission';
+
+/**
+ * Seconds between admission batches (default 10)
+ * @returns {number}
+ */
+export const getBatchInterval = () => {
+    const seconds = parseInt(process.env.QUEUE_BATCH_INTERVAL);
+    return seconds > 0 ? seconds : 10;
+};
+
+/**
+ * How long an admission stays valid (ms)
+ * @returns {number}
+ */
+export const getAdmissionDuration = () =>
+    parseInt(process.env.QUEUE_ADMISSION_DURATION) || 2 * 60 * 1000;
+
+/**
+ * In-place Fisher-Yates shuffle using a CSPRNG
+ * @param {Array} items
+ * @returns {Array}
+ */
+const shuffle = (items) => {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = crypto.randomInt(i + 1);
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+};
+
+/**
+ * Join a drop's waiting room (idempotent per user)
+ * A user whose ticket is spent (admission used or lapsed) goes back in line
+ * at the end, so they can buy again up to max_per_user.
+ * @param {Object} drop - Drop instance (queue_enabled)
+ * @param {number} userId - User ID
+ * @returns {Promise<{ ticket: Object, created: boolean, rejoined: boolean }>}
+ */
+export const joinQueue = async (drop, userId) => {
+    const [ticket, created] = await QueueTicket.findOrCreate({
+        where: { drop_id: drop.id, user_id: userId },
+        defaults: {
+            drop_id: drop.id,
+            user_id: userId,
+            status: 'waiting',
+            joined_at: new Date(),
+        },
+    });
+
+    if (created || !ticket.isSpent()) {
+        return { ticket, created, rejoined: false };
+    }
+
+    // No position: the next tick appends it behind everyone already placed.
+    // Conditional on the status we saw, so a concurrent redeem isn't undone.
+    const [rejoined] = await QueueTicket.update(
+        {
+            status: 'waiting',
+            position: null,
+            joined_at: new Date(),
+            admitted_at: null,
+            admission_expires_at: null,
+        },
+        {
+            where: { id: ticket.id, status: ticket.status },
+        }
+    );
+
+    await ticket.reload();
+
+    return { ticket, created: false, rejoined: rejoined > 0 };
+};
+
+/**
+ * Sign an admission token for an admitted ticket
+ * @param {Object} ticket - Admitted QueueTicket
+ * @returns {string} - JWT valid until admission_expires_at
+ */
+export const signAdmissionToken = (ticket) => {
+    return jwt.sign(
+        {
+            ticketId: ticket.id,
+            dropId: ticket.drop_id,
+            userId: ticket.user_id,
+            exp: Math.floor(new Date(ticket.admission_expires_at).getTime() / 1000),
+        },
+        process.env.JWT_SECRET,
+        { audience: ADMISSION_AUDIENCE }
+    );
+};
+
+/**
+ * Verify an admission token and lock its ticket
+ * @param {string} token - Admission token
+ * @param {Object} params - { dropId, userId, transaction }
+ * @returns {Promise<Object|null>} - Admitted ticket, or null if invalid
+ */
+export const verifyAdmissionToken = async (token, { dropId, userId, transaction }) => {
+    if (!token) return null;
+
+    let payload;
+    try {
+        payload = jwt.verify(token, process.env.JWT_SECRET, { audience: ADMISSION_AUDIENCE });
+    } catch (error) {
+        return null;
+    }
+
+    if (Number(payload.dropId) !== Number(dropId) || payload.userId !== userId) {
+        return null;
+    }
+
+    const ticket = await QueueTicket.findOne({
+        where: { id: payload.ticketId, drop_id: dropId, user_id: userId },
+        transaction,
+        lock: transaction.LOCK.UPDATE,
+    });
+
+    return ticket && ticket.isAdmitted() ? ticket : null;
+};
+
+/**
+ * Highest position admitted so far for a drop
+ * @param {number} dropId - Drop ID
+ * @returns {Promise<number>}
+ */
+export const getServingPosition = async (dropId) => {
+    const serving = await QueueTicket.max('position', {
+        where: {
+            drop_id: dropId,
+            status: { [Op.ne]: 'waiting' },
+        },
+    });
+    return serving || 0;
+};
+
+/**
+ * Position, people ahead and ETA for a ticket
+ * @param {Object} ticket - QueueTicket instance
+ * @param {Object} drop - Drop instance
+ * @returns {Promise<Object>}
+ */
+export const describeTicket = async (ticket, drop) => {
+    const status = {
+        status: ticket.status,
+        position: ticket.position,
+        people_ahead: null,
+        eta_seconds: null,
+        admission_token: null,
+        admission_expires_at: null,
+    };
+
+    if (ticket.isAdmitted()) {
+        status.admission_token = signAdmissionToken(ticket);
+        status.admission_expires_at = ticket.admission_expires_at;
+        return status;
+    }
+
+    if (ticket.status !== 'waiting' || ticket.position === null) {
+        return status;
+    }
+
+    const ahead = await QueueTicket.count({
+        where: {
+            drop_id: ticket.drop_id,
+            status: 'waiting',
+            position: { [Op.lt]: ticket.position },
+        },
+    });
+
+    status.people_ahead = ahead;
+    status.eta_seconds = Math.ceil((ahead + 1) / drop.queue_batch_size) * getBatchInterval();
+    return status;
+};
+
+/**
+ * Advance a drop's waiting room by one tick
+ * @param {number} dropId - Drop ID
+ * @returns {Promise<Object|null>} - Queue snapshot, or null if nothing to do
+ */
+export const tickQueue = async (dropId) => {
+    const drop = await Drop.findByPk(dropId);
+
+    if (!drop || !drop.queue_enabled || !drop.hasStarted()) return null;
+
+    const now = new Date();
+    const startTime = drop.drop_start_time ? new Date(drop.drop_start_time) : null;
+
+    return await sequelize.transaction(async (transaction) => {
+        // Lapsed admissions free their slot
+        await QueueTicket.update(
+            { status: 'expired' },
+            {
+                where: {
+                    drop_id: dropId,
+                    status: 'admitted',
+                    admission_expires_at: { [Op.lte]: now },
+                },
+                transaction,
+            }
+        );
+
+        // Assign positions: shuffled pre-start joiners, then arrivals in order
+        const unpositioned = await QueueTicket.findAll({
+            where: { drop_id: dropId, status: 'waiting', position: null },
+            order: [['joined_at', 'ASC'], ['id', 'ASC']],
+            transaction,
+            lock: transaction.LOCK.UPDATE,
+        });
+
+        if (unpositioned.length > 0) {
+            const early = unpositioned.filter((t) => startTime && new Date(t.joined_at) <= startTime);
+            const late = unpositioned.filter((t) => !early.includes(t));
+            let nextPosition = ((await QueueTicket.max('position', {
+                where: { drop_id: dropId },
+                transaction,
+            })) || 0) + 1;
+
+            for (const ticket of [...shuffle(early), ...late]) {
+                ticket.position = nextPosition++;
+                await ticket.save({ transaction });
+            }
+        }
+
+        // Admit the next batch while stock lasts
+        let admitted = [];
+        if (drop.stock > 0) {
+            admitted = await QueueTicket.findAll({
+                where: {
+                    drop_id: dropId,
+                    status: 'waiting',
+                    position: { [Op.ne]: null },
+                },
+                order: [['position', 'ASC']],
+                limit: drop.queue_batch_size,
+                transaction,
+                lock: transaction.LOCK.UPDATE,
+            });
+
+            if (admitted.length > 0) {
+                await QueueTicket.update(
+                    {
+                        status: 'admitted',
+                        admitted_at: now,
+                        admission_expires_at: new Date(now.getTime() + getAdmissionDuration()),
+                    },
+                    {
+                        where: { id: admitted.map((t) => t.id) },
+                        transaction,
+                    }
+                );
+            }
+        }
+
+        const [servingPosition, waiting] = await Promise.all([
+            QueueTicket.max('position', {
+                where: { drop_id: dropId, status: { [Op.ne]: 'waiting' } },
+                transaction,
+            }),
+            QueueTicket.count({
+                where: { drop_id: dropId, status: 'waiting' },
+                transaction,
+            }),
+        ]);
+
+        return {
+            dropId: drop.id,
+            servingPosition: servingPosition || 0,
+            waiting,
+            admittedCount: admitted.length,
+            batchSize: drop.queue_batch_size,
+            batchIntervalSeconds: getBatchInterval(),
+        };
+    });
+};
+
+/**
+ * Drops with tickets still waiting or admitted
+ * @returns {Promise<Array<number>>} - Drop IDs
+ */
+export const findActiveQueues = async () => {
+    const rows = await QueueTicket.findAll({
+        attributes: [[sequelize.fn('DISTINCT', sequelize.col('drop_id')), 'drop_id']],
+        where: {
+            status: ['waiting', 'admitted'],
+        },
+        raw: true,
+    });
+    return rows.map((row) => row.drop_id);
+};
+
+export default {
+    getBatchInterval,
+    getAdmissionDuration,
+    joinQueue,
+    signAdmissionToken,
+    verifyAdmissionToken,
+    getServingPosition,
+    describeTicket,
+    tickQueue,
+    findActiveQueues,
+};
\ No newline at end of file